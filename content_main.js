@@ -0,0 +1,102 @@
+/**
+ * Content script (world: MAIN): видит то, что недоступно изолированному content_script.js, —
+ * обработчики beforeunload, которые страница вешает на window, и звонки: потоки getUserMedia / getDisplayMedia
+ * с живыми дорожками и установленные соединения RTCPeerConnection.
+ * Состояние передаётся через MessagePort, который изолированный мир присылает при старте: DOM-событие
+ * страница могла бы отправить сама и навсегда запретить усыпление вкладки, а чужой порт получит лишь копию отчётов.
+ */
+
+(() => {
+  const CONNECT_MESSAGE = 'tabhibernate:connect';
+  const beforeUnloadListeners = new Set();
+  const mediaStreams = new Set();
+  const peerConnections = new Set();
+  const ports = new Set();
+
+  function hasBeforeUnload() {
+    return beforeUnloadListeners.size > 0 || typeof window.onbeforeunload === 'function';
+  }
+
+  /** Звонок или захват экрана: есть живая дорожка камеры / микрофона / экрана или подключённый peer. */
+  function hasCall() {
+    for (const stream of mediaStreams) {
+      if (stream.getTracks().some((t) => t.readyState === 'live')) return true;
+      mediaStreams.delete(stream);
+    }
+    for (const pc of peerConnections) {
+      if (pc.connectionState === 'connected') return true;
+      if (pc.connectionState === 'closed') peerConnections.delete(pc);
+    }
+    return false;
+  }
+
+  function report() {
+    if (!ports.size) return;
+    const state = { beforeUnload: hasBeforeUnload(), call: hasCall() };
+    for (const port of ports) port.postMessage(state);
+  }
+
+  const origAdd = EventTarget.prototype.addEventListener;
+  const origRemove = EventTarget.prototype.removeEventListener;
+
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (this === window && type === 'beforeunload' && listener) {
+      beforeUnloadListeners.add(listener);
+      report();
+    }
+    return origAdd.call(this, type, listener, options);
+  };
+
+  EventTarget.prototype.removeEventListener = function (type, listener, options) {
+    if (this === window && type === 'beforeunload' && beforeUnloadListeners.delete(listener)) report();
+    return origRemove.call(this, type, listener, options);
+  };
+
+  function trackStream(stream) {
+    mediaStreams.add(stream);
+    for (const track of stream.getTracks()) origAdd.call(track, 'ended', report);
+    report();
+    return stream;
+  }
+
+  const mediaDevices = navigator.mediaDevices;
+  for (const name of ['getUserMedia', 'getDisplayMedia']) {
+    const orig = mediaDevices && mediaDevices[name];
+    if (typeof orig !== 'function') continue;
+    mediaDevices[name] = function (...args) {
+      return orig.apply(this, args).then(trackStream);
+    };
+  }
+
+  // stop() не вызывает событие ended — сообщаем сами.
+  if (window.MediaStreamTrack) {
+    const origStop = MediaStreamTrack.prototype.stop;
+    MediaStreamTrack.prototype.stop = function () {
+      const result = origStop.call(this);
+      report();
+      return result;
+    };
+  }
+
+  if (window.RTCPeerConnection) {
+    const OrigPeerConnection = window.RTCPeerConnection;
+    window.RTCPeerConnection = class RTCPeerConnection extends OrigPeerConnection {
+      constructor(...args) {
+        super(...args);
+        peerConnections.add(this);
+        origAdd.call(this, 'connectionstatechange', report);
+      }
+    };
+  }
+
+  // Изолированный скрипт запускается позже (document_idle): присылает порт через window.postMessage и
+  // спрашивает по нему текущее состояние сам; window.onbeforeunload = fn так же ловится только при запросе.
+  // Наш обработчик зарегистрирован раньше скриптов страницы, поэтому порт до них не доходит.
+  origAdd.call(window, 'message', (e) => {
+    if (e.source !== window || e.data !== CONNECT_MESSAGE || !e.ports[0]) return;
+    e.stopImmediatePropagation();
+    const port = e.ports[0];
+    ports.add(port);
+    port.onmessage = report;
+  }, true);
+})();
@@ -1,7 +1,10 @@
 /**
  * Content script: отправляет в service worker сообщения об активности пользователя
- * (mousemove, keydown), чтобы таб не считался неактивным.
- * Не инжектируется в chrome:// и chrome-extension:// (исключено в manifest).
+ * (мышь, клавиатура, прокрутка, касания, фокус, возврат на вкладку, полноэкранный режим), чтобы таб не считался
+ * неактивным, состояние несохранённого ввода (изменённые поля форм, contenteditable, обработчики beforeunload)
+ * и живую активность (играющие video/audio, звонки и захват экрана), чтобы такой таб не выгружали.
+ * Работает во всех фреймах: SW объединяет состояние фреймов вкладки. Снимок страницы — только в верхнем документе.
+ * Chrome не инжектирует content scripts в chrome:// и chrome-extension://.
  */
 
 const REPORT_THROTTLE_MS = 2000;
@@ -14,6 +17,266 @@ function reportActivity() {
   chrome.runtime.sendMessage({ type: 'activity' }).catch(() => {});
 }
 
-document.addEventListener('mousemove', reportActivity, { passive: true });
-document.addEventListener('keydown', reportActivity, { passive: true });
-document.addEventListener('scroll', reportActivity, { passive: true });
+for (const type of ['mousemove', 'keydown', 'scroll', 'wheel', 'pointerdown', 'touchstart', 'touchmove', 'fullscreenchange']) {
+  document.addEventListener(type, reportActivity, { passive: true });
+}
+window.addEventListener('focus', reportActivity);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') reportActivity();
+});
+
+// ——— Несохранённый ввод. Поле «грязное», пока его значение отличается от значения на момент фокуса:
+// так очищенный после отправки чат или возвращённое значение снова считаются чистыми.
+const NON_TEXT_INPUT_TYPES = ['button', 'submit', 'reset', 'image', 'hidden', 'search', 'file'];
+const initialValues = new WeakMap();
+const touched = new Set();
+const pageState = { form: false, beforeUnload: false, media: false, call: false };
+let lastSentState = null;
+
+/** Редактируемый элемент для события: input/textarea/select или корень contenteditable. */
+function getEditable(target) {
+  if (!(target instanceof Element)) return null;
+  if (target.isContentEditable) {
+    let root = target;
+    while (root.parentElement && root.parentElement.isContentEditable) root = root.parentElement;
+    return root;
+  }
+  const tag = target.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return target;
+  if (tag === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes((target.type || '').toLowerCase())) return target;
+  return null;
+}
+
+function readValue(node) {
+  if (node.isContentEditable) return node.textContent;
+  if (node.type === 'checkbox' || node.type === 'radio') return String(node.checked);
+  return node.value;
+}
+
+function reportPageState() {
+  const unsaved = [];
+  if (pageState.form) unsaved.push('form');
+  if (pageState.beforeUnload) unsaved.push('beforeunload');
+  const live = [];
+  if (pageState.media) live.push('media');
+  if (pageState.call) live.push('call');
+  const key = `${unsaved.join(',')}|${live.join(',')}`;
+  if (key === lastSentState) return;
+  lastSentState = key;
+  chrome.runtime.sendMessage({ type: 'pageState', unsaved, live }).catch(() => {});
+}
+
+function updateFormState() {
+  for (const node of touched) {
+    if (!node.isConnected || readValue(node) === initialValues.get(node)) touched.delete(node);
+  }
+  pageState.form = touched.size > 0;
+  reportPageState();
+}
+
+document.addEventListener('focusin', (e) => {
+  const node = getEditable(e.target);
+  if (node && !initialValues.has(node)) initialValues.set(node, readValue(node));
+}, true);
+
+document.addEventListener('input', (e) => {
+  const node = getEditable(e.target);
+  if (!node) return;
+  if (!initialValues.has(node)) return; // значение изменил скрипт страницы без фокуса — не ввод пользователя
+  touched.add(node);
+  updateFormState();
+}, true);
+
+document.addEventListener('change', (e) => {
+  const node = getEditable(e.target);
+  if (node && touched.has(node)) updateFormState();
+}, true);
+
+/** Отправленная или сброшенная форма больше не держит вкладку. */
+function resetForm(form) {
+  for (const node of touched) {
+    if (form.contains(node)) initialValues.set(node, readValue(node));
+  }
+  updateFormState();
+}
+document.addEventListener('submit', (e) => resetForm(e.target), true);
+document.addEventListener('reset', (e) => setTimeout(() => resetForm(e.target), 0), true);
+
+// ——— Играющие video/audio, в том числе без звука (Chrome помечает audible только вкладки со звуком).
+// События медиа не всплывают — слушаем на фазе перехвата. Элемент, удалённый из DOM во время игры, ставится
+// на паузу без события в документе, поэтому пока медиа играет, состояние перепроверяем по таймеру.
+const MEDIA_RECHECK_MS = 30000;
+let mediaRecheckTimer = null;
+
+function hasPlayingMedia() {
+  return [...document.querySelectorAll('video, audio')].some((m) => !m.paused && !m.ended);
+}
+
+function updateMediaState() {
+  pageState.media = hasPlayingMedia();
+  clearTimeout(mediaRecheckTimer);
+  if (pageState.media) mediaRecheckTimer = setTimeout(updateMediaState, MEDIA_RECHECK_MS);
+  reportPageState();
+}
+
+for (const type of ['play', 'playing', 'pause', 'ended', 'emptied']) {
+  document.addEventListener(type, updateMediaState, true);
+}
+
+// Обработчики beforeunload и звонки видит только content_main.js (world: MAIN). Связь — через свой
+// MessageChannel: второй конец есть только у content_main.js, страница подделать отчёт не может.
+const mainWorldChannel = new MessageChannel();
+mainWorldChannel.port1.onmessage = (e) => {
+  pageState.beforeUnload = !!e.data?.beforeUnload;
+  pageState.call = !!e.data?.call;
+  reportPageState();
+};
+window.postMessage('tabhibernate:connect', '*', [mainWorldChannel.port2]);
+
+function queryMainWorld() {
+  mainWorldChannel.port1.postMessage('query');
+}
+
+// Новый документ всегда начинает с чистого состояния — сбрасываем то, что SW помнит о прошлой странице.
+updateMediaState();
+queryMainWorld();
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  queryMainWorld();
+  updateFormState();
+});
+
+// Фрейм ушёл (iframe удалён, переход на другую страницу, back/forward cache) — его причины больше не держат
+// вкладку; вернулся из кэша — сообщаем состояние заново.
+window.addEventListener('pagehide', () => {
+  lastSentState = '|';
+  chrome.runtime.sendMessage({ type: 'pageState', unsaved: [], live: [] }).catch(() => {});
+});
+window.addEventListener('pageshow', (e) => {
+  if (e.persisted) reportPageState();
+});
+
+// ——— Снимок страницы перед placeholder-suspend: прокрутка, значения полей, hash.
+// Service worker хранит его в записи восстановления и отдаёт обратно после restore (getRestoreSnapshot).
+const SNAPSHOT_MAX_FIELDS = 200;
+const SNAPSHOT_MAX_VALUE = 10000;
+const SCROLL_RESTORE_ATTEMPTS = 10;
+const SCROLL_RESTORE_INTERVAL_MS = 300;
+
+/** Селектор поля: по id, иначе путь от ближайшего предка с id (или от body) через nth-of-type. */
+function getFieldSelector(node) {
+  if (node.id) return '#' + CSS.escape(node.id);
+  const parts = [];
+  let cur = node;
+  while (cur && cur !== document.body && cur !== document.documentElement) {
+    if (cur !== node && cur.id) {
+      parts.unshift('#' + CSS.escape(cur.id));
+      return parts.join(' > ');
+    }
+    let part = cur.tagName.toLowerCase();
+    const parent = cur.parentElement;
+    if (parent) {
+      const same = [...parent.children].filter((c) => c.tagName === cur.tagName);
+      if (same.length > 1) part += `:nth-of-type(${same.indexOf(cur) + 1})`;
+    }
+    parts.unshift(part);
+    cur = parent;
+  }
+  parts.unshift('body');
+  return parts.join(' > ');
+}
+
+// Чувствительные поля: данные карты и одноразовые коды по autocomplete, а если его нет — по name / id.
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|one-time-code$|current-password$|new-password$)/;
+const SENSITIVE_FIELD_NAME = /(card|cc[-_]?(num|number|cvc|cvv|csc|exp)|cvv|cvc|csc|securitycode|expir|(^|[-_])otp|one[-_]?time|2fa|totp|verification[-_]?code|pin$|passw|passcode|ssn)/i;
+
+function isSensitiveField(node) {
+  const tokens = String(node.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+  if (tokens.some((token) => SENSITIVE_AUTOCOMPLETE.test(token))) return true;
+  return SENSITIVE_FIELD_NAME.test(node.name || '') || SENSITIVE_FIELD_NAME.test(node.id || '');
+}
+
+/**
+ * Пароли, данные карт, одноразовые коды, файлы и неизменённые значения по умолчанию не сохраняем —
+ * снимок лежит в storage открытым текстом, а страница восстановит умолчания сама.
+ */
+function takeSnapshot() {
+  const fields = [];
+  for (const node of document.querySelectorAll('input, textarea, select')) {
+    if (fields.length >= SNAPSHOT_MAX_FIELDS) break;
+    const type = (node.type || '').toLowerCase();
+    if (type === 'password' || NON_TEXT_INPUT_TYPES.includes(type)) continue;
+    if (isSensitiveField(node)) continue;
+    if (type === 'checkbox' || type === 'radio') {
+      if (node.checked !== node.defaultChecked) fields.push({ selector: getFieldSelector(node), checked: node.checked });
+      continue;
+    }
+    const value = String(node.value || '');
+    if (!value || value.length > SNAPSHOT_MAX_VALUE) continue;
+    if (node.tagName !== 'SELECT' && value === node.defaultValue) continue;
+    fields.push({ selector: getFieldSelector(node), value });
+  }
+  return {
+    url: location.href,
+    hash: location.hash,
+    scrollX: Math.round(window.scrollX),
+    scrollY: Math.round(window.scrollY),
+    fields,
+  };
+}
+
+/** Ставим значение так, чтобы фреймворки (React, Vue) заметили изменение. */
+function setFieldValue(node, field) {
+  if (typeof field.checked === 'boolean') {
+    if (node.checked === field.checked) return;
+    node.checked = field.checked;
+  } else if (typeof field.value === 'string') {
+    if (node.value === field.value) return;
+    const proto = Object.getPrototypeOf(node);
+    const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+    if (setter) setter.call(node, field.value);
+    else node.value = field.value;
+  } else {
+    return;
+  }
+  node.dispatchEvent(new Event('input', { bubbles: true }));
+  node.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/** Прокрутку повторяем, пока страница догружает контент и не дорастает до нужной высоты. */
+function restoreScroll(x, y, attempt = 0) {
+  window.scrollTo(x, y);
+  const reached = Math.abs(window.scrollY - y) <= 2 && Math.abs(window.scrollX - x) <= 2;
+  if (!reached && attempt < SCROLL_RESTORE_ATTEMPTS) {
+    setTimeout(() => restoreScroll(x, y, attempt + 1), SCROLL_RESTORE_INTERVAL_MS);
+  }
+}
+
+function applySnapshot(snapshot) {
+  for (const field of Array.isArray(snapshot.fields) ? snapshot.fields : []) {
+    let node = null;
+    try {
+      node = document.querySelector(field.selector);
+    } catch (e) {
+      continue;
+    }
+    if (node) setFieldValue(node, field);
+  }
+  const x = Number(snapshot.scrollX) || 0;
+  const y = Number(snapshot.scrollY) || 0;
+  if (x || y) restoreScroll(x, y);
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg && msg.type === 'captureSnapshot') {
+    sendResponse(takeSnapshot());
+    return false;
+  }
+  return false;
+});
+
+if (window === window.top) {
+  chrome.runtime.sendMessage({ type: 'getRestoreSnapshot' }).then((snapshot) => {
+    if (snapshot && typeof snapshot === 'object') applySnapshot(snapshot);
+  }).catch(() => {});
+}
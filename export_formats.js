@@ -0,0 +1,317 @@
+/**
+ * Форматы экспорта/импорта истории: общий код для страницы History и service worker'а (автоэкспорт).
+ * JSON: { closedAndSaved, backups: { 'YYYY-MM-DD': [...] }, exportedAt } — полный формат, его же пишет автоэкспорт.
+ * Остальные форматы — плоские списки ссылок по разделам (Closed and saved, бэкапы по датам):
+ * Netscape bookmarks HTML (импортирует любой браузер), Markdown, CSV и текст OneTab «url | title».
+ * Без DOM: работает и в service worker'е.
+ */
+
+const EXPORT_FILENAME_PREFIX = 'tab-hibernate-backup';
+
+/** format → расширение файла, MIME и подпись в интерфейсе. */
+const EXPORT_FORMATS = {
+  json: { ext: 'json', mime: 'application/json', label: 'JSON' },
+  html: { ext: 'html', mime: 'text/html', label: 'Bookmarks HTML' },
+  markdown: { ext: 'md', mime: 'text/markdown', label: 'Markdown' },
+  csv: { ext: 'csv', mime: 'text/csv', label: 'CSV' },
+  onetab: { ext: 'txt', mime: 'text/plain', label: 'OneTab' },
+};
+
+const EXPORT_ROOT_FOLDER = 'Tab Hibernate';
+const CLOSED_SAVED_SECTION = 'Closed and saved';
+const CSV_COLUMNS = ['url', 'title', 'savedAt', 'list'];
+
+/** Данные экспорта из closedAndSaved и бэкапов по датам. */
+function buildExportData({ closedAndSaved = [], backups = {} } = {}) {
+  return {
+    closedAndSaved,
+    backups,
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+function buildExportJson(data) {
+  return JSON.stringify(buildExportData(data), null, 2);
+}
+
+/** Разделы плоских форматов: сначала Closed and saved, затем бэкапы от новых дат к старым. */
+function exportSections({ closedAndSaved = [], backups = {} } = {}) {
+  const sections = [{ name: CLOSED_SAVED_SECTION, list: 'closed', items: closedAndSaved }];
+  for (const date of Object.keys(backups).sort().reverse()) {
+    sections.push({ name: `Backup ${date}`, list: date, items: backups[date] || [] });
+  }
+  return sections
+    .map((s) => ({ ...s, items: s.items.filter((x) => x && x.url) }))
+    .filter((s) => s.items.length);
+}
+
+/** Время записи: savedAt у closedAndSaved, ts у бэкапов. */
+function itemTime(item) {
+  return item.savedAt || item.ts || 0;
+}
+
+function escapeHtmlText(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Числовая ссылка &#N; / &#xN; → символ; недопустимую (вне Unicode, суррогат, 0) оставляем как есть —
+ * String.fromCodePoint на ней бросает RangeError, и импорт файла падал бы целиком. */
+function decodeNumericEntity(entity, dec, hex) {
+  const cp = hex !== undefined ? parseInt(hex, 16) : Number(dec);
+  if (!(cp > 0 && cp <= 0x10ffff) || (cp >= 0xd800 && cp <= 0xdfff)) return entity;
+  return String.fromCodePoint(cp);
+}
+
+function unescapeHtmlText(s) {
+  return String(s)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(?:(\d+)|x([0-9a-f]+));/gi, decodeNumericEntity)
+    .replace(/&amp;/g, '&');
+}
+
+/** Netscape bookmark file: папка Tab Hibernate, внутри — по папке на раздел. ADD_DATE в секундах. */
+function buildExportHtml(data) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3>${EXPORT_ROOT_FOLDER}</H3>`,
+    '    <DL><p>',
+  ];
+  for (const section of exportSections(data)) {
+    lines.push(`        <DT><H3>${escapeHtmlText(section.name)}</H3>`, '        <DL><p>');
+    for (const item of section.items) {
+      const added = itemTime(item) ? ` ADD_DATE="${Math.floor(itemTime(item) / 1000)}"` : '';
+      lines.push(`            <DT><A HREF="${escapeHtmlText(item.url)}"${added}>${escapeHtmlText(item.title || item.url)}</A>`);
+    }
+    lines.push('        </DL><p>');
+  }
+  lines.push('    </DL><p>', '</DL><p>', '');
+  return lines.join('\n');
+}
+
+/** Markdown: заголовок на раздел, ссылка на строку. Парные скобки в URL допустимы (CommonMark), непарные кодируются. */
+function buildExportMarkdown(data) {
+  const lines = [`# ${EXPORT_ROOT_FOLDER}`, ''];
+  for (const section of exportSections(data)) {
+    lines.push(`## ${section.name}`, '');
+    for (const item of section.items) {
+      const title = String(item.title || item.url).replace(/[\\[\]]/g, '\\$&');
+      const balanced = /^[^()]*(?:\([^()]*\)[^()]*)*$/.test(item.url);
+      const url = (balanced ? item.url : item.url.replace(/\(/g, '%28').replace(/\)/g, '%29')).replace(/ /g, '%20');
+      lines.push(`- [${title}](${url})`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV с заголовком url,title,savedAt,list; list — closed или дата бэкапа. */
+function buildExportCsv(data) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const section of exportSections(data)) {
+    for (const item of section.items) {
+      const time = itemTime(item) ? new Date(itemTime(item)).toISOString() : '';
+      rows.push([item.url, item.title || '', time, section.list].map(csvCell).join(','));
+    }
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+/** Текст OneTab: «url | title» на строку, разделы — через пустую строку. */
+function buildExportOneTab(data) {
+  return exportSections(data)
+    .map((section) => section.items.map((item) => `${item.url} | ${item.title || item.url}`).join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/** Содержимое файла в выбранном формате. */
+function buildExport(format, data) {
+  if (format === 'html') return buildExportHtml(data);
+  if (format === 'markdown') return buildExportMarkdown(data);
+  if (format === 'csv') return buildExportCsv(data);
+  if (format === 'onetab') return buildExportOneTab(data);
+  return buildExportJson(data);
+}
+
+/** Имя файла: дата, а с withTime — и время (несколько автоэкспортов в день не перезаписывают друг друга). */
+function buildExportFilename(ext, { withTime = false } = {}) {
+  const iso = new Date().toISOString();
+  const stamp = withTime ? `${iso.slice(0, 10)}-${iso.slice(11, 16).replace(':', '')}` : iso.slice(0, 10);
+  return `${EXPORT_FILENAME_PREFIX}-${stamp}.${ext}`;
+}
+
+// ——— Импорт. Все парсеры возвращают { items: [{ url, title, savedAt? }], skipped } — skipped: строки/ссылки без
+// пригодного URL. javascript: и data: не импортируются.
+
+function isImportableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol !== 'javascript:' && protocol !== 'data:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function collectImportItems(candidates) {
+  const items = [];
+  let skipped = 0;
+  for (const c of candidates) {
+    const url = (c.url || '').trim();
+    if (!isImportableUrl(url)) {
+      skipped++;
+      continue;
+    }
+    const item = { url, title: (c.title || '').trim() || url };
+    if (c.savedAt > 0) item.savedAt = c.savedAt;
+    items.push(item);
+  }
+  return { items, skipped };
+}
+
+function parseImportHtml(text) {
+  const candidates = [];
+  const re = /<a\s([^>]*)>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    const href = /\bhref\s*=\s*"([^"]*)"/i.exec(m[1]) || /\bhref\s*=\s*'([^']*)'/i.exec(m[1]);
+    const added = /\badd_date\s*=\s*"(\d+)"/i.exec(m[1]);
+    candidates.push({
+      url: href ? unescapeHtmlText(href[1]) : '',
+      title: unescapeHtmlText(m[2].replace(/<[^>]*>/g, '')),
+      savedAt: added ? Number(added[1]) * 1000 : 0,
+    });
+  }
+  return collectImportItems(candidates);
+}
+
+function parseImportMarkdown(text) {
+  const candidates = [];
+  const re = /\[((?:\\.|[^\\\]])*)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    candidates.push({ url: m[2], title: m[1].replace(/\\(.)/g, '$1') });
+  }
+  return collectImportItems(candidates);
+}
+
+/** RFC 4180: кавычки, удвоенные кавычки, переводы строк внутри ячеек. */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+/** Колонки ищутся по заголовку (url обязателен; title/name, savedAt/date — если есть), порядок не важен. */
+function parseImportCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const names = header.map((h) => h.trim().toLowerCase());
+  const col = (...aliases) => names.findIndex((n) => aliases.includes(n));
+  const urlCol = col('url', 'href', 'link');
+  const titleCol = col('title', 'name');
+  const timeCol = col('savedat', 'date', 'added');
+  return collectImportItems(rows.map((r) => ({
+    url: r[urlCol],
+    title: titleCol >= 0 ? r[titleCol] : '',
+    savedAt: timeCol >= 0 ? Date.parse(r[timeCol]) || 0 : 0,
+  })));
+}
+
+function parseImportOneTab(text) {
+  const candidates = text.split(/\r?\n/).filter((line) => line.trim()).map((line) => {
+    const sep = line.indexOf(' | ');
+    return sep >= 0 ? { url: line.slice(0, sep), title: line.slice(sep + 3) } : { url: line };
+  });
+  return collectImportItems(candidates);
+}
+
+/** Формат по содержимому: JSON-объект, Netscape/HTML со ссылками, CSV с колонкой url, Markdown-ссылки, иначе OneTab. */
+function detectImportFormat(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) return null;
+  if (trimmed.startsWith('{')) return 'json';
+  if (/<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(trimmed) || /<a\s[^>]*href\s*=/i.test(trimmed)) return 'html';
+  const firstLine = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+  if (firstLine.includes(',') && parseCsvRows(firstLine)[0].some((c) => ['url', 'href', 'link'].includes(c.trim()))) return 'csv';
+  if (/\[(?:\\.|[^\\\]])*\]\(\s*<?[a-z][a-z0-9+.-]*:/i.test(trimmed)) return 'markdown';
+  if (/^[a-z][a-z0-9+.-]*:\S+/im.test(trimmed)) return 'onetab';
+  return null;
+}
+
+/**
+ * Разбор файла импорта: { format, items, backups, skipped } или null, если формат не распознан.
+ * items — ссылки для выбранного при импорте списка; backups — бэкапы по датам (только из JSON).
+ */
+function parseImport(text) {
+  const clean = text.replace(/^\uFEFF/, '');
+  const format = detectImportFormat(clean);
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(clean);
+    } catch (e) {
+      return null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    // Свой формат: записи сохраняются целиком (группа, время), отбрасываются только без пригодного URL.
+    const valid = (x) => x && typeof x.url === 'string' && isImportableUrl(x.url);
+    const list = Array.isArray(data.closedAndSaved) ? data.closedAndSaved : [];
+    const items = list.filter(valid);
+    const backups = {};
+    if (data.backups && typeof data.backups === 'object') {
+      for (const [date, dayList] of Object.entries(data.backups)) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(date) && Array.isArray(dayList)) backups[date] = dayList.filter(valid);
+      }
+    }
+    return { format, items, backups, skipped: list.length - items.length };
+  }
+  const parsers = { html: parseImportHtml, markdown: parseImportMarkdown, csv: parseImportCsv, onetab: parseImportOneTab };
+  if (!parsers[format]) return null;
+  return { format, backups: {}, ...parsers[format](clean) };
+}
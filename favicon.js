@@ -0,0 +1,39 @@
+/**
+ * Иконки сайтов без внешних сервисов: favicon, сохранённый service worker'ом как data URL
+ * (в записи заглушки или в faviconCache по домену), иначе локальный буквенный аватар.
+ * Подключается на страницах заглушки и History.
+ */
+
+const AVATAR_COLORS = ['#6b9bb5', '#7ca4d8', '#b5976b', '#8fb56b', '#b56b8f', '#8f6bb5', '#6bb5a4', '#b5a46b'];
+
+function hostFromUrl(url) {
+  try {
+    return new URL(url).hostname || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/** SVG-аватар: первая буква домена (без www.) на цветном фоне; цвет стабилен для домена. */
+function letterAvatarDataUrl(host) {
+  const h = String(host || '').toLowerCase().replace(/^www\./, '');
+  const match = h.match(/[a-z0-9]/);
+  const letter = match ? match[0].toUpperCase() : '?';
+  let hash = 0;
+  for (const ch of h) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const color = AVATAR_COLORS[hash % AVATAR_COLORS.length];
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 32 32">'
+    + `<rect width="32" height="32" rx="7" fill="${color}"/>`
+    + '<text x="16" y="22" font-family="system-ui, sans-serif" font-size="17" font-weight="600" '
+    + `fill="#0c0e12" text-anchor="middle">${letter}</text></svg>`;
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+/** Иконка для URL: сохранённая при suspend, иначе из кэша по домену, иначе буквенный аватар. */
+function resolveFaviconSrc(url, savedFavicon, faviconCache) {
+  if (typeof savedFavicon === 'string' && savedFavicon.startsWith('data:image/')) return savedFavicon;
+  const host = hostFromUrl(url);
+  const cached = host && faviconCache && faviconCache[host];
+  if (cached && typeof cached.dataUrl === 'string' && cached.dataUrl.startsWith('data:image/')) return cached.dataUrl;
+  return letterAvatarDataUrl(host);
+}
@@ -1,98 +1,403 @@
 /**
- * History page: list closedAndSaved + backup_* from storage, export to JSON file, import from file, open selected as tabs.
- * Лимит closedSavedMax запрашивается у service worker (единый источник — service_worker.js).
+ * History page: list closedAndSaved + backup_* + saved sessions from storage, export (JSON, bookmarks HTML, Markdown,
+ * CSV, OneTab), import with format detection and preview, open / restore-and-remove / delete single items or the selection
+ * (closed-and-saved and entries inside a backup date), restore sessions. Entries synced from other devices carry the
+ * device name.
+ * Формат данных и лимит CLOSED_SAVED_MAX — в storage.js, форматы файлов — в export_formats.js.
  */
 
 async function loadAll() {
-  const raw = await chrome.storage.local.get(null);
-  const closedAndSaved = Array.isArray(raw.closedAndSaved) ? raw.closedAndSaved : [];
-  const backups = {};
-  for (const [key, value] of Object.entries(raw)) {
-    if (key.startsWith('backup_') && Array.isArray(value)) backups[key.slice(7)] = value;
+  const [closedAndSaved, backups, sessions, faviconCache, deviceLabels] = await Promise.all([
+    readClosedAndSaved(),
+    readBackups(),
+    readSessions(),
+    readFaviconCache(),
+    readSyncedDeviceLabels(),
+  ]);
+  return { closedAndSaved, backups, sessions, faviconCache, deviceLabels };
+}
+
+// ——— «Closed and saved»: поиск, фильтр по датам, группировка по домену и виртуальный список (в DOM только видимые
+// строки). Выбор хранится по ключу записи, а не в чекбоксах — переживает прокрутку, фильтр и обновления storage.
+const CLOSED_ROW_HEIGHT = 60;
+const CLOSED_OVERSCAN = 10;
+
+const closedView = {
+  query: '',
+  from: '',
+  to: '',
+  groupByDomain: false,
+  collapsed: new Set(),
+  selected: new Set(),
+  filtered: [],
+  rows: [],
+};
+
+function closedItemKey(item) {
+  return item.id;
+}
+
+function domainOf(url) {
+  return hostFromUrl(url).replace(/^www\./, '') || '(no domain)';
+}
+
+/** Все слова запроса должны встретиться в заголовке, URL или имени устройства; даты — локальные сутки включительно. */
+function filterClosed(items) {
+  const words = closedView.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const from = closedView.from ? new Date(`${closedView.from}T00:00:00`).getTime() : -Infinity;
+  const to = closedView.to ? new Date(`${closedView.to}T23:59:59.999`).getTime() : Infinity;
+  return items.filter((item) => {
+    const t = item.savedAt || 0;
+    if (t < from || t > to) return false;
+    if (!words.length) return true;
+    const text = `${item.title || ''} ${item.url} ${item.device ? deviceLabel(item.device) : ''}`.toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+}
+
+/** Строки списка: записи подряд или заголовок домена (самые частые домены сверху) + его записи, если не свёрнут. */
+function buildClosedRows(items) {
+  if (!closedView.groupByDomain) return items.map((item) => ({ item }));
+  const groups = new Map();
+  for (const item of items) {
+    const domain = domainOf(item.url);
+    if (!groups.has(domain)) groups.set(domain, []);
+    groups.get(domain).push(item);
+  }
+  const rows = [];
+  const sorted = [...groups].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  for (const [domain, list] of sorted) {
+    rows.push({ domain, items: list });
+    if (!closedView.collapsed.has(domain)) list.forEach((item) => rows.push({ item, nested: true }));
+  }
+  return rows;
+}
+
+function selectionState(items) {
+  const n = items.filter((item) => closedView.selected.has(closedItemKey(item))).length;
+  return { all: items.length > 0 && n === items.length, some: n > 0 && n < items.length };
+}
+
+function setSelected(items, checked) {
+  for (const item of items) {
+    if (checked) closedView.selected.add(closedItemKey(item));
+    else closedView.selected.delete(closedItemKey(item));
   }
-  return { closedAndSaved, backups };
 }
 
-/** Рендер списка «Closed and saved» + показ/скрытие строки «Выбрать все» и привязка логики */
-function renderClosed(listEl, items) {
-  const selectAllRow = document.getElementById('selectAllRow');
+/** Имя устройства записи из sync: текущее, если устройство его сменило, иначе сохранённое при импорте. */
+function deviceLabel(device) {
+  return window.__backupsCache?.deviceLabels?.get(device.id) || device.label || 'Other device';
+}
+
+function renderClosedItem({ item, nested }) {
+  const li = document.createElement('li');
+  if (nested) li.className = 'nested';
+  li.dataset.url = item.url || '';
+  const date = item.savedAt ? new Date(item.savedAt).toLocaleString() : '—';
+  const faviconCache = window.__backupsCache?.faviconCache;
+  li.innerHTML = `
+    <span class="checkbox-wrap">
+      <input type="checkbox" class="cb-closed" data-key="${escapeAttr(closedItemKey(item))}">
+      <span class="checkbox-box" aria-hidden="true"></span>
+    </span>
+    <img class="item-favicon" src="${escapeAttr(resolveFaviconSrc(item.url, null, faviconCache))}" alt="">
+    <div class="item-content">
+      <div class="item-title" title="${escapeAttr(item.title || item.url)}">${escapeHtml(item.title || item.url || '—')}</div>
+      <div class="item-url" title="${escapeAttr(item.url)}">${escapeHtml(item.url || '')}</div>
+    </div>
+    <span class="item-meta">${item.device ? `${escapeHtml(deviceLabel(item.device))} · ` : ''}${item.group ? `${escapeHtml(item.group.title || 'Group')} · ` : ''}${escapeHtml(date)}</span>
+    ${entryActionsHtml(`data-key="${escapeAttr(closedItemKey(item))}"`)}
+  `;
+  li.querySelector('.cb-closed').checked = closedView.selected.has(closedItemKey(item));
+  return li;
+}
+
+function renderDomainRow({ domain, items }) {
+  const li = document.createElement('li');
+  li.className = 'domain-row';
+  const collapsed = closedView.collapsed.has(domain);
+  li.innerHTML = `
+    <span class="checkbox-wrap">
+      <input type="checkbox" class="cb-domain" data-domain="${escapeAttr(domain)}" aria-label="Select all from ${escapeAttr(domain)}">
+      <span class="checkbox-box" aria-hidden="true"></span>
+    </span>
+    <button class="domain-toggle" data-domain="${escapeAttr(domain)}" aria-expanded="${!collapsed}">
+      <span class="domain-chevron" aria-hidden="true">${collapsed ? '▸' : '▾'}</span>${escapeHtml(domain)}
+    </button>
+    <span class="item-meta">${items.length} tab(s)</span>
+  `;
+  const cb = li.querySelector('.cb-domain');
+  const state = selectionState(items);
+  cb.checked = state.all;
+  cb.indeterminate = state.some;
+  return li;
+}
+
+function spacerRow(height) {
+  const li = document.createElement('li');
+  li.className = 'spacer';
+  li.style.height = `${height}px`;
+  return li;
+}
+
+/** Отрисовать только строки в области прокрутки (с запасом CLOSED_OVERSCAN сверху и снизу). */
+function renderClosedWindow() {
+  const listEl = document.getElementById('closedList');
+  const { rows } = closedView;
+  if (!rows.length) {
+    const hasItems = (window.__backupsCache?.closedAndSaved || []).length > 0;
+    listEl.innerHTML = `<li class="empty">${hasItems ? 'Nothing matches the search.' : 'No closed-and-saved tabs.'}</li>`;
+    return;
+  }
+  const first = Math.max(0, Math.floor(listEl.scrollTop / CLOSED_ROW_HEIGHT) - CLOSED_OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((listEl.scrollTop + listEl.clientHeight) / CLOSED_ROW_HEIGHT) + CLOSED_OVERSCAN);
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(spacerRow(first * CLOSED_ROW_HEIGHT));
+  for (let i = first; i < last; i++) {
+    fragment.appendChild(rows[i].domain ? renderDomainRow(rows[i]) : renderClosedItem(rows[i]));
+  }
+  fragment.appendChild(spacerRow((rows.length - last) * CLOSED_ROW_HEIGHT));
+  listEl.replaceChildren(fragment);
+}
+
+function updateSelectAllState() {
   const selectAllCb = document.getElementById('selectAllClosed');
-  listEl.innerHTML = '';
-  if (!items.length) {
-    listEl.innerHTML = '<li class="empty">No closed-and-saved tabs.</li>';
-    if (selectAllRow) selectAllRow.style.display = 'none';
+  const state = selectionState(closedView.filtered);
+  selectAllCb.checked = state.all;
+  selectAllCb.indeterminate = state.some;
+}
+
+/** Пересчитать фильтр и строки из текущего closedAndSaved; выбор удалённых записей забываем. */
+function renderClosed() {
+  const items = window.__backupsCache?.closedAndSaved || [];
+  const keys = new Set(items.map(closedItemKey));
+  for (const key of closedView.selected) if (!keys.has(key)) closedView.selected.delete(key);
+  closedView.filtered = filterClosed(items);
+  closedView.rows = buildClosedRows(closedView.filtered);
+  const shown = closedView.filtered.length;
+  document.getElementById('closedCount').textContent = !items.length ? '' : shown === items.length ? `${items.length}` : `${shown} of ${items.length}`;
+  document.getElementById('selectAllRow').style.display = shown ? 'flex' : 'none';
+  updateSelectAllState();
+  renderClosedWindow();
+}
+
+/** Изменился поиск, даты или группировка — список заново с начала. */
+function onClosedFilterChange() {
+  closedView.query = document.getElementById('closedSearch').value;
+  closedView.from = document.getElementById('closedFrom').value;
+  closedView.to = document.getElementById('closedTo').value;
+  closedView.groupByDomain = document.getElementById('groupByDomain').checked;
+  document.getElementById('closedList').scrollTop = 0;
+  renderClosed();
+}
+
+function onClosedListChange(e) {
+  const cb = e.target;
+  if (cb.classList.contains('cb-closed')) {
+    if (cb.checked) closedView.selected.add(cb.dataset.key);
+    else closedView.selected.delete(cb.dataset.key);
+  } else if (cb.classList.contains('cb-domain')) {
+    setSelected(closedView.filtered.filter((item) => domainOf(item.url) === cb.dataset.domain), cb.checked);
+  } else {
     return;
   }
-  if (selectAllRow) selectAllRow.style.display = 'flex';
-  for (const item of items) {
-    const li = document.createElement('li');
-    li.dataset.url = item.url || '';
-    const date = item.savedAt ? new Date(item.savedAt).toLocaleString() : '—';
-    li.innerHTML = `
-      <span class="checkbox-wrap">
-        <input type="checkbox" class="cb-closed" data-url="${escapeAttr(item.url)}">
-        <span class="checkbox-box" aria-hidden="true"></span>
-      </span>
-      <div class="item-content">
-        <div class="item-title" title="${escapeAttr(item.title || item.url)}">${escapeHtml(item.title || item.url || '—')}</div>
-        <div class="item-url" title="${escapeAttr(item.url)}">${escapeHtml(item.url || '')}</div>
-      </div>
-      <span class="item-meta">${escapeHtml(date)}</span>
-    `;
-    listEl.appendChild(li);
+  updateSelectAllState();
+  if (closedView.groupByDomain) renderClosedWindow();
+}
+
+function onClosedListClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (btn) {
+    const item = (window.__backupsCache?.closedAndSaved || []).find((x) => closedItemKey(x) === btn.dataset.key);
+    if (item) applyToEntries(btn.dataset.action, { closed: [item], backups: new Map() });
+    return;
   }
-  bindSelectAll(listEl, selectAllCb);
-}
-
-/** Связка чекбокса «Выбрать все» с чекбоксами строк: один клик выделяет/снимает все; при изменении строк обновляем состояние */
-function bindSelectAll(listEl, selectAllCb) {
-  if (!selectAllCb) return;
-  const checkboxes = () => listEl.querySelectorAll('.cb-closed');
-  const updateSelectAllState = () => {
-    const cbs = checkboxes();
-    const n = cbs.length;
-    const checked = Array.from(cbs).filter((cb) => cb.checked).length;
-    selectAllCb.checked = n > 0 && checked === n;
-    selectAllCb.indeterminate = checked > 0 && checked < n;
-  };
-  selectAllCb.checked = false;
-  selectAllCb.indeterminate = false;
-  selectAllCb.removeEventListener('change', window.__selectAllHandler);
-  window.__selectAllHandler = () => {
-    const checked = selectAllCb.checked;
-    checkboxes().forEach((cb) => { cb.checked = checked; });
-  };
-  selectAllCb.addEventListener('change', window.__selectAllHandler);
-  listEl.addEventListener('change', (e) => {
-    if (e.target.classList.contains('cb-closed')) updateSelectAllState();
+  const toggle = e.target.closest('.domain-toggle');
+  if (!toggle) return;
+  const { domain } = toggle.dataset;
+  if (closedView.collapsed.has(domain)) closedView.collapsed.delete(domain);
+  else closedView.collapsed.add(domain);
+  closedView.rows = buildClosedRows(closedView.filtered);
+  renderClosedWindow();
+}
+
+let closedScrollFrame = 0;
+
+function onClosedListScroll() {
+  if (closedScrollFrame) return;
+  closedScrollFrame = requestAnimationFrame(() => {
+    closedScrollFrame = 0;
+    renderClosedWindow();
   });
 }
 
+// ——— Бэкапы по датам: дату можно раскрыть и работать с отдельными записями. Выбор — по ключу «дата + URL».
+const backupView = {
+  expanded: new Set(),
+  selected: new Set(),
+};
+
+function backupEntryKey(date, url) {
+  return `${date}\u0000${url}`;
+}
+
+/** Кнопки действий над записью истории; attrs — data-атрибуты, по которым запись находится при клике. */
+function entryActionsHtml(attrs) {
+  return `
+    <span class="item-actions">
+      <button data-action="restore" ${attrs} title="Open in a new tab and keep in history">Restore</button>
+      <button data-action="restoreRemove" ${attrs} title="Open in a new tab and remove from history">Restore &amp; remove</button>
+      <button data-action="delete" ${attrs}>Delete</button>
+    </span>
+  `;
+}
+
 function renderBackups(listEl, backups) {
-  listEl.innerHTML = '';
   const dates = Object.keys(backups).sort().reverse();
+  const keys = new Set(dates.flatMap((date) => backups[date].map((item) => backupEntryKey(date, item.url))));
+  for (const key of backupView.selected) if (!keys.has(key)) backupView.selected.delete(key);
+  listEl.innerHTML = '';
   if (!dates.length) {
     listEl.innerHTML = '<li class="empty">No backup dates.</li>';
     return;
   }
+  const faviconCache = window.__backupsCache?.faviconCache;
   for (const date of dates) {
     const items = backups[date];
+    const expanded = backupView.expanded.has(date);
+    const picked = items.filter((item) => backupView.selected.has(backupEntryKey(date, item.url))).length;
     const li = document.createElement('li');
     li.innerHTML = `
       <span class="checkbox-wrap">
-        <input type="checkbox" class="cb-backup" data-date="${escapeAttr(date)}">
+        <input type="checkbox" class="cb-backup" data-date="${escapeAttr(date)}" aria-label="Select all from ${escapeAttr(date)}">
         <span class="checkbox-box" aria-hidden="true"></span>
       </span>
+      <button class="domain-toggle" data-date="${escapeAttr(date)}" aria-expanded="${expanded}">
+        <span class="domain-chevron" aria-hidden="true">${expanded ? '▾' : '▸'}</span>${escapeHtml(date)}
+      </button>
+      <span class="item-meta">${items.length} tab(s)</span>
+    `;
+    const cb = li.querySelector('.cb-backup');
+    cb.checked = items.length > 0 && picked === items.length;
+    cb.indeterminate = picked > 0 && picked < items.length;
+    listEl.appendChild(li);
+    if (!expanded) continue;
+    for (const item of items) {
+      const key = backupEntryKey(date, item.url);
+      const row = document.createElement('li');
+      row.className = 'nested';
+      row.innerHTML = `
+        <span class="checkbox-wrap">
+          <input type="checkbox" class="cb-backup-entry" data-key="${escapeAttr(key)}">
+          <span class="checkbox-box" aria-hidden="true"></span>
+        </span>
+        <img class="item-favicon" src="${escapeAttr(resolveFaviconSrc(item.url, null, faviconCache))}" alt="">
+        <div class="item-content">
+          <div class="item-title" title="${escapeAttr(item.title || item.url)}">${escapeHtml(item.title || item.url)}</div>
+          <div class="item-url" title="${escapeAttr(item.url)}">${escapeHtml(item.url)}</div>
+        </div>
+        ${entryActionsHtml(`data-date="${escapeAttr(date)}" data-url="${escapeAttr(item.url)}"`)}
+      `;
+      row.querySelector('.cb-backup-entry').checked = backupView.selected.has(key);
+      listEl.appendChild(row);
+    }
+  }
+}
+
+function onBackupListChange(e) {
+  const cb = e.target;
+  const backups = window.__backupsCache?.backups || {};
+  if (cb.classList.contains('cb-backup')) {
+    for (const item of backups[cb.dataset.date] || []) {
+      const key = backupEntryKey(cb.dataset.date, item.url);
+      if (cb.checked) backupView.selected.add(key);
+      else backupView.selected.delete(key);
+    }
+  } else if (cb.classList.contains('cb-backup-entry')) {
+    if (cb.checked) backupView.selected.add(cb.dataset.key);
+    else backupView.selected.delete(cb.dataset.key);
+  } else {
+    return;
+  }
+  renderBackups(e.currentTarget, backups);
+}
+
+function onBackupListClick(e) {
+  const listEl = e.currentTarget;
+  const backups = window.__backupsCache?.backups || {};
+  const btn = e.target.closest('button[data-action]');
+  if (btn) {
+    const { date, url } = btn.dataset;
+    const item = (backups[date] || []).find((x) => x.url === url);
+    if (item) applyToEntries(btn.dataset.action, { closed: [], backups: new Map([[date, [item]]]) });
+    return;
+  }
+  const toggle = e.target.closest('.domain-toggle');
+  if (!toggle) return;
+  const { date } = toggle.dataset;
+  if (backupView.expanded.has(date)) backupView.expanded.delete(date);
+  else backupView.expanded.add(date);
+  renderBackups(listEl, backups);
+}
+
+/** Сессии: имя, число окон/вкладок, дата; восстановление и удаление делает service worker. */
+function renderSessions(listEl, sessions) {
+  listEl.innerHTML = '';
+  if (!sessions.length) {
+    listEl.innerHTML = '<li class="empty">No saved sessions. Use “Save session” in the side panel.</li>';
+    return;
+  }
+  for (const session of sessions) {
+    const windows = Array.isArray(session.windows) ? session.windows : [];
+    const tabCount = windows.reduce((n, w) => n + (Array.isArray(w.tabs) ? w.tabs.length : 0), 0);
+    const date = session.createdAt ? new Date(session.createdAt).toLocaleString() : '—';
+    const li = document.createElement('li');
+    li.innerHTML = `
       <div class="item-content">
-        <div class="item-title">${escapeHtml(date)}</div>
-        <div class="item-url">${items.length} tab(s)</div>
+        <div class="item-title" title="${escapeAttr(session.name)}">${escapeHtml(session.name || '—')}</div>
+        <div class="item-url">${windows.length} window(s), ${tabCount} tab(s)</div>
       </div>
-      <span class="item-meta"></span>
+      <span class="item-meta">${escapeHtml(date)}</span>
+      <span class="item-actions">
+        <button data-action="restore" data-id="${escapeAttr(session.id)}">Restore</button>
+        <button data-action="restoreSuspended" data-id="${escapeAttr(session.id)}" title="Open all tabs as placeholders — nothing loads until clicked">Restore suspended</button>
+        <button data-action="delete" data-id="${escapeAttr(session.id)}">Delete</button>
+      </span>
     `;
     listEl.appendChild(li);
   }
 }
 
+function sendMessage(msg) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(msg, (res) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(res);
+    });
+  });
+}
+
+async function onSessionAction(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const { action, id } = btn.dataset;
+  if (action === 'delete') {
+    if (!confirm('Delete this session?')) return;
+    await sendMessage({ type: 'deleteSession', id });
+    await refresh();
+    return;
+  }
+  btn.disabled = true;
+  try {
+    const res = await sendMessage({ type: 'restoreSession', id, asPlaceholders: action === 'restoreSuspended' });
+    if (!res || !res.ok) alert(res?.reason || 'Could not restore session.');
+  } catch (err) {
+    alert('Could not reach extension.');
+  }
+  btn.disabled = false;
+}
+
 function escapeHtml(s) {
   if (s == null) return '';
   const div = document.createElement('div');
@@ -111,61 +416,198 @@ function escapeAttr(s) {
 async function refresh() {
   const data = await loadAll();
   window.__backupsCache = data;
-  renderClosed(document.getElementById('closedList'), data.closedAndSaved);
+  renderClosed();
+  renderSessions(document.getElementById('sessionList'), data.sessions);
   renderBackups(document.getElementById('backupList'), data.backups);
 }
 
-function getSelectedUrls() {
-  const urls = [];
-  document.querySelectorAll('.cb-closed:checked').forEach((cb) => {
-    const u = cb.dataset.url;
-    if (u) urls.push(u);
-  });
-  document.querySelectorAll('.cb-backup:checked').forEach((cb) => {
-    const date = cb.dataset.date;
-    if (!date) return;
-    const backupData = window.__backupsCache?.backups?.[date];
-    if (Array.isArray(backupData)) backupData.forEach((item) => item.url && urls.push(item.url));
+/** Выбранное: { closed: записи «Closed and saved» среди показанных фильтром, backups: дата → записи бэкапа }. */
+function getSelection() {
+  const closed = closedView.filtered.filter((item) => closedView.selected.has(closedItemKey(item)));
+  const backups = new Map();
+  for (const [date, items] of Object.entries(window.__backupsCache?.backups || {})) {
+    const picked = items.filter((item) => backupView.selected.has(backupEntryKey(date, item.url)));
+    if (picked.length) backups.set(date, picked);
+  }
+  return { closed, backups };
+}
+
+/** Записи для открытия ({ url, group? }) без повторов URL. */
+function uniqueByUrl({ closed, backups }) {
+  const seen = new Set();
+  return [...closed, ...[...backups.values()].flat().map((item) => ({ url: item.url }))].filter((item) => {
+    if (!item.url || seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
   });
-  return [...new Set(urls)];
 }
 
-async function openSelected() {
-  const urls = getSelectedUrls();
-  if (!urls.length) return alert('Select at least one item.');
-  for (const url of urls) {
-    try { await chrome.tabs.create({ url }); } catch (e) { console.warn(e); }
+function getSelectedItems() {
+  return uniqueByUrl(getSelection());
+}
+
+/** Убрать записи из closedAndSaved по ключам. Читаем свежий список — SW мог тем временем дописать новые. */
+async function removeClosedItems(keys) {
+  if (!keys.size) return;
+  const current = await readClosedAndSaved();
+  await writeClosedAndSaved(current.filter((item) => !keys.has(closedItemKey(item))));
+}
+
+/** Убрать записи из бэкапов (дата → Set URL); опустевшую дату удаляем целиком. */
+async function removeBackupEntries(urlsByDate) {
+  const keep = {};
+  const drop = [];
+  for (const [date, urls] of urlsByDate) {
+    const rest = (await readBackup(date)).filter((item) => !urls.has(item.url));
+    if (rest.length) keep[date] = rest;
+    else drop.push(date);
+  }
+  if (Object.keys(keep).length) await writeBackups(keep);
+  await removeBackups(drop);
+}
+
+/**
+ * Действие над записями истории: 'restore' — открыть, 'restoreRemove' — открыть и убрать из истории,
+ * 'delete' — убрать. Удаление всегда подтверждается, «открыть и убрать» — если записей несколько.
+ * Убираются только записи, чьи вкладки действительно открылись.
+ */
+async function applyToEntries(action, { closed, backups }) {
+  const count = closed.length + [...backups.values()].reduce((n, list) => n + list.length, 0);
+  if (!count) return alert('Select at least one item.');
+  if (action === 'delete' && !confirm(count === 1 ? 'Delete this item from history?' : `Delete ${count} items from history?`)) return;
+  if (action === 'restoreRemove' && count > 1 && !confirm(`Open ${count} items and remove them from history?`)) return;
+  let opened = null;
+  if (action !== 'delete') {
+    opened = new Set((await openItems(uniqueByUrl({ closed, backups }))).map((item) => item.url));
+    if (action === 'restore') return;
   }
+  const removable = (item) => !opened || opened.has(item.url);
+  await removeClosedItems(new Set(closed.filter(removable).map(closedItemKey)));
+  const urlsByDate = new Map();
+  for (const [date, list] of backups) {
+    const urls = new Set(list.filter(removable).map((item) => item.url));
+    if (urls.size) urlsByDate.set(date, urls);
+  }
+  await removeBackupEntries(urlsByDate);
+  await refresh();
+}
+
+/** Открыть записи во вкладках; записи с одной сохранённой группой (заголовок + цвет) снова собираем в группу.
+ * Возвращает записи, для которых вкладка открылась. */
+async function openItems(items) {
+  const groups = new Map();
+  const opened = [];
+  for (const item of items) {
+    let tab = null;
+    try { tab = await chrome.tabs.create({ url: item.url }); } catch (e) { console.warn(e); }
+    if (tab) opened.push(item);
+    if (!tab || !item.group) continue;
+    const key = `${item.group.title}\u0000${item.group.color}`;
+    if (!groups.has(key)) groups.set(key, { group: item.group, tabIds: [] });
+    groups.get(key).tabIds.push(tab.id);
+  }
+  for (const { group, tabIds } of groups.values()) {
+    try {
+      const groupId = await chrome.tabs.group({ tabIds });
+      await chrome.tabGroups.update(groupId, { title: group.title || '', color: group.color || 'grey' });
+    } catch (e) {
+      console.warn('[TabHibernate] group recreate failed', e);
+    }
+  }
+  return opened;
 }
 
-/** Открыть все страницы из «Closed and saved» в новых вкладках; после открытия — очистить историю. */
+async function openSelected() {
+  const items = getSelectedItems();
+  if (!items.length) return alert('Select at least one item.');
+  await openItems(items);
+}
+
+/** Открыть все страницы из «Closed and saved» в новых вкладках; после открытия — очистить историю.
+ * Очищает service worker: прежний список попадает в журнал, и «Undo last action» в панели его вернёт. */
 async function openAll() {
   const items = window.__backupsCache?.closedAndSaved;
   if (!Array.isArray(items) || !items.length) return alert('No closed-and-saved tabs.');
-  const urls = items.map((x) => x.url).filter(Boolean);
-  if (!urls.length) return alert('No URLs to open.');
-  for (const url of urls) {
-    try { await chrome.tabs.create({ url }); } catch (e) { console.warn(e); }
+  const toOpen = items.filter((x) => x.url);
+  if (!toOpen.length) return alert('No URLs to open.');
+  await openItems(toOpen);
+  try {
+    await sendMessage({ type: 'clearClosedAndSaved' });
+  } catch (e) {
+    alert('Tabs opened, but history could not be cleared: extension is not reachable.');
+    return;
   }
-  await chrome.storage.local.set({ closedAndSaved: [] });
   if (window.__backupsCache) window.__backupsCache.closedAndSaved = [];
   await refresh();
 }
 
+/** Экспорт в формате, выбранном рядом с кнопкой. */
 function exportData() {
-  const data = {
+  const format = document.getElementById('exportFormat').value;
+  const { ext, mime } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const content = buildExport(format, {
     closedAndSaved: window.__backupsCache?.closedAndSaved ?? [],
     backups: window.__backupsCache?.backups ?? {},
-    exportedAt: new Date().toISOString(),
-  };
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  });
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
   const url = URL.createObjectURL(blob);
-  const filename = `tab-hibernate-backup-${new Date().toISOString().slice(0, 10)}.json`;
+  const filename = buildExportFilename(ext);
   chrome.downloads.download({ url, filename, saveAs: true }, () => {
     URL.revokeObjectURL(url);
   });
 }
 
+/** Записи incoming, чьих URL ещё нет в existing; повторы внутри incoming тоже отбрасываются. */
+function newByUrl(existing, incoming) {
+  const seen = new Set(existing.map((x) => x.url));
+  return incoming.filter((item) => {
+    if (!item.url || seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
+  });
+}
+
+/** Дописать в бэкап даты новые по URL записи. */
+function mergeIntoBackup(current, incoming) {
+  const added = newByUrl(current, incoming).map((item) => ({
+    url: item.url,
+    title: item.title || item.url,
+    ts: item.ts || item.savedAt || Date.now(),
+  }));
+  return [...current, ...added];
+}
+
+/** Разобранный файл ждёт подтверждения в панели предпросмотра. */
+let pendingImport = null;
+
+function importTargetList() {
+  const cache = window.__backupsCache || {};
+  if (document.getElementById('importTarget').value === 'closed') return cache.closedAndSaved || [];
+  return cache.backups?.[document.getElementById('importDate').value] || [];
+}
+
+/** Предпросмотр: формат, сколько ссылок новых и сколько уже есть в выбранном списке. */
+function renderImportPreview() {
+  const preview = document.getElementById('importPreview');
+  if (!pendingImport) {
+    preview.hidden = true;
+    return;
+  }
+  const { format, items, backups, skipped } = pendingImport;
+  const fresh = newByUrl(importTargetList(), items).length;
+  const parts = [`${EXPORT_FORMATS[format].label}: ${items.length} link(s) — ${fresh} new, ${items.length - fresh} already saved`];
+  const dates = Object.keys(backups);
+  if (dates.length) {
+    const links = dates.reduce((n, d) => n + backups[d].length, 0);
+    parts.push(`${dates.length} backup date(s) with ${links} link(s) merged by date`);
+  }
+  if (skipped) parts.push(`${skipped} entry(ies) without a valid URL skipped`);
+  document.getElementById('importSummary').textContent = parts.join('; ') + '.';
+  document.getElementById('importTargetRow').hidden = !items.length;
+  document.getElementById('importDate').hidden = document.getElementById('importTarget').value !== 'backup';
+  preview.hidden = false;
+}
+
 async function importData(file) {
   const text = await new Promise((resolve, reject) => {
     const r = new FileReader();
@@ -173,64 +615,101 @@ async function importData(file) {
     r.onerror = () => reject(new Error('Read failed'));
     r.readAsText(file, 'UTF-8');
   });
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch (e) {
-    alert('Invalid JSON file.');
+  const parsed = parseImport(text);
+  if (!parsed) {
+    alert('Unrecognized file. Supported: JSON, bookmarks HTML, Markdown, CSV, OneTab.');
     return;
   }
+  if (!parsed.items.length && !Object.keys(parsed.backups).length) {
+    alert('No links found in the file.');
+    return;
+  }
+  pendingImport = parsed;
+  document.getElementById('importDate').value = todayDateString();
+  renderImportPreview();
+}
+
+/** Слияние по URL: в Closed and saved новые записи идут в начало, в бэкап даты — в конец. */
+async function confirmImport() {
+  if (!pendingImport) return;
+  const { items, backups: importedBackups } = pendingImport;
   const existing = await loadAll();
-  const maxClosed = window.__closedSavedMax ?? 2000;
-  const closedAndSaved = [...(Array.isArray(data.closedAndSaved) ? data.closedAndSaved : []), ...existing.closedAndSaved].slice(0, maxClosed);
-  const backups = { ...existing.backups };
-  if (data.backups && typeof data.backups === 'object') {
-    for (const [date, list] of Object.entries(data.backups)) {
-      if (!Array.isArray(list)) continue;
-      const key = `backup_${date}`;
-      const current = backups[date] || [];
-      const seen = new Set(current.map((x) => x.url));
-      for (const item of list) {
-        if (item && item.url && !seen.has(item.url)) {
-          current.push({ url: item.url, title: item.title || item.url, ts: item.ts || Date.now() });
-          seen.add(item.url);
-        }
-      }
-      backups[date] = current;
-    }
+  const backups = {};
+  for (const [date, list] of Object.entries(importedBackups)) {
+    backups[date] = mergeIntoBackup(existing.backups[date] || [], list);
+  }
+  let closedAndSaved = existing.closedAndSaved;
+  if (items.length && document.getElementById('importTarget').value === 'backup') {
+    const date = document.getElementById('importDate').value || todayDateString();
+    backups[date] = mergeIntoBackup(backups[date] || existing.backups[date] || [], items);
+  } else if (items.length) {
+    const now = Date.now();
+    const added = newByUrl(closedAndSaved, items).map((item) => ({ ...item, savedAt: item.savedAt || now }));
+    closedAndSaved = await writeClosedAndSaved([...added, ...closedAndSaved]);
   }
-  const toSet = { closedAndSaved };
-  for (const [date, list] of Object.entries(backups)) toSet[`backup_${date}`] = list;
-  await chrome.storage.local.set(toSet);
-  window.__backupsCache = { closedAndSaved, backups };
+  await writeBackups(backups);
+  pendingImport = null;
+  window.__backupsCache = { ...window.__backupsCache, closedAndSaved, backups: { ...existing.backups, ...backups } };
   await refresh();
+  renderImportPreview();
   alert('Import done.');
 }
 
+function cancelImport() {
+  pendingImport = null;
+  renderImportPreview();
+}
+
 async function init() {
-  try {
-    const res = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ type: 'getConstants' }, resolve);
-    });
-    if (res && typeof res.closedSavedMax === 'number') {
-      window.__closedSavedMax = res.closedSavedMax;
-    } else {
-      window.__closedSavedMax = 2000;
-    }
-  } catch (e) {
-    window.__closedSavedMax = 2000;
-  }
   document.getElementById('exportBtn').addEventListener('click', () => exportData());
   document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
   document.getElementById('importFile').addEventListener('change', (e) => {
     const f = e.target.files?.[0];
-    if (f) importData(f);
+    if (f) {
+      importData(f).catch((err) => {
+        console.warn('[TabHibernate] import failed', err);
+        alert(`Could not read the file: ${err.message || err}`);
+      });
+    }
     e.target.value = '';
   });
+  document.getElementById('importTarget').addEventListener('change', renderImportPreview);
+  document.getElementById('importDate').addEventListener('change', renderImportPreview);
+  document.getElementById('importConfirm').addEventListener('click', confirmImport);
+  document.getElementById('importCancel').addEventListener('click', cancelImport);
   document.getElementById('openSelected').addEventListener('click', openSelected);
+  document.getElementById('restoreRemoveSelected').addEventListener('click', () => applyToEntries('restoreRemove', getSelection()));
+  document.getElementById('deleteSelected').addEventListener('click', () => applyToEntries('delete', getSelection()));
+  document.getElementById('backupList').addEventListener('change', onBackupListChange);
+  document.getElementById('backupList').addEventListener('click', onBackupListClick);
   document.getElementById('openAllBtn').addEventListener('click', openAll);
+  document.getElementById('sessionList').addEventListener('click', onSessionAction);
+  const closedList = document.getElementById('closedList');
+  closedList.addEventListener('change', onClosedListChange);
+  closedList.addEventListener('click', onClosedListClick);
+  closedList.addEventListener('scroll', onClosedListScroll, { passive: true });
+  window.addEventListener('resize', onClosedListScroll);
+  document.getElementById('selectAllClosed').addEventListener('change', (e) => {
+    setSelected(closedView.filtered, e.target.checked);
+    renderClosedWindow();
+  });
+  document.getElementById('closedSearch').addEventListener('input', onClosedFilterChange);
+  document.getElementById('closedFrom').addEventListener('change', onClosedFilterChange);
+  document.getElementById('closedTo').addEventListener('change', onClosedFilterChange);
+  document.getElementById('groupByDomain').addEventListener('change', onClosedFilterChange);
+  chrome.storage.onChanged.addListener(onStorageChanged);
   refresh();
-  setInterval(refresh, 3000);
+}
+
+let refreshTimer = null;
+
+/** Перерисовка по изменениям storage вместо опроса (выбор и прокрутка сохраняются); пачку изменений — одним refresh. */
+function onStorageChanged(changes, areaName) {
+  if (areaName !== 'local') return;
+  const relevant = Object.keys(changes).some((key) => key === 'closedAndSaved' || key === 'sessions' || key === 'faviconCache' || key.startsWith(KEY_PREFIX_BACKUP));
+  if (!relevant) return;
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, 100);
 }
 
 init();
@@ -1,5 +1,6 @@
 /**
- * Popup: load/save settings, backup button, suspend-all, stats.
+ * Popup: load/save settings, site rules editor, backup button, bulk actions (scope: window / other windows / all),
+ * undo of the last bulk action, auto export settings and status, stats.
  * Handles lastError and retries when the service worker is waking up.
  */
 
@@ -7,33 +8,268 @@ const el = {
   enabled: document.getElementById('enabled'),
   timeout: document.getElementById('timeout'),
   mode: document.getElementById('mode'),
+  thumbnails: document.getElementById('thumbnails'),
+  restoreOnFocus: document.getElementById('restoreOnFocus'),
+  restoreOnFocusDelay: document.getElementById('restoreOnFocusDelay'),
+  restoreOnFocusDelayRow: document.getElementById('restoreOnFocusDelayRow'),
+  trigger: document.getElementById('trigger'),
+  timeoutRow: document.getElementById('timeoutRow'),
+  memorySettings: document.getElementById('memorySettings'),
+  memoryLow: document.getElementById('memoryLow'),
+  memoryTarget: document.getElementById('memoryTarget'),
+  memoryMax: document.getElementById('memoryMax'),
   backup: document.getElementById('backup'),
   suspendCurrent: document.getElementById('suspendCurrent'),
+  suspendOthers: document.getElementById('suspendOthers'),
+  bulkScope: document.getElementById('bulkScope'),
   suspendAll: document.getElementById('suspendAll'),
   restoreAll: document.getElementById('restoreAll'),
+  restoreProgressRow: document.getElementById('restoreProgressRow'),
+  restoreProgress: document.getElementById('restoreProgress'),
+  restoreCancel: document.getElementById('restoreCancel'),
+  restoreAllMode: document.getElementById('restoreAllMode'),
   closeAndSave: document.getElementById('closeAndSave'),
+  undoLast: document.getElementById('undoLast'),
+  migrateForeign: document.getElementById('migrateForeign'),
+  migrateForeignRestore: document.getElementById('migrateForeignRestore'),
   openHistory: document.getElementById('openHistory'),
+  openStats: document.getElementById('openStats'),
+  sessionName: document.getElementById('sessionName'),
+  saveSession: document.getElementById('saveSession'),
+  openShortcuts: document.getElementById('openShortcuts'),
   stats: document.getElementById('stats'),
   statsNumber: document.getElementById('statsNumber'),
   statusLine: document.getElementById('statusLine'),
+  actionNote: document.getElementById('actionNote'),
+  rulesList: document.getElementById('rulesList'),
+  rulePattern: document.getElementById('rulePattern'),
+  ruleAction: document.getElementById('ruleAction'),
+  ruleTimeout: document.getElementById('ruleTimeout'),
+  ruleAdd: document.getElementById('ruleAdd'),
+  groupsList: document.getElementById('groupsList'),
+  syncClosedAndSaved: document.getElementById('syncClosedAndSaved'),
+  deviceLabel: document.getElementById('deviceLabel'),
+  saveDeviceLabel: document.getElementById('saveDeviceLabel'),
+  autoExport: document.getElementById('autoExport'),
+  autoExportSettings: document.getElementById('autoExportSettings'),
+  autoExportHours: document.getElementById('autoExportHours'),
+  autoExportKeep: document.getElementById('autoExportKeep'),
+  exportNow: document.getElementById('exportNow'),
+  autoExportStatus: document.getElementById('autoExportStatus'),
 };
 
 async function loadSettings() {
-  const { settings } = await chrome.storage.local.get('settings');
-  if (settings) {
-    el.enabled.checked = settings.enabled !== false;
-    el.timeout.value = String(settings.timeoutMinutes ?? 5);
-    el.mode.value = settings.mode === 'placeholder' ? 'placeholder' : 'discard';
-  }
+  const settings = await readSettings();
+  el.enabled.checked = settings.enabled;
+  el.timeout.value = String(settings.timeoutMinutes);
+  el.mode.value = settings.mode;
+  el.thumbnails.checked = settings.thumbnails;
+  el.restoreOnFocus.checked = settings.restoreOnFocus;
+  el.restoreOnFocusDelay.value = String(settings.restoreOnFocusDelayMs);
+  el.restoreOnFocusDelayRow.hidden = !settings.restoreOnFocus;
+  el.trigger.value = settings.trigger;
+  el.memoryLow.value = String(settings.memoryLowPercent);
+  el.memoryTarget.value = String(settings.memoryTargetPercent);
+  el.memoryMax.value = String(settings.memoryMaxPerCheck);
+  el.bulkScope.value = settings.bulkScope;
+  el.restoreAllMode.value = settings.restoreAllMode;
+  el.syncClosedAndSaved.checked = settings.syncClosedAndSaved;
+  el.autoExport.checked = settings.autoExportEnabled;
+  el.autoExportHours.value = String(settings.autoExportHours);
+  el.autoExportKeep.value = String(settings.autoExportKeep);
+  el.autoExportSettings.hidden = !settings.autoExportEnabled;
+  updateTriggerRows();
+}
+
+/** Таймаут нужен только таймеру, пороги памяти — только режиму «память». */
+function updateTriggerRows() {
+  const memory = el.trigger.value === 'memory';
+  el.timeoutRow.hidden = memory;
+  el.memorySettings.hidden = !memory;
 }
 
+/** Значения проверяет normalizeSettings (storage.js); поля, которых нет в панели, сохраняются. */
 function saveSettings() {
-  const settings = {
+  updateTriggerRows();
+  updateSettings({
     enabled: el.enabled.checked,
-    timeoutMinutes: parseInt(el.timeout.value, 10) || 5,
-    mode: el.mode.value === 'placeholder' ? 'placeholder' : 'discard',
-  };
-  chrome.storage.local.set({ settings });
+    timeoutMinutes: parseInt(el.timeout.value, 10),
+    mode: el.mode.value,
+    trigger: el.trigger.value,
+    memoryLowPercent: parseInt(el.memoryLow.value, 10),
+    memoryTargetPercent: parseInt(el.memoryTarget.value, 10),
+    memoryMaxPerCheck: parseInt(el.memoryMax.value, 10),
+    thumbnails: el.thumbnails.checked,
+    restoreOnFocus: el.restoreOnFocus.checked,
+    restoreOnFocusDelayMs: parseInt(el.restoreOnFocusDelay.value, 10),
+    bulkScope: el.bulkScope.value,
+    restoreAllMode: el.restoreAllMode.value,
+    syncClosedAndSaved: el.syncClosedAndSaved.checked,
+    autoExportEnabled: el.autoExport.checked,
+    autoExportHours: parseInt(el.autoExportHours.value, 10),
+    autoExportKeep: parseInt(el.autoExportKeep.value, 10),
+  });
+}
+
+// ——— Правила по сайтам (siteRules): редактор пишет в storage, service worker читает при каждой проверке.
+function renderRules(rules) {
+  if (!el.rulesList) return;
+  el.rulesList.innerHTML = '';
+  if (!rules.length) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No rules — all sites use the settings above.';
+    el.rulesList.appendChild(li);
+    return;
+  }
+  rules.forEach((rule, index) => {
+    const li = document.createElement('li');
+    const pattern = document.createElement('span');
+    pattern.className = 'rule-pattern';
+    pattern.textContent = rule.pattern;
+    pattern.title = rule.pattern;
+    const action = document.createElement('span');
+    action.className = 'rule-action';
+    action.textContent = rule.action === 'timeout' ? `${rule.timeoutMinutes} min` : rule.action;
+    const remove = document.createElement('button');
+    remove.className = 'rule-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove rule';
+    remove.addEventListener('click', () => removeRule(index));
+    li.append(pattern, action, remove);
+    el.rulesList.appendChild(li);
+  });
+}
+
+/** Убираем схему и завершающий «/» у хоста, чтобы «https://mail.google.com/» стал «mail.google.com». */
+function normalizeRulePattern(value) {
+  let p = String(value || '').trim();
+  if (!p) return '';
+  if (/^[a-z][a-z0-9+.-]*:\/\/[^/]+\/?$/i.test(p)) p = p.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/\/$/, '');
+  return p;
+}
+
+async function addRule() {
+  const pattern = normalizeRulePattern(el.rulePattern.value);
+  if (!pattern) {
+    el.rulePattern.focus();
+    return;
+  }
+  // Для групп поддерживается только «never suspend».
+  const action = pattern.toLowerCase().startsWith('group:') ? 'never' : el.ruleAction.value;
+  const rule = { pattern, action };
+  if (rule.action === 'timeout') rule.timeoutMinutes = parseInt(el.ruleTimeout.value, 10) || 30;
+  const rules = (await readSiteRules()).filter((r) => r.pattern !== pattern);
+  rules.push(rule);
+  await writeSiteRules(rules);
+  el.rulePattern.value = '';
+}
+
+async function removeRule(index) {
+  const rules = await readSiteRules();
+  rules.splice(index, 1);
+  await writeSiteRules(rules);
+}
+
+/** Подсказка в поле шаблона — хост текущей вкладки. */
+async function prefillRulePattern() {
+  if (!el.rulePattern) return;
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const host = tab && tab.url ? new URL(tab.url).hostname : '';
+    if (host) el.rulePattern.placeholder = host;
+  } catch (e) {
+    // системная страница или нет вкладки — оставляем пример из разметки
+  }
+}
+
+// ——— Группы вкладок: список со счётчиком приостановленных и действиями над группой целиком.
+const GROUP_COLORS = {
+  grey: '#9aa0a6',
+  blue: '#8ab4f8',
+  red: '#f28b82',
+  yellow: '#fdd663',
+  green: '#81c995',
+  pink: '#ff8bcb',
+  purple: '#c58af9',
+  cyan: '#78d9ec',
+  orange: '#fcad70',
+};
+
+/** Заглушка (в т.ч. со старым ID расширения) или выгруженная вкладка. */
+function isTabSuspended(tab) {
+  if (tab.discarded) return true;
+  try {
+    const u = new URL(tab.url || '');
+    return u.pathname.endsWith('suspended.html') && u.searchParams.has('tabId');
+  } catch (e) {
+    return false;
+  }
+}
+
+async function renderGroups() {
+  if (!el.groupsList) return;
+  let groups = [];
+  let tabs = [];
+  try {
+    [groups, tabs] = await Promise.all([chrome.tabGroups.query({}), chrome.tabs.query({})]);
+  } catch (e) {
+    groups = [];
+  }
+  el.groupsList.innerHTML = '';
+  if (!groups.length) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No tab groups.';
+    el.groupsList.appendChild(li);
+    return;
+  }
+  for (const group of groups) {
+    const inGroup = tabs.filter((t) => t.groupId === group.id);
+    const suspended = inGroup.filter(isTabSuspended).length;
+    const li = document.createElement('li');
+    const dot = document.createElement('span');
+    dot.className = 'group-dot';
+    dot.style.background = GROUP_COLORS[group.color] || GROUP_COLORS.grey;
+    const title = document.createElement('span');
+    title.className = 'rule-pattern';
+    title.textContent = group.title || 'Untitled group';
+    title.title = title.textContent;
+    const count = document.createElement('span');
+    count.className = 'rule-action';
+    count.textContent = `${suspended}/${inGroup.length}`;
+    count.title = `${suspended} of ${inGroup.length} tabs suspended`;
+    li.append(dot, title, count);
+    for (const [type, label, hint] of [
+      ['suspendGroup', 'Suspend', 'Suspend tabs in this group'],
+      ['restoreGroup', 'Restore', 'Restore suspended tabs in this group'],
+      ['closeAndSaveGroup', 'Save', 'Close and save this group (title and color are kept)'],
+    ]) {
+      const btn = document.createElement('button');
+      btn.className = 'group-action';
+      btn.textContent = label;
+      btn.title = hint;
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          await sendMessageWithRetry({ type, groupId: group.id });
+        } catch (e) {
+          btn.textContent = 'Error';
+        }
+        refreshStats();
+        renderGroups();
+      });
+      li.appendChild(btn);
+    }
+    el.groupsList.appendChild(li);
+  }
+}
+
+/** Панель может быть открыта долго — перерисовываем группы при изменениях вкладок (не чаще раза в 300 мс). */
+let renderGroupsTimer = null;
+function scheduleRenderGroups() {
+  clearTimeout(renderGroupsTimer);
+  renderGroupsTimer = setTimeout(renderGroups, 300);
 }
 
 function sendMessageWithRetry(msg, retries = 3) {
@@ -55,6 +291,17 @@ function sendMessageWithRetry(msg, retries = 3) {
   });
 }
 
+/** Область массового действия для сообщения: окно, в котором открыт popup / боковая панель. */
+async function getBulkTarget() {
+  let windowId = null;
+  try {
+    windowId = (await chrome.windows.getCurrent()).id;
+  } catch (e) {
+    // окно не определить — SW возьмёт последнее активное
+  }
+  return { scope: el.bulkScope.value, windowId };
+}
+
 function formatLastCheck(ts) {
   if (!ts) return 'never';
   const min = Math.floor((Date.now() - ts) / 60000);
@@ -63,6 +310,14 @@ function formatLastCheck(ts) {
   return `${min} min ago`;
 }
 
+/** Пояснение под кнопками: сколько вкладок пропущено из-за несохранённого ввода. */
+function showSkipNote(res) {
+  if (!el.actionNote) return;
+  const n = res && typeof res.skippedUnsaved === 'number' ? res.skippedUnsaved : 0;
+  el.actionNote.textContent = n > 0 ? `Skipped ${n} tab(s) with unsaved input.` : '';
+  el.actionNote.hidden = n === 0;
+}
+
 async function refreshStats() {
   try {
     const res = await sendMessageWithRetry({ type: 'getStatus' });
@@ -84,14 +339,77 @@ async function refreshStats() {
   }
 }
 
-/** Обновлять счётчик при изменении closedAndSaved (очистка истории, импорт и т.д.). */
+/** Подписи записей журнала для кнопки Undo. */
+const ACTION_LABELS = {
+  closeAndSave: 'Close all and save',
+  suspendAll: 'Suspend all',
+  clearClosedAndSaved: 'Clear history',
+};
+
+/** Кнопка Undo показывает, что будет отменено; без записей в журнале — неактивна. */
+function renderUndoButton(journal) {
+  if (!el.undoLast || el.undoLast.dataset.busy) return;
+  const [last] = journal;
+  el.undoLast.disabled = !last;
+  if (!last) {
+    el.undoLast.textContent = 'Undo last action';
+    return;
+  }
+  const n = last.type === 'clearClosedAndSaved' ? (last.closedAndSaved || []).length : last.tabs.length;
+  el.undoLast.textContent = `Undo: ${ACTION_LABELS[last.type]} (${n})`;
+}
+
+/** Строка под кнопкой Export now: время последнего автоэкспорта и ошибка, если последняя попытка не удалась. */
+function renderAutoExportStatus(state) {
+  if (!el.autoExportStatus) return;
+  const last = state.lastExportAt ? new Date(state.lastExportAt).toLocaleString() : 'never';
+  el.autoExportStatus.textContent = `Last export: ${last}${state.lastError ? ` (last attempt failed: ${state.lastError})` : ''}`;
+}
+
+/** Обновлять счётчик при изменении closedAndSaved (очистка истории, импорт и т.д.), настройки (могли прийти с другого
+ * устройства), список правил, кнопку Undo и статус экспорта. */
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && changes.closedAndSaved) refreshStats();
+  if (areaName !== 'local') return;
+  if (changes.closedAndSaved) refreshStats();
+  if (changes.settings) loadSettings();
+  if (changes.siteRules) renderRules(normalizeSiteRules(changes.siteRules.newValue));
+  if (changes.actionJournal) renderUndoButton(normalizeActionJournal(changes.actionJournal.newValue));
+  if (changes.autoExportState) renderAutoExportStatus(normalizeAutoExportState(changes.autoExportState.newValue));
+  if (changes.restoreQueueState) renderRestoreProgress(normalizeRestoreQueueState(changes.restoreQueueState.newValue));
 });
 
 el.enabled.addEventListener('change', saveSettings);
 el.timeout.addEventListener('change', saveSettings);
 el.mode.addEventListener('change', saveSettings);
+el.thumbnails.addEventListener('change', saveSettings);
+el.restoreOnFocus.addEventListener('change', () => {
+  el.restoreOnFocusDelayRow.hidden = !el.restoreOnFocus.checked;
+  saveSettings();
+});
+el.restoreOnFocusDelay.addEventListener('change', saveSettings);
+el.trigger.addEventListener('change', saveSettings);
+el.memoryLow.addEventListener('change', saveSettings);
+el.memoryTarget.addEventListener('change', saveSettings);
+el.memoryMax.addEventListener('change', saveSettings);
+el.bulkScope.addEventListener('change', saveSettings);
+el.restoreAllMode.addEventListener('change', saveSettings);
+el.syncClosedAndSaved.addEventListener('change', saveSettings);
+el.autoExport.addEventListener('change', () => {
+  el.autoExportSettings.hidden = !el.autoExport.checked;
+  saveSettings();
+});
+el.autoExportHours.addEventListener('change', saveSettings);
+el.autoExportKeep.addEventListener('change', saveSettings);
+
+if (el.ruleAdd) {
+  el.ruleAction.addEventListener('change', () => {
+    el.ruleTimeout.hidden = el.ruleAction.value !== 'timeout';
+  });
+  el.ruleAdd.addEventListener('click', addRule);
+  el.rulePattern.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addRule();
+  });
+}
 
 el.backup.addEventListener('click', async () => {
   el.backup.disabled = true;
@@ -125,25 +443,50 @@ if (el.suspendCurrent) {
         refreshStats();
       } else {
         el.suspendCurrent.textContent = res?.reason || 'Cannot suspend';
+        el.suspendCurrent.title = res?.reason || '';
       }
     } catch (e) {
       el.suspendCurrent.textContent = 'Error';
     }
     setTimeout(() => {
       el.suspendCurrent.textContent = 'Suspend current tab';
+      el.suspendCurrent.title = '';
       el.suspendCurrent.disabled = false;
     }, 1500);
   });
 }
 
+/** Всё, кроме активной вкладки этого окна: активные вкладки других окон тоже приостанавливаются. */
+if (el.suspendOthers) {
+  el.suspendOthers.addEventListener('click', async () => {
+    el.suspendOthers.disabled = true;
+    el.suspendOthers.textContent = 'Suspending…';
+    try {
+      const { windowId } = await getBulkTarget();
+      const res = await sendMessageWithRetry({ type: 'suspendAllNow', scope: 'all', windowId, exceptCurrentOnly: true });
+      const n = res && typeof res.suspended === 'number' ? res.suspended : 0;
+      el.suspendOthers.textContent = n > 0 ? `Suspended: ${n}` : 'Done';
+      showSkipNote(res);
+      refreshStats();
+    } catch (e) {
+      el.suspendOthers.textContent = 'Error';
+    }
+    setTimeout(() => {
+      el.suspendOthers.textContent = 'Suspend all except this tab';
+      el.suspendOthers.disabled = false;
+    }, 2000);
+  });
+}
+
 if (el.suspendAll) {
   el.suspendAll.addEventListener('click', async () => {
     el.suspendAll.disabled = true;
     el.suspendAll.textContent = 'Suspending…';
     try {
-      const res = await sendMessageWithRetry({ type: 'suspendAllNow' });
+      const res = await sendMessageWithRetry({ type: 'suspendAllNow', ...(await getBulkTarget()) });
       const n = res && typeof res.suspended === 'number' ? res.suspended : 0;
       el.suspendAll.textContent = n > 0 ? `Suspended: ${n}` : 'Done';
+      showSkipNote(res);
       refreshStats();
     } catch (e) {
       el.suspendAll.textContent = 'Error';
@@ -160,9 +503,11 @@ if (el.restoreAll) {
     el.restoreAll.disabled = true;
     el.restoreAll.textContent = 'Restoring…';
     try {
-      const res = await sendMessageWithRetry({ type: 'restoreAllSuspended' });
-      const n = res && typeof res.restored === 'number' ? res.restored : 0;
-      el.restoreAll.textContent = n > 0 ? `Restored: ${n}` : 'Done';
+      const res = await sendMessageWithRetry({ type: 'restoreAllSuspended', ...(await getBulkTarget()) });
+      // очередь идёт дальше без popup — ход показывает строка прогресса
+      const n = res && typeof res.queued === 'number' ? res.queued : 0;
+      if (res && res.marked > 0) el.restoreAll.textContent = `Marked: ${res.marked}`;
+      else el.restoreAll.textContent = n > 0 ? `Queued: ${n}` : 'Done';
     } catch (e) {
       el.restoreAll.textContent = 'Error';
     }
@@ -173,14 +518,34 @@ if (el.restoreAll) {
   });
 }
 
+/** Прогресс очереди «Restore all» из storage: строка с числом вкладок и Cancel, пока очередь идёт. */
+function renderRestoreProgress(state) {
+  if (!el.restoreProgressRow) return;
+  el.restoreProgressRow.hidden = !state.active;
+  el.restoreProgress.textContent = `Restoring ${state.done} / ${state.total}…`;
+}
+
+if (el.restoreCancel) {
+  el.restoreCancel.addEventListener('click', async () => {
+    el.restoreCancel.disabled = true;
+    try {
+      await sendMessageWithRetry({ type: 'cancelRestoreQueue' });
+    } catch (e) {
+      // очередь уже закончилась
+    }
+    el.restoreCancel.disabled = false;
+  });
+}
+
 if (el.closeAndSave) {
   el.closeAndSave.addEventListener('click', async () => {
     el.closeAndSave.disabled = true;
     el.closeAndSave.textContent = 'Closing…';
     try {
-      const res = await sendMessageWithRetry({ type: 'closeAndSaveAll' });
+      const res = await sendMessageWithRetry({ type: 'closeAndSaveAll', ...(await getBulkTarget()) });
       const n = res && typeof res.closed === 'number' ? res.closed : 0;
       el.closeAndSave.textContent = n > 0 ? `Closed: ${n}` : 'Done';
+      showSkipNote(res);
       refreshStats();
     } catch (e) {
       el.closeAndSave.textContent = 'Error';
@@ -192,6 +557,128 @@ if (el.closeAndSave) {
   });
 }
 
+if (el.undoLast) {
+  el.undoLast.addEventListener('click', async () => {
+    el.undoLast.disabled = true;
+    el.undoLast.dataset.busy = '1';
+    el.undoLast.textContent = 'Undoing…';
+    try {
+      const res = await sendMessageWithRetry({ type: 'undoLastAction' });
+      el.undoLast.textContent = res && res.ok ? `Undone: ${res.restored}` : res?.reason || 'Error';
+      refreshStats();
+    } catch (e) {
+      el.undoLast.textContent = 'Error';
+    }
+    setTimeout(async () => {
+      delete el.undoLast.dataset.busy;
+      renderUndoButton(await readActionJournal());
+    }, 2000);
+  });
+}
+
+/** Вкладки других суспендеров: mode 'placeholder' — в наши заглушки, 'restore' — на исходные страницы. */
+function bindMigrateForeign(button, mode) {
+  if (!button) return;
+  const label = button.textContent;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    button.textContent = 'Working…';
+    try {
+      const res = await sendMessageWithRetry({ type: 'migrateForeignPlaceholders', mode, ...(await getBulkTarget()) });
+      const n = res && typeof res.converted === 'number' ? res.converted : 0;
+      button.textContent = n > 0 ? `${mode === 'restore' ? 'Restored' : 'Converted'}: ${n}` : 'Done';
+      if (el.actionNote) {
+        el.actionNote.textContent = n > 0 || res?.failed
+          ? `${n} tab(s) from other suspenders ${mode === 'restore' ? 'restored' : 'converted'}${res?.failed ? `, ${res.failed} failed` : ''}.`
+          : 'No tabs from other suspenders found.';
+        el.actionNote.hidden = false;
+      }
+      refreshStats();
+    } catch (e) {
+      button.textContent = 'Error';
+    }
+    setTimeout(() => {
+      button.textContent = label;
+      button.disabled = false;
+    }, 2000);
+  });
+}
+
+bindMigrateForeign(el.migrateForeign, 'placeholder');
+bindMigrateForeign(el.migrateForeignRestore, 'restore');
+
+if (el.saveSession) {
+  el.saveSession.addEventListener('click', async () => {
+    el.saveSession.disabled = true;
+    el.saveSession.textContent = 'Saving…';
+    try {
+      const res = await sendMessageWithRetry({ type: 'saveSession', name: el.sessionName.value });
+      if (res && res.ok) {
+        el.saveSession.textContent = `Saved: ${res.tabs}`;
+        el.sessionName.value = '';
+      } else {
+        el.saveSession.textContent = res?.reason || 'Error';
+      }
+    } catch (e) {
+      el.saveSession.textContent = 'Error';
+    }
+    setTimeout(() => {
+      el.saveSession.textContent = 'Save session';
+      el.saveSession.disabled = false;
+    }, 2000);
+  });
+}
+
+// ——— Имя устройства: им подписаны записи этого устройства в History на других устройствах.
+async function loadDeviceLabel() {
+  if (!el.deviceLabel) return;
+  try {
+    const device = await sendMessageWithRetry({ type: 'getSyncDevice' });
+    if (device) el.deviceLabel.value = device.label;
+  } catch (e) {
+    // SW недоступен — поле останется пустым
+  }
+}
+
+async function saveDeviceLabel() {
+  el.saveDeviceLabel.disabled = true;
+  try {
+    const res = await sendMessageWithRetry({ type: 'setDeviceLabel', label: el.deviceLabel.value });
+    if (res && res.ok) el.deviceLabel.value = res.label;
+    el.saveDeviceLabel.textContent = res && res.ok ? 'Saved' : 'Error';
+  } catch (e) {
+    el.saveDeviceLabel.textContent = 'Error';
+  }
+  setTimeout(() => {
+    el.saveDeviceLabel.textContent = 'Rename';
+    el.saveDeviceLabel.disabled = false;
+  }, 2000);
+}
+
+if (el.saveDeviceLabel) {
+  el.saveDeviceLabel.addEventListener('click', saveDeviceLabel);
+  el.deviceLabel.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveDeviceLabel();
+  });
+}
+
+if (el.exportNow) {
+  el.exportNow.addEventListener('click', async () => {
+    el.exportNow.disabled = true;
+    el.exportNow.textContent = 'Exporting…';
+    try {
+      const res = await sendMessageWithRetry({ type: 'autoExportNow' });
+      el.exportNow.textContent = res && res.ok ? 'Done' : 'Error';
+    } catch (e) {
+      el.exportNow.textContent = 'Error';
+    }
+    setTimeout(() => {
+      el.exportNow.textContent = 'Export now';
+      el.exportNow.disabled = false;
+    }, 2000);
+  });
+}
+
 if (el.openHistory) {
   el.openHistory.addEventListener('click', (e) => {
     e.preventDefault();
@@ -199,4 +686,36 @@ if (el.openHistory) {
   });
 }
 
+if (el.openStats) {
+  el.openStats.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') });
+  });
+}
+
+/** Горячие клавиши переназначаются только на странице Chrome — открываем её. */
+if (el.openShortcuts) {
+  el.openShortcuts.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+}
+
+if (el.groupsList) {
+  chrome.tabs.onUpdated.addListener(scheduleRenderGroups);
+  chrome.tabs.onRemoved.addListener(scheduleRenderGroups);
+  if (chrome.tabGroups) {
+    chrome.tabGroups.onCreated.addListener(scheduleRenderGroups);
+    chrome.tabGroups.onUpdated.addListener(scheduleRenderGroups);
+    chrome.tabGroups.onRemoved.addListener(scheduleRenderGroups);
+  }
+}
+
 loadSettings().then(refreshStats);
+readSiteRules().then(renderRules);
+readAutoExportState().then(renderAutoExportStatus);
+loadDeviceLabel();
+readActionJournal().then(renderUndoButton);
+readRestoreQueueState().then(renderRestoreProgress);
+renderGroups();
+prefillRulePattern();
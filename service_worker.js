@@ -1,12 +1,13 @@
 /**
  * Tab Hibernate — Service Worker (MV3)
  * Управляет таймером неактивности, режимами suspend (discard/placeholder) и бэкапами вкладок.
- * Состояние переживает sleep/restart за счёт chrome.storage и chrome.alarms.
+ * Состояние переживает sleep/restart за счёт chrome.storage и chrome.alarms; формат storage — в storage.js.
  */
 
+importScripts('storage.js', 'export_formats.js');
+
 const ALARM_CHECK_NAME = 'tabHibernateCheck';
 const ALARM_CHECK_PERIOD_MINUTES = 1;
-const INACTIVITY_MINUTES = 5;
 /** Хранить бэкапы по датам только за последние N дней; старые удалять. */
 const BACKUP_RETENTION_DAYS = 30;
 
@@ -16,21 +17,91 @@ let lastActivityByTab = new Map();
 let lastPersistTime = 0;
 const PERSIST_THROTTLE_MS = 4000;
 
+// ——— Несохранённый ввод по tabId (сообщения pageState от content script): tabId → ['form', 'beforeunload'].
+// Пишется в storage сразу при изменении (редкое событие), восстанавливается в getStoredState.
+let unsavedByTab = new Map();
+
+// ——— Живая активность по tabId (pageState.live): tabId → ['media', 'call']. Играющее видео (в т.ч. без звука),
+// звонок или демонстрация экрана держат вкладку, пока идут, а не только как «недавняя активность».
+let liveByTab = new Map();
+
 async function getStoredState() {
-  const raw = await chrome.storage.local.get(['lastActivityByTab', 'settings', 'suspendedToday', 'suspendedTodayDate']);
-  if (raw.lastActivityByTab && typeof raw.lastActivityByTab === 'object') {
-    const now = Date.now();
-    lastActivityByTab = new Map(
-      Object.entries(raw.lastActivityByTab)
-        .map(([k, v]) => {
-          const id = Number(k);
-          const ts = typeof v === 'number' && !Number.isNaN(v) && v > 0 ? v : now;
-          return [id, ts];
-        })
-        .filter(([id]) => !Number.isNaN(id))
-    );
-  }
-  return raw;
+  [lastActivityByTab, unsavedByTab, liveByTab] = await Promise.all([readLastActivity(), readUnsavedByTab(), readLiveByTab()]);
+}
+
+/** Чтение-изменение-запись unsavedByTab и liveByTab по одной очереди: pageState от двух вкладок одновременно
+ * иначе затирают записи друг друга, и вкладку с несохранённой формой можно выгрузить. Ошибка — вызывающему. */
+let pageStateQueue = Promise.resolve();
+
+function updatePageState(fn) {
+  const run = pageStateQueue.then(fn);
+  pageStateQueue = run.catch(() => {});
+  return run;
+}
+
+/** Список причин вкладки в Map: пустой — удалить. true, если Map изменился. */
+function setTabReasons(map, tabId, reasons) {
+  if (reasons.length === 0) return map.delete(tabId);
+  if (JSON.stringify(map.get(tabId)) === JSON.stringify(reasons)) return false;
+  map.set(tabId, reasons);
+  return true;
+}
+
+/** Состояние одного фрейма: content script работает во всех фреймах (форма или плеер часто во iframe),
+ * причины вкладки — объединение её фреймов. live === undefined — скрипт старой версии, live фрейма не трогаем.
+ * Читаем storage заново: после сна SW Map может быть пуст. Когда живая активность вкладки кончилась
+ * (видео на паузе, звонок завершён), отсчёт неактивности начинается заново — иначе после двухчасового фильма
+ * вкладку выгрузили бы сразу. */
+function setFramePageState(tabId, frameId, unsaved, live) {
+  return updatePageState(async () => {
+    const [frames, storedUnsaved, storedLive] = await Promise.all([readPageStateFrames(), readUnsavedByTab(), readLiveByTab()]);
+    const tabFrames = frames.get(tabId) || {};
+    const frame = {
+      unsaved: Array.isArray(unsaved) ? unsaved.filter((r) => typeof r === 'string') : [],
+      live: live === undefined
+        ? (tabFrames[frameId]?.live || [])
+        : (Array.isArray(live) ? live.filter((t) => LIVE_ACTIVITY_TYPES.includes(t)) : []),
+    };
+    if (frame.unsaved.length > 0 || frame.live.length > 0) tabFrames[frameId] = frame;
+    else delete tabFrames[frameId];
+    if (Object.keys(tabFrames).length > 0) frames.set(tabId, tabFrames);
+    else frames.delete(tabId);
+
+    const union = (field) => [...new Set(Object.values(tabFrames).flatMap((f) => f[field]))];
+    const wasLive = liveByTab.has(tabId) || storedLive.has(tabId);
+    const unsavedChanged = setTabReasons(storedUnsaved, tabId, union('unsaved'));
+    const liveChanged = setTabReasons(storedLive, tabId, union('live'));
+    await Promise.all([
+      writePageStateFrames(frames),
+      unsavedChanged && writeUnsavedByTab(storedUnsaved),
+      liveChanged && writeLiveByTab(storedLive),
+    ]);
+    unsavedByTab = storedUnsaved;
+    liveByTab = storedLive;
+    if (wasLive && !storedLive.has(tabId)) markTabActive(tabId);
+  });
+}
+
+/** Убрать вкладки из unsavedByTab, liveByTab и pageStateFrames (закрыты). */
+function forgetPageState(tabIds) {
+  return updatePageState(async () => {
+    const [unsaved, live, frames] = await Promise.all([readUnsavedByTab(), readLiveByTab(), readPageStateFrames()]);
+    let unsavedChanged = false;
+    let liveChanged = false;
+    let framesChanged = false;
+    for (const id of tabIds) {
+      unsavedByTab.delete(id);
+      liveByTab.delete(id);
+      if (unsaved.delete(id)) unsavedChanged = true;
+      if (live.delete(id)) liveChanged = true;
+      if (frames.delete(id)) framesChanged = true;
+    }
+    await Promise.all([
+      unsavedChanged && writeUnsavedByTab(unsaved),
+      liveChanged && writeLiveByTab(live),
+      framesChanged && writePageStateFrames(frames),
+    ]);
+  });
 }
 
 async function persistLastActivity() {
@@ -38,10 +109,7 @@ async function persistLastActivity() {
   if (now - lastPersistTime < PERSIST_THROTTLE_MS) return;
   lastPersistTime = now;
   try {
-    const obj = Object.fromEntries(
-      [...lastActivityByTab.entries()].map(([k, v]) => [String(k), v])
-    );
-    await chrome.storage.local.set({ lastActivityByTab: obj });
+    await writeLastActivity(lastActivityByTab);
   } catch (e) {
     console.warn('[TabHibernate] persistLastActivity failed', e);
   }
@@ -65,41 +133,131 @@ function isPlaceholderTabUrl(url) {
   }
 }
 
+// ——— Правила по сайтам: локальный ключ siteRules (массив, копия siteRule_* из sync), порядок = приоритет.
+// Правило: { pattern, action: 'never' | 'timeout' | 'discard' | 'placeholder', timeoutMinutes? }; чтение — readSiteRules.
+
+function escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Шаблон без «/» — хост: example.com совпадает с доменом и поддоменами, *.example.com — только с поддоменами.
+ * Шаблон с «/» — URL с wildcard *, схему можно не указывать (github.com/org/*). */
+function ruleMatchesUrl(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  const p = pattern.trim().toLowerCase();
+  if (!p) return false;
+  if (p.includes('/')) {
+    const re = new RegExp('^' + p.split('*').map(escapeRegExp).join('.*') + '$');
+    const full = url.toLowerCase();
+    return re.test(full) || re.test(full.replace(/^[a-z][a-z0-9+.-]*:\/\//, ''));
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (!host) return false;
+  if (p.startsWith('*.')) return host.endsWith('.' + p.slice(2));
+  return host === p || host.endsWith('.' + p);
+}
+
+/** Правило «group:Название» — никогда не суспендить вкладки группы с таким заголовком (без учёта регистра). */
+const GROUP_RULE_PREFIX = 'group:';
+
+function isGroupRule(rule) {
+  return rule.pattern.trim().toLowerCase().startsWith(GROUP_RULE_PREFIX);
+}
+
+/** Первое подходящее правило для URL (или null). Правила групп здесь не участвуют. */
+function findSiteRule(url, rules) {
+  if (!url || !Array.isArray(rules)) return null;
+  return rules.find((r) => !isGroupRule(r) && ruleMatchesUrl(r.pattern, url)) || null;
+}
+
+/** Вкладка в группе, для которой есть правило group:<заголовок> с action «never». */
+async function isTabInNeverSuspendGroup(tab, rules) {
+  if (typeof tab.groupId !== 'number' || tab.groupId < 0) return false;
+  const groupRules = rules.filter((r) => r.action === 'never' && isGroupRule(r));
+  if (groupRules.length === 0) return false;
+  let title = '';
+  try {
+    title = (await chrome.tabGroups.get(tab.groupId)).title || '';
+  } catch (e) {
+    return false;
+  }
+  const t = title.trim().toLowerCase();
+  return groupRules.some((r) => r.pattern.trim().slice(GROUP_RULE_PREFIX.length).trim().toLowerCase() === t);
+}
+
+/** Таймаут и режим для конкретной вкладки с учётом правил (глобальные настройки — по умолчанию). */
+function getTabPolicy(tab, settings, rules) {
+  const rule = findSiteRule(tab && tab.url, rules);
+  const policy = { timeoutMinutes: settings.timeoutMinutes, mode: settings.mode, rule };
+  if (!rule) return policy;
+  if (rule.action === 'timeout') {
+    const t = Number(rule.timeoutMinutes);
+    if (t > 0) policy.timeoutMinutes = t;
+  } else if (rule.action === 'discard' || rule.action === 'placeholder') {
+    policy.mode = rule.action;
+  }
+  return policy;
+}
+
+/** Тексты причин, по которым вкладку нельзя приостановить (показываются в popup). */
+const SKIP_REASON_TEXT = {
+  invalid: 'Cannot suspend this tab',
+  active: 'Tab is active',
+  pinned: 'Tab is pinned',
+  audible: 'Tab is playing audio',
+  media: 'Tab is playing video or audio',
+  call: 'Tab has an active call or screen share',
+  incognito: 'Incognito tabs are not suspended',
+  system: 'System page cannot be suspended',
+  placeholder: 'Tab is already suspended',
+  rule: 'Never suspended by site rule',
+  group: 'Never suspended by tab group rule',
+  unsaved: 'Tab has unsaved input',
+};
+
 /**
- * Таб нельзя суспендить: активный, закреплённый, со звуком, системный, инкогнито, уже placeholder.
+ * Почему таб нельзя суспендить (ключ SKIP_REASON_TEXT) или null, если можно:
+ * активный, закреплённый, со звуком, с идущим видео или звонком (liveByTab), системный, инкогнито, уже placeholder, сайт помечен правилом «never»,
+ * на странице несохранённый ввод (unsavedByTab — актуален после getStoredState).
  * allowActive: при true разрешает суспендить активную вкладку (кнопка «Остановить текущую»).
+ * rules: заранее загруженные правила (в циклах по вкладкам), иначе читаются из storage.
  * ВАЖНО: Discard и Placeholder оба приводят к выгрузке страницы. Несохранённые формы и состояние
- * SPA будут потеряны — это ограничение Chrome API.
+ * SPA будут потеряны — это ограничение Chrome API; поэтому такие вкладки пропускаем.
  */
-async function isTabEligibleForSuspend(tab, { allowActive = false } = {}) {
-  if (!tab || !tab.id) return false;
-  if (tab.active && !allowActive) return false;
-  if (tab.pinned) return false;
-  if (tab.audible) return false;
-  if (tab.incognito) return false;
+async function getSuspendBlockReason(tab, { allowActive = false, rules = null } = {}) {
+  if (!tab || !tab.id) return 'invalid';
+  if (tab.active && !allowActive) return 'active';
+  if (tab.pinned) return 'pinned';
+  if (tab.audible) return 'audible';
+  const live = liveByTab.get(tab.id);
+  if (live && live.includes('call')) return 'call';
+  if (live && live.includes('media')) return 'media';
+  if (tab.incognito) return 'incognito';
   const u = (tab.url || '').toLowerCase();
-  if (u.startsWith('chrome://') || u.startsWith('chrome-extension://')) return false;
-  if (isSuspendedPlaceholderUrl(tab.url) || isPlaceholderTabUrl(tab.url)) return false; // уже заглушка (в т.ч. со старым ID после обновления)
-  return true;
+  if (u.startsWith('chrome://') || u.startsWith('chrome-extension://')) {
+    // уже заглушка (в т.ч. со старым ID после обновления)
+    return isSuspendedPlaceholderUrl(tab.url) || isPlaceholderTabUrl(tab.url) ? 'placeholder' : 'system';
+  }
+  const ruleList = rules || await readSiteRules();
+  const rule = findSiteRule(tab.url, ruleList);
+  if (rule && rule.action === 'never') return 'rule';
+  if (await isTabInNeverSuspendGroup(tab, ruleList)) return 'group';
+  if (unsavedByTab.has(tab.id)) return 'unsaved';
+  return null;
 }
 
-/** Достаём настройки из storage (дефолты не перезаписываются undefined из storage). */
-async function getSettings() {
-  const { settings } = await chrome.storage.local.get('settings');
-  const s = settings || {};
-  return {
-    enabled: s.enabled !== false,
-    timeoutMinutes: s.timeoutMinutes != null ? Number(s.timeoutMinutes) || INACTIVITY_MINUTES : INACTIVITY_MINUTES,
-    mode: s.mode === 'placeholder' ? 'placeholder' : 'discard',
-  };
+async function isTabEligibleForSuspend(tab, options) {
+  return (await getSuspendBlockReason(tab, options)) === null;
 }
 
 /** Обновляем счётчик "приостановлено сегодня"; бейдж обновляется по числу текущих заглушек. */
 async function incrementSuspendedToday() {
-  const today = new Date().toISOString().slice(0, 10);
-  const { suspendedToday = 0, suspendedTodayDate } = await chrome.storage.local.get(['suspendedToday', 'suspendedTodayDate']);
-  const count = suspendedTodayDate === today ? suspendedToday + 1 : 1;
-  await chrome.storage.local.set({ suspendedToday: count, suspendedTodayDate: today });
+  await incrementSuspendedTodayCounter();
   await updateBadge();
 }
 
@@ -111,12 +269,8 @@ async function getCurrentlySuspendedTabCount() {
 
 /** Число «в гибернации»: вкладки в заглушке + записи в истории «Closed and saved». Для бейджа и popup. */
 async function getHibernatedCount() {
-  const [tabs, raw] = await Promise.all([
-    chrome.tabs.query({}),
-    chrome.storage.local.get('closedAndSaved'),
-  ]);
+  const [tabs, closedSaved] = await Promise.all([chrome.tabs.query({}), readClosedAndSaved()]);
   const placeholderCount = tabs.filter((tab) => tab.url && isPlaceholderTabUrl(tab.url)).length;
-  const closedSaved = Array.isArray(raw.closedAndSaved) ? raw.closedAndSaved : [];
   return placeholderCount + closedSaved.length;
 }
 
@@ -133,27 +287,14 @@ async function updateBadge(count) {
   }
 }
 
-async function getSuspendedTodayCount() {
-  const today = new Date().toISOString().slice(0, 10);
-  const { suspendedToday = 0, suspendedTodayDate } = await chrome.storage.local.get(['suspendedToday', 'suspendedTodayDate']);
-  return suspendedTodayDate === today ? suspendedToday : 0;
-}
-
 /** Удалить из storage ключи backup_YYYY-MM-DD старше BACKUP_RETENTION_DAYS дней. */
 async function pruneOldBackups() {
   try {
-    const all = await chrome.storage.local.get(null);
-    const now = new Date();
-    const cutoff = new Date(now);
+    const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - BACKUP_RETENTION_DAYS);
     const cutoffStr = cutoff.toISOString().slice(0, 10);
-    for (const key of Object.keys(all)) {
-      if (!key.startsWith('backup_')) continue;
-      const dateStr = key.slice(7);
-      if (dateStr.length === 10 && dateStr < cutoffStr) {
-        await chrome.storage.local.remove(key);
-      }
-    }
+    const dates = Object.keys(await readBackups());
+    await removeBackups(dates.filter((d) => d.length === 10 && d < cutoffStr));
   } catch (e) {
     console.warn('[TabHibernate] pruneOldBackups failed', e);
   }
@@ -198,37 +339,298 @@ function hasRestorableUrl(url) {
   return u.length > 0 && u !== 'about:blank' && !u.startsWith('about:');
 }
 
-/** Режим Placeholder: сохраняем url+title, редирект на suspended.html.
- * В query добавляем fallback-параметр u (URL), чтобы при потере storage заглушка могла восстановить. */
+// ——— Снимок страницы (прокрутка, поля формы, hash) от content script. Перед restore кладём его в
+// restoreSnapshot_<tabId>, после загрузки страница забирает его сообщением getRestoreSnapshot.
+const SNAPSHOT_TIMEOUT_MS = 1000;
+const RESTORE_SNAPSHOT_TTL_MS = 2 * 60 * 1000;
+
+/** Снимок от content script; null, если скрипта нет или страница не ответила вовремя. */
+async function captureTabSnapshot(tabId) {
+  try {
+    const res = await Promise.race([
+      chrome.tabs.sendMessage(tabId, { type: 'captureSnapshot' }, { frameId: 0 }),
+      new Promise((resolve) => setTimeout(() => resolve(null), SNAPSHOT_TIMEOUT_MS)),
+    ]);
+    return res && typeof res === 'object' ? res : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Отложить снимок до загрузки восстановленной страницы в tabId. */
+async function queueRestoreSnapshot(tabId, url, snapshot) {
+  if (!snapshot) return;
+  await chrome.storage.local.set({ [restoreSnapshotKey(tabId)]: { url, snapshot, ts: Date.now() } });
+}
+
+function stripHash(url) {
+  const i = (url || '').indexOf('#');
+  return i === -1 ? url || '' : url.slice(0, i);
+}
+
+/** Отдать снимок странице один раз и только если она загрузилась по тому же URL (без учёта hash). */
+async function takeRestoreSnapshot(tabId, pageUrl) {
+  const key = restoreSnapshotKey(tabId);
+  const data = await chrome.storage.local.get(key);
+  const item = data[key];
+  if (!item) return null;
+  await chrome.storage.local.remove(key);
+  if (Date.now() - (item.ts || 0) > RESTORE_SNAPSHOT_TTL_MS) return null;
+  if (stripHash(item.url) !== stripHash(pageUrl)) return null;
+  return item.snapshot || null;
+}
+
+// ——— Миниатюры страниц для заглушки. captureVisibleTab снимает только видимую (активную) вкладку,
+// поэтому последний снимок держим в thumb_<tabId> и при placeholder-suspend переносим в запись восстановления.
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_QUALITIES = [0.6, 0.4, 0.25];
+const THUMBNAIL_MAX_CHARS = 60000;
+const THUMBNAIL_CAPTURE_DELAY_MS = 600;
+/** Доля квоты storage.local, после которой старые миниатюры начинают удаляться. */
+const THUMBNAIL_STORAGE_SHARE = 0.5;
+const thumbnailTimers = new Map();
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/** Уменьшаем скриншот до THUMBNAIL_WIDTH и снижаем качество JPEG, пока не уложимся в THUMBNAIL_MAX_CHARS. */
+async function downscaleScreenshot(dataUrl) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const scale = Math.min(1, THUMBNAIL_WIDTH / bitmap.width);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  for (const quality of THUMBNAIL_QUALITIES) {
+    const out = await blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality }));
+    if (out.length <= THUMBNAIL_MAX_CHARS) return out;
+  }
+  return null;
+}
+
+/** Снять миниатюру активной вкладки в thumb_<tabId>. Ошибки (вкладка сменилась, окно свёрнуто,
+ * лимит вызовов captureVisibleTab) не критичны — заглушка просто покажется без превью. */
+async function captureTabThumbnail(tab) {
+  if (!tab || !tab.id || !tab.active || tab.incognito) return null;
+  if (!/^(https?|file):/i.test(tab.url || '')) return null;
+  try {
+    const shot = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+    const dataUrl = await downscaleScreenshot(shot);
+    if (!dataUrl) return null;
+    const thumb = { dataUrl, url: tab.url, ts: Date.now() };
+    await chrome.storage.local.set({ [thumbKey(tab.id)]: thumb });
+    return thumb;
+  } catch (e) {
+    return null;
+  }
+}
+
+/** Снимаем с задержкой, чтобы страница успела отрисоваться; быстрые переключения отменяют прошлый снимок. */
+function scheduleThumbnailCapture(tabId, windowId) {
+  clearTimeout(thumbnailTimers.get(windowId));
+  thumbnailTimers.set(windowId, setTimeout(async () => {
+    thumbnailTimers.delete(windowId);
+    try {
+      const [settings, rules] = await Promise.all([readSettings(), readSiteRules()]);
+      if (!settings.thumbnails) return;
+      const tab = await chrome.tabs.get(tabId);
+      if (getTabPolicy(tab, settings, rules).mode !== 'placeholder') return; // в Discard превью не нужно
+      if (tab.active && tab.status === 'complete') await captureTabThumbnail(tab);
+    } catch (e) {
+      // вкладку закрыли до снимка
+    }
+  }, THUMBNAIL_CAPTURE_DELAY_MS));
+}
+
+/** Миниатюра из thumb_<tabId>, если она снята с той же страницы (без учёта hash). */
+async function takeTabThumbnail(tabId, url) {
+  const key = thumbKey(tabId);
+  const data = await chrome.storage.local.get(key);
+  const thumb = data[key];
+  if (!thumb || !thumb.dataUrl) return null;
+  await chrome.storage.local.remove(key);
+  return stripHash(thumb.url) === stripHash(url) ? thumb : null;
+}
+
+/** Удаляем миниатюры закрытых вкладок (а при выключенных превью — все снимки в кэше thumb_*: это скриншоты
+ * страниц), а если storage занят больше THUMBNAIL_STORAGE_SHARE квоты — сначала записи заглушек без ссылок
+ * (orphanedAt), затем самые старые миниатюры (из кэша и из записей suspended_*), пока не уложимся. */
+async function pruneThumbnails() {
+  try {
+    const [all, tabs, settings] = await Promise.all([chrome.storage.local.get(null), chrome.tabs.query({}), readSettings()]);
+    const openIds = new Set(tabs.map((t) => t.id));
+    const stale = Object.keys(all).filter((key) => key.startsWith(KEY_PREFIX_THUMB)
+      && (!settings.thumbnails || !openIds.has(Number(key.slice(KEY_PREFIX_THUMB.length)))));
+    if (stale.length > 0) await chrome.storage.local.remove(stale);
+
+    const quota = chrome.storage.local.QUOTA_BYTES || 5242880;
+    let excess = (await chrome.storage.local.getBytesInUse(null)) - quota * THUMBNAIL_STORAGE_SHARE;
+    if (excess <= 0) return;
+    const entries = [];
+    for (const [key, value] of Object.entries(all)) {
+      if (!value || stale.includes(key)) continue;
+      if (key.startsWith(KEY_PREFIX_THUMB) && value.dataUrl) entries.push({ key, ts: value.ts || 0, size: value.dataUrl.length });
+      else if (key.startsWith(KEY_PREFIX_SUSPENDED) && value.orphanedAt) entries.push({ key, ts: value.orphanedAt, size: JSON.stringify(value).length, orphaned: true });
+      else if (key.startsWith(KEY_PREFIX_SUSPENDED) && value.thumbnail) entries.push({ key, ts: value.thumbnailTs || 0, size: value.thumbnail.length, record: value });
+    }
+    entries.sort((a, b) => Number(!!b.orphaned) - Number(!!a.orphaned) || a.ts - b.ts);
+    for (const entry of entries) {
+      if (excess <= 0) break;
+      if (entry.record) {
+        const { thumbnail, thumbnailTs, ...rest } = entry.record;
+        await chrome.storage.local.set({ [entry.key]: rest });
+      } else {
+        await chrome.storage.local.remove(entry.key);
+      }
+      excess -= entry.size;
+    }
+  } catch (e) {
+    console.warn('[TabHibernate] pruneThumbnails failed', e);
+  }
+}
+
+// ——— Иконки сайтов: favicon вкладки сохраняем как data URL — в запись заглушки и в faviconCache по домену
+// (для History), чтобы страницы расширения не обращались к внешнему сервису и работали офлайн.
+const FAVICON_MAX_CHARS = 20000;
+const FAVICON_FETCH_TIMEOUT_MS = 2000;
+const FAVICON_CACHE_MAX = 500;
+
+function getUrlHost(url) {
+  try {
+    return new URL(url).hostname || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/** favIconUrl вкладки → data URL (или null: нет иконки, не картинка, слишком большая, таймаут). */
+async function fetchFaviconDataUrl(favIconUrl) {
+  if (!favIconUrl) return null;
+  if (favIconUrl.startsWith('data:image/')) return favIconUrl.length <= FAVICON_MAX_CHARS ? favIconUrl : null;
+  if (!/^https?:/i.test(favIconUrl)) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FAVICON_FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(favIconUrl, { signal: controller.signal, credentials: 'omit' });
+    if (!res.ok) return null;
+    let blob = await res.blob();
+    if (!blob.type.startsWith('image/')) {
+      // .ico часто отдают как application/octet-stream
+      if (!/\.ico(\?|$)/i.test(favIconUrl)) return null;
+      blob = new Blob([blob], { type: 'image/x-icon' });
+    }
+    const dataUrl = await blobToDataUrl(blob);
+    return dataUrl.length <= FAVICON_MAX_CHARS ? dataUrl : null;
+  } catch (e) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Записать иконки в faviconCache ({ host: { dataUrl, ts } }); сверх FAVICON_CACHE_MAX удаляем самые старые. */
+async function cacheFavicons(entries) {
+  const valid = entries.filter((e) => e.dataUrl && getUrlHost(e.url));
+  if (valid.length === 0) return;
+  const cache = await readFaviconCache();
+  const now = Date.now();
+  for (const e of valid) cache[getUrlHost(e.url)] = { dataUrl: e.dataUrl, ts: now };
+  const hosts = Object.keys(cache);
+  if (hosts.length > FAVICON_CACHE_MAX) {
+    hosts.sort((a, b) => (cache[a].ts || 0) - (cache[b].ts || 0));
+    for (const host of hosts.slice(0, hosts.length - FAVICON_CACHE_MAX)) delete cache[host];
+  }
+  await writeFaviconCache(cache);
+}
+
+/** Иконки вкладок параллельно, по одной на домен; результат — Map tabId → data URL. */
+async function collectTabFavicons(tabs) {
+  const byHost = new Map();
+  for (const tab of tabs) {
+    const host = getUrlHost(tab.url);
+    if (host && tab.favIconUrl && !byHost.has(host)) byHost.set(host, tab);
+  }
+  const fetched = await Promise.all([...byHost.values()].map(async (tab) => ({
+    url: tab.url,
+    dataUrl: await fetchFaviconDataUrl(tab.favIconUrl),
+  })));
+  await cacheFavicons(fetched);
+  const byHostUrl = new Map(fetched.filter((f) => f.dataUrl).map((f) => [getUrlHost(f.url), f.dataUrl]));
+  const result = new Map();
+  for (const tab of tabs) {
+    const dataUrl = byHostUrl.get(getUrlHost(tab.url));
+    if (dataUrl) result.set(tab.id, dataUrl);
+  }
+  return result;
+}
+
+/** Режим Placeholder: сохраняем url+title и снимок страницы в suspended_<token>, редирект на suspended.html.
+ * Токен записи — параметр t; в query добавляем и fallback-параметр u (URL), чтобы при потере storage заглушка
+ * могла восстановить. */
 const PLACEHOLDER_URL_PARAM_MAX = 1800;
 
+function buildPlaceholderUrl(tabId, url, token) {
+  const params = new URLSearchParams({ tabId: String(tabId), t: token });
+  if (url && encodeURIComponent(url).length <= PLACEHOLDER_URL_PARAM_MAX) {
+    params.set('u', url);
+  }
+  return chrome.runtime.getURL('suspended.html') + '?' + params.toString();
+}
+
 async function suspendPlaceholder(tabId, url, title) {
+  let tab;
   try {
-    await chrome.tabs.get(tabId);
+    tab = await chrome.tabs.get(tabId);
   } catch (e) {
     return false;
   }
-  const safeUrl = url || '';
-  const restoreKey = `suspended_${tabId}`;
-  await chrome.storage.local.set({
-    [restoreKey]: { url: safeUrl, title: title || '', tabId },
-  });
-  const params = new URLSearchParams({ tabId: String(tabId) });
-  if (safeUrl && encodeURIComponent(safeUrl).length <= PLACEHOLDER_URL_PARAM_MAX) {
-    params.set('u', safeUrl);
+  const snapshot = await captureTabSnapshot(tabId);
+  let safeUrl = url || '';
+  if (snapshot && snapshot.hash && !safeUrl.includes('#')) safeUrl += snapshot.hash;
+  const token = newPlaceholderToken();
+  const record = { url: safeUrl, title: title || '', tabId, token };
+  if (snapshot) record.snapshot = snapshot;
+  const thumb = await takeTabThumbnail(tabId, safeUrl);
+  if (thumb) {
+    record.thumbnail = thumb.dataUrl;
+    record.thumbnailTs = thumb.ts;
   }
-  const suspendedUrl = chrome.runtime.getURL('suspended.html') + '?' + params.toString();
+  const favicon = (await collectTabFavicons([tab])).get(tabId);
+  if (favicon) record.favicon = favicon;
+  await writeSuspendedRecord(token, record);
   try {
-    await chrome.tabs.update(tabId, { url: suspendedUrl });
+    await chrome.tabs.update(tabId, { url: buildPlaceholderUrl(tabId, safeUrl, token) });
     await incrementSuspendedToday();
     return true;
   } catch (e) {
     console.warn('[TabHibernate] placeholder redirect failed', tabId, e);
-    await chrome.storage.local.remove(restoreKey);
+    await removeSuspendedRecord(token);
     return false;
   }
 }
 
+/** Открыть URL сразу заглушкой: страница не грузится, пока пользователь не нажмёт Restore.
+ * Вкладку создаём пустой, чтобы знать tabId для URL заглушки. */
+async function openPlaceholderTab(url, title, createProperties = {}) {
+  if (!hasRestorableUrl(url)) return null;
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false, ...createProperties });
+  const token = newPlaceholderToken();
+  await writeSuspendedRecord(token, { url, title: title || '', tabId: tab.id, token });
+  try {
+    await chrome.tabs.update(tab.id, { url: buildPlaceholderUrl(tab.id, url, token) });
+  } catch (e) {
+    console.warn('[TabHibernate] open placeholder failed', url, e);
+    await removeSuspendedRecord(token);
+    return null;
+  }
+  return tab;
+}
+
 /** Собрать все табы, подходящие под бэкап (то же правило, что и для suspend, но без учёта времени). */
 async function getEligibleTabsForBackup() {
   const tabs = await chrome.tabs.query({});
@@ -270,21 +672,18 @@ async function getOrCreateBackupFolder() {
   return created.id;
 }
 
-/** Бэкап: закладки + JSON в storage; дубликаты URL в одной пачке пропускаем. */
-async function runBackup(source = 'manual') {
-  const tabs = await getEligibleTabsForBackup();
+/** Закладки в «Tab Backup / дата» + запись в backup_<дата>; дубликаты URL в одной пачке пропускаем.
+ * Возвращает id папки и число уникальных URL. */
+async function saveTabsToBackup(items) {
   const seen = new Set();
-  const unique = tabs.filter((t) => {
-    if (seen.has(t.url)) return false;
+  const unique = items.filter((t) => {
+    if (!t.url || seen.has(t.url)) return false;
     seen.add(t.url);
     return true;
   });
-  if (unique.length === 0) return { count: 0, folderId: null, folderPath: null };
+  if (unique.length === 0) return { count: 0, folderId: null };
 
-  const dateStr = new Date().toISOString().slice(0, 10);
   const folderId = await getOrCreateBackupFolder();
-  const folderPath = `Tab Backup / ${dateStr}`;
-
   for (const t of unique) {
     try {
       await chrome.bookmarks.create({ parentId: folderId, title: (t.title || t.url).slice(0, 255), url: t.url });
@@ -293,9 +692,8 @@ async function runBackup(source = 'manual') {
     }
   }
 
-  const backupKey = `backup_${dateStr}`;
-  const existing = await chrome.storage.local.get(backupKey);
-  const list = existing[backupKey] || [];
+  const date = todayDateString();
+  const list = await readBackup(date);
   const existingUrls = new Set(list.map((x) => x.url));
   for (const t of unique) {
     if (!existingUrls.has(t.url)) {
@@ -303,8 +701,17 @@ async function runBackup(source = 'manual') {
       existingUrls.add(t.url);
     }
   }
-  await chrome.storage.local.set({ [backupKey]: list });
-  return { count: unique.length, folderId, folderPath };
+  await writeBackups({ [date]: list });
+  return { count: unique.length, folderId };
+}
+
+/** Бэкап всех открытых вкладок: закладки + JSON в storage. */
+async function runBackup(source = 'manual') {
+  const tabs = await getEligibleTabsForBackup();
+  const { count, folderId } = await saveTabsToBackup(tabs);
+  if (count === 0) return { count: 0, folderId: null, folderPath: null };
+  const folderPath = `Tab Backup / ${new Date().toISOString().slice(0, 10)}`;
+  return { count, folderId, folderPath };
 }
 
 /** Удаляем из lastActivityByTab записи по закрытым вкладкам, чтобы не раздувать storage. */
@@ -319,219 +726,1253 @@ async function pruneStaleTabIds() {
         changed = true;
       }
     }
-    if (changed) await chrome.storage.local.set({ lastActivityByTab: Object.fromEntries(lastActivityByTab) });
+    if (changed) await writeLastActivity(lastActivityByTab);
+    const stalePageState = [...unsavedByTab.keys(), ...liveByTab.keys()].filter((id) => !ids.has(id));
+    if (stalePageState.length > 0) await forgetPageState(stalePageState);
+    await pruneSuspendStarts(ids);
   } catch (e) {
     console.warn('[TabHibernate] pruneStaleTabIds failed', e);
   }
 }
 
-/** Ручная приостановка всех подходящих вкладок (без учёта таймаута неактивности). */
-async function runSuspendAllNow() {
+// ——— Статистика по дням (statsDaily): приостановки по режиму и триггеру, восстановления, время в приостановке,
+// оценка освобождённой памяти, итоги по доменам. Начало приостановки вкладки — в suspendStarts (кэш в памяти).
+// Память вкладки расширению не видна (chrome.processes есть только в Dev-канале) — считаем по эвристике.
+const ESTIMATED_TAB_MEMORY_MB = 70;
+/** Заглушка — лёгкая страница расширения, но тоже занимает память. */
+const PLACEHOLDER_TAB_MEMORY_MB = 8;
+
+let suspendStarts = null;
+let statsQueue = Promise.resolve();
+
+async function getSuspendStarts() {
+  if (!suspendStarts) suspendStarts = await readSuspendStarts();
+  return suspendStarts;
+}
+
+/** Изменения статистики по очереди: каждое читает и пишет statsDaily целиком. */
+function updateStats(fn) {
+  statsQueue = statsQueue.then(fn).catch((e) => console.warn('[TabHibernate] stats update failed', e));
+  return statsQueue;
+}
+
+/** День статистики (создаётся при первом обращении) и итоги домена в нём. */
+function statsDay(stats, date = todayDateString()) {
+  stats[date] = normalizeStatsDay(stats[date]);
+  return stats[date];
+}
+
+function statsDomain(day, host) {
+  const key = host || '(other)';
+  if (!day.domains[key]) day.domains[key] = { suspended: 0, restored: 0, suspendedMs: 0 };
+  return day.domains[key];
+}
+
+function recordSuspendStats(tabId, host, mode, trigger) {
+  return updateStats(async () => {
+    const saved = ESTIMATED_TAB_MEMORY_MB - (mode === 'placeholder' ? PLACEHOLDER_TAB_MEMORY_MB : 0);
+    const [stats, starts] = await Promise.all([readStatsDaily(), getSuspendStarts()]);
+    const day = statsDay(stats);
+    day.suspended[mode === 'discard' ? 'discard' : 'placeholder']++;
+    day.triggers[STATS_TRIGGERS.includes(trigger) ? trigger : 'manual']++;
+    day.memorySavedMb.estimated += saved;
+    statsDomain(day, host).suspended++;
+    starts.set(tabId, { at: Date.now(), host, mode, memoryMb: saved });
+    await Promise.all([writeStatsDaily(stats), writeSuspendStarts(starts)]);
+  });
+}
+
+/** Конец приостановки: время идёт в день окончания; restored — вкладку вернули, а не закрыли. */
+function recordSuspendEnd(tabId, restored) {
+  return updateStats(async () => {
+    const starts = await getSuspendStarts();
+    const start = starts.get(tabId);
+    if (!start) return;
+    starts.delete(tabId);
+    const stats = await readStatsDaily();
+    const day = statsDay(stats);
+    const domain = statsDomain(day, start.host);
+    const ms = Math.max(0, Date.now() - start.at);
+    day.suspendedMs += ms;
+    domain.suspendedMs += ms;
+    if (restored) {
+      day.restored++;
+      domain.restored++;
+    }
+    await Promise.all([writeStatsDaily(stats), writeSuspendStarts(starts)]);
+  });
+}
+
+/** После перезапуска браузера у вкладок новые id — старые начала приостановок забываем без учёта времени. */
+function pruneSuspendStarts(liveTabIds) {
+  return updateStats(async () => {
+    const starts = await getSuspendStarts();
+    const stale = [...starts.keys()].filter((id) => !liveTabIds.has(id));
+    if (stale.length === 0) return;
+    stale.forEach((id) => starts.delete(id));
+    await writeSuspendStarts(starts);
+  });
+}
+
+/** Приостановить вкладку в заданном режиме; для placeholder нужен восстановимый URL.
+ * trigger — для статистики: timer, memory, manual или bulk. */
+async function suspendTab(tab, mode, trigger = 'manual') {
+  if (mode === 'placeholder' && !hasRestorableUrl(tab.url)) return false;
+  const host = getUrlHost(tab.url);
+  const ok = mode === 'discard'
+    ? await suspendDiscard(tab.id)
+    : await suspendPlaceholder(tab.id, tab.url, tab.title);
+  if (ok) await recordSuspendStats(tab.id, host, mode, trigger);
+  return ok;
+}
+
+/** Приостановить активную вкладку текущего окна (кнопка «Suspend current tab» и горячая клавиша). */
+async function runSuspendCurrentTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return { ok: false, reason: 'No active tab' };
+  return runSuspendTab(tab);
+}
+
+/** Приостановить конкретную вкладку по команде пользователя (активную тоже можно). */
+async function runSuspendTab(tab) {
+  await getStoredState();
+  const [settings, rules] = await Promise.all([readSettings(), readSiteRules()]);
+  const blockReason = await getSuspendBlockReason(tab, { allowActive: true, rules });
+  if (blockReason) {
+    const rule = blockReason === 'rule' ? findSiteRule(tab.url, rules) : null;
+    const reason = rule ? `Never suspended by rule: ${rule.pattern}` : SKIP_REASON_TEXT[blockReason];
+    return { ok: false, reason, skipReason: blockReason };
+  }
+  const { mode } = getTabPolicy(tab, settings, rules);
+  if (mode === 'placeholder' && !hasRestorableUrl(tab.url)) {
+    return { ok: false, reason: 'Cannot suspend: page has no restorable URL' };
+  }
+  if (mode === 'placeholder' && settings.thumbnails && tab.active) await captureTabThumbnail(tab);
+  const ok = await suspendTab(tab, mode, 'manual');
+  return { ok };
+}
+
+/** Вкладки для массового действия. target: { scope, windowId, groupId }; groupId важнее scope.
+ * Для scope 'window' / 'otherWindows' без windowId берём последнее активное окно. */
+async function queryTabsInScope({ scope = 'all', windowId = null, groupId = null } = {}) {
+  if (groupId != null) return chrome.tabs.query({ groupId });
+  if (!BULK_SCOPES.includes(scope) || scope === 'all') return chrome.tabs.query({});
+  const wid = windowId != null ? windowId : (await chrome.windows.getLastFocused()).id;
+  if (scope === 'window') return chrome.tabs.query({ windowId: wid });
+  return (await chrome.tabs.query({})).filter((t) => t.windowId !== wid);
+}
+
+/** Ручная приостановка всех подходящих вкладок (без учёта таймаута неактивности; режим — по правилам сайта).
+ * target: область (см. queryTabsInScope). Активные вкладки не трогаются; с exceptCurrentOnly приостанавливаются
+ * и активные вкладки других окон — остаётся только активная вкладка окна windowId. */
+async function runSuspendAllNow(target = {}) {
   await getStoredState();
-  const settings = await getSettings();
-  const tabs = await chrome.tabs.query({});
+  const [settings, rules] = await Promise.all([readSettings(), readSiteRules()]);
+  const tabs = await queryTabsInScope(target);
+  let keepTabId = null;
+  if (target.exceptCurrentOnly) {
+    const wid = target.windowId != null ? target.windowId : (await chrome.windows.getLastFocused()).id;
+    const [current] = await chrome.tabs.query({ active: true, windowId: wid });
+    keepTabId = current ? current.id : null;
+  }
   const toBackup = [];
-  let suspended = 0;
+  const journalTabs = [];
+  let skippedUnsaved = 0;
   for (const tab of tabs) {
-    if (!(await isTabEligibleForSuspend(tab))) continue;
-    if (settings.mode === 'placeholder' && !hasRestorableUrl(tab.url)) continue;
-    if (settings.mode === 'discard') {
-      const ok = await suspendDiscard(tab.id);
-      if (ok) {
-        toBackup.push({ url: tab.url, title: tab.title });
-        suspended++;
-      }
-    } else {
-      const ok = await suspendPlaceholder(tab.id, tab.url, tab.title);
-      if (ok) {
-        toBackup.push({ url: tab.url, title: tab.title });
-        suspended++;
-      }
+    if (tab.id === keepTabId) continue;
+    const reason = await getSuspendBlockReason(tab, { rules, allowActive: !!target.exceptCurrentOnly });
+    if (reason === 'unsaved') skippedUnsaved++;
+    if (reason) continue;
+    const { mode } = getTabPolicy(tab, settings, rules);
+    if (await suspendTab(tab, mode, 'bulk')) {
+      toBackup.push({ url: tab.url, title: tab.title });
+      journalTabs.push({ ...tabJournalInfo(tab), mode });
     }
   }
   if (toBackup.length > 0) {
-    const seen = new Set();
-    const unique = toBackup.filter((t) => {
-      if (seen.has(t.url)) return false;
-      seen.add(t.url);
-      return true;
-    });
-    const folderId = await getOrCreateBackupFolder();
-    for (const t of unique) {
-      try {
-        await chrome.bookmarks.create({
-          parentId: folderId,
-          title: (t.title || t.url).slice(0, 255),
-          url: t.url,
-        });
-      } catch (e) {
-        console.warn('[TabHibernate] backup bookmark failed', e);
-      }
-    }
-    const backupKey = `backup_${new Date().toISOString().slice(0, 10)}`;
-    const existing = await chrome.storage.local.get(backupKey);
-    const list = existing[backupKey] || [];
-    const existingUrls = new Set(list.map((x) => x.url));
-    for (const t of unique) {
-      if (!existingUrls.has(t.url)) {
-        list.push({ url: t.url, title: t.title || t.url, ts: Date.now() });
-        existingUrls.add(t.url);
-      }
-    }
-    await chrome.storage.local.set({ [backupKey]: list });
+    await saveTabsToBackup(toBackup);
+    await recordAction('suspendAll', { tabs: journalTabs });
   }
-  return { suspended };
+  return { suspended: toBackup.length, skippedUnsaved };
 }
 
-/** Закрыть подходящие вкладки и сохранить их URL в closedAndSaved (лимит CLOSED_SAVED_MAX). */
-const CLOSED_SAVED_MAX = 2000;
-async function runCloseAndSaveAll() {
-  const tabs = await chrome.tabs.query({});
-  const toSave = [];
-  const idsToClose = [];
+/** Закрыть подходящие вкладки и сохранить их URL в closedAndSaved (лимит CLOSED_SAVED_MAX).
+ * target: область (см. queryTabsInScope). */
+async function runCloseAndSaveAll(target = {}) {
+  await getStoredState();
+  const [tabs, rules] = await Promise.all([queryTabsInScope(target), readSiteRules()]);
+  const toClose = [];
+  let skippedUnsaved = 0;
   for (const tab of tabs) {
-    if (!(await isTabEligibleForSuspend(tab))) continue;
-    toSave.push({ url: tab.url || '', title: (tab.title || tab.url || '').slice(0, 512), savedAt: Date.now() });
-    idsToClose.push(tab.id);
-  }
-  if (toSave.length === 0) return { closed: 0 };
-  const { closedAndSaved = [] } = await chrome.storage.local.get('closedAndSaved');
-  const merged = [...toSave.reverse(), ...closedAndSaved].slice(0, CLOSED_SAVED_MAX);
-  await chrome.storage.local.set({ closedAndSaved: merged });
-  for (const id of idsToClose) {
-    try { await chrome.tabs.remove(id); } catch (e) { console.warn('[TabHibernate] tab remove failed', id, e); }
+    const reason = await getSuspendBlockReason(tab, { rules });
+    if (reason === 'unsaved') skippedUnsaved++;
+    if (reason) continue;
+    toClose.push(tab);
   }
-  return { closed: idsToClose.length };
+  const savedAt = Date.now();
+  const closedIds = await closeAndSaveTabs(toClose, savedAt);
+  if (closedIds.length > 0) await recordAction('closeAndSave', { tabs: toClose.map(tabJournalInfo), savedAt, closedIds });
+  return { closed: closedIds.length, skippedUnsaved };
 }
 
-/** Restore all tabs that are currently showing the suspended placeholder.
- * Сначала пробуем storage; если данных нет — восстанавливаем по fallback-параметру u в URL заглушки. */
-async function runRestoreAllSuspended() {
-  const tabs = await chrome.tabs.query({});
-  let restored = 0;
+/** Заголовок и цвет групп вкладок (groupId → { title, color }), чтобы History могла пересоздать группу. */
+async function getGroupInfo(tabs) {
+  const info = new Map();
   for (const tab of tabs) {
-    if (!tab.url || !tab.id || !isPlaceholderTabUrl(tab.url)) continue;
+    if (typeof tab.groupId !== 'number' || tab.groupId < 0 || info.has(tab.groupId)) continue;
     try {
-      const u = new URL(tab.url);
-      const tabIdParam = u.searchParams.get('tabId');
-      const tid = tabIdParam ? parseInt(tabIdParam, 10) : null;
-      if (tid == null) continue;
-      const key = `suspended_${tid}`;
-      const data = await chrome.storage.local.get(key);
-      const item = data[key];
-      let restoreUrl = item && item.url ? item.url : null;
-      if (!restoreUrl) {
-        const fallback = u.searchParams.get('u');
-        if (fallback && (fallback.startsWith('http://') || fallback.startsWith('https://'))) restoreUrl = fallback;
-      }
-      if (restoreUrl) {
-        await chrome.tabs.update(tab.id, { url: restoreUrl });
-        await chrome.storage.local.remove(key);
-        restored++;
-      }
+      const g = await chrome.tabGroups.get(tab.groupId);
+      info.set(tab.groupId, { title: g.title || '', color: g.color });
     } catch (e) {
-      console.warn('[TabHibernate] restore tab failed', tab.id, e);
+      // группа уже исчезла — сохраняем вкладку без неё
     }
   }
-  await updateBadge();
-  return { restored };
+  return info;
 }
 
-/** Основная проверка по будильнику: суспенд неактивных и при необходимости бэкап. */
-async function onAlarmCheck() {
-  try {
-    await chrome.storage.local.set({ lastAlarmRun: Date.now() });
-    await ensureAlarm();
+/** Сохранить вкладки в начало closedAndSaved (все с одним savedAt) и закрыть их. Возвращает id сохранённых записей. */
+async function closeAndSaveTabs(tabs, savedAt = Date.now()) {
+  if (tabs.length === 0) return [];
+  const groups = await getGroupInfo(tabs);
+  await collectTabFavicons(tabs); // только кэш по домену — History показывает иконки из faviconCache
+  const toSave = tabs.map((tab) => {
+    const item = { id: newClosedItemId(), url: tab.url || '', title: (tab.title || tab.url || '').slice(0, 512), savedAt };
+    if (groups.has(tab.groupId)) item.group = groups.get(tab.groupId);
+    return item;
+  });
+  await prependClosedAndSaved(toSave.reverse());
+  for (const tab of tabs) {
+    try { await chrome.tabs.remove(tab.id); } catch (e) { console.warn('[TabHibernate] tab remove failed', tab.id, e); }
+  }
+  return toSave.map((item) => item.id);
+}
 
-    await getStoredState();
-    await pruneStaleTabIds();
-    await pruneOldBackups();
+// ——— Журнал массовых действий для «Undo last action» (ключ actionJournal, не больше ACTION_JOURNAL_MAX записей).
+// closeAndSave — вкладки с окном и позицией + id их записей в closedAndSaved (closedIds); suspendAll — вкладки и режим;
+// clearClosedAndSaved — список истории до очистки.
 
-    const settings = await getSettings();
-    if (!settings.enabled) return;
+function tabJournalInfo(tab) {
+  return {
+    tabId: tab.id,
+    url: tab.url || '',
+    title: tab.title || '',
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: !!tab.pinned,
+  };
+}
 
-    const tabs = await chrome.tabs.query({});
-    const now = Date.now();
-    let needPersist = false;
-    for (const tab of tabs) {
-      if (tab.id && !lastActivityByTab.has(tab.id)) {
-        lastActivityByTab.set(tab.id, now);
-        needPersist = true;
-      }
-    }
-    if (needPersist) await persistLastActivity();
+async function recordAction(type, data = {}) {
+  const at = Date.now();
+  const entry = { id: `${at}-${Math.random().toString(36).slice(2, 8)}`, type, at, tabs: [], ...data };
+  try {
+    await writeActionJournal([entry, ...(await readActionJournal())]);
+  } catch (e) {
+    console.warn('[TabHibernate] action journal write failed', type, e);
+  }
+  return entry;
+}
 
-    const toBackup = [];
-    for (const tab of tabs) {
-      if (!(await isTabEligibleForSuspend(tab))) continue;
-      if (!isTabInactive(tab.id, settings.timeoutMinutes)) continue;
-      if (settings.mode === 'placeholder' && !hasRestorableUrl(tab.url)) continue;
+/** Очистить closedAndSaved (History после «Open all»), запомнив прежний список для Undo. */
+async function clearClosedAndSaved() {
+  const closedAndSaved = await readClosedAndSaved();
+  if (closedAndSaved.length > 0) await recordAction('clearClosedAndSaved', { closedAndSaved });
+  await writeClosedAndSaved([]);
+  await updateBadge();
+  return { ok: true, cleared: closedAndSaved.length };
+}
 
-      if (settings.mode === 'discard') {
-        const ok = await suspendDiscard(tab.id);
-        if (ok) toBackup.push({ url: tab.url, title: tab.title });
-      } else {
-        const ok = await suspendPlaceholder(tab.id, tab.url, tab.title);
-        if (ok) toBackup.push({ url: tab.url, title: tab.title });
+/** Снова открыть закрытые вкладки на прежних местах. Окно, которого уже нет, пересоздаётся (одно на каждое старое). */
+async function reopenJournalTabs(tabs) {
+  const windowIds = new Map();
+  const blankTabIds = [];
+  let reopened = 0;
+  for (const t of [...tabs].sort((a, b) => a.index - b.index)) {
+    if (!windowIds.has(t.windowId)) {
+      try {
+        windowIds.set(t.windowId, (await chrome.windows.get(t.windowId)).id);
+      } catch (e) {
+        const created = await chrome.windows.create({ focused: false });
+        windowIds.set(t.windowId, created.id);
+        blankTabIds.push(...(created.tabs || []).map((x) => x.id));
       }
     }
+    try {
+      await chrome.tabs.create({ windowId: windowIds.get(t.windowId), index: t.index, url: t.url, pinned: t.pinned, active: false });
+      reopened++;
+    } catch (e) {
+      console.warn('[TabHibernate] undo reopen failed', t.url, e);
+    }
+  }
+  if (blankTabIds.length > 0) {
+    try { await chrome.tabs.remove(blankTabIds); } catch (e) { console.warn('[TabHibernate] blank tab remove failed', e); }
+  }
+  return reopened;
+}
 
-    if (toBackup.length > 0) {
-      const seen = new Set();
-      const unique = toBackup.filter((t) => {
-        if (seen.has(t.url)) return false;
-        seen.add(t.url);
-        return true;
-      });
-      const folderId = await getOrCreateBackupFolder();
-      for (const t of unique) {
-        try {
-          await chrome.bookmarks.create({
-            parentId: folderId,
-            title: (t.title || t.url).slice(0, 255),
-            url: t.url,
-          });
-        } catch (e) {
-          console.warn('[TabHibernate] backup bookmark failed', e);
-        }
+/** Отменить последнее массовое действие из журнала; запись удаляется из журнала даже при частичном успехе. */
+async function undoLastAction() {
+  const [entry, ...rest] = await readActionJournal();
+  if (!entry) return { ok: false, reason: 'Nothing to undo' };
+  await writeActionJournal(rest);
+  let restored = 0;
+  if (entry.type === 'closeAndSave') {
+    restored = await reopenJournalTabs(entry.tabs);
+    const ids = new Set(entry.closedIds);
+    const current = await readClosedAndSaved();
+    await writeClosedAndSaved(current.filter((item) => !ids.has(item.id)));
+  } else if (entry.type === 'suspendAll') {
+    for (const t of entry.tabs) {
+      let tab;
+      try {
+        tab = await chrome.tabs.get(t.tabId);
+      } catch (e) {
+        continue; // вкладку уже закрыли
       }
-      const backupKey = `backup_${new Date().toISOString().slice(0, 10)}`;
-      const existing = await chrome.storage.local.get(backupKey);
-      const list = existing[backupKey] || [];
-      const existingUrls = new Set(list.map((x) => x.url));
-      for (const t of unique) {
-        if (!existingUrls.has(t.url)) {
-          list.push({ url: t.url, title: t.title || t.url, ts: Date.now() });
-          existingUrls.add(t.url);
+      try {
+        if (t.mode === 'discard' && tab.discarded) {
+          await chrome.tabs.reload(tab.id);
+          restored++;
+        } else if (t.mode !== 'discard' && await restorePlaceholderTab(tab)) {
+          restored++;
         }
+      } catch (e) {
+        console.warn('[TabHibernate] undo restore failed', t.tabId, e);
       }
-      await chrome.storage.local.set({ [backupKey]: list });
     }
-  } catch (e) {
-    console.warn('[TabHibernate] onAlarmCheck failed', e);
+  } else if (entry.type === 'clearClosedAndSaved') {
+    // Записи, сохранённые после очистки, остаются сверху; прежние возвращаются под ними без повторов.
+    const current = await readClosedAndSaved();
+    const seen = new Set(current.map((item) => `${item.savedAt}\u0000${item.url}`));
+    const back = normalizeClosedAndSaved(entry.closedAndSaved).filter((item) => !seen.has(`${item.savedAt}\u0000${item.url}`));
+    await writeClosedAndSaved([...current, ...back]);
+    restored = back.length;
   }
+  await updateBadge();
+  return { ok: true, type: entry.type, restored };
 }
 
-/** Создаём/обновляем периодический alarm — вызывать при старте и после каждой проверки. */
-async function ensureAlarm() {
+// ——— Именованные сессии: снимок окон с порядком вкладок, закреплением, группами и активной вкладкой.
+// Хранятся в ключе sessions отдельно от closedAndSaved; новые — в начале списка (лимит SESSIONS_MAX).
+
+/** Группы окна: id → { title, color, collapsed }. Без разрешения tabGroups или на старом Chrome — пусто. */
+async function getWindowGroups(windowId) {
   try {
-    await chrome.alarms.create(ALARM_CHECK_NAME, { periodInMinutes: ALARM_CHECK_PERIOD_MINUTES });
+    const groups = await chrome.tabGroups.query({ windowId });
+    return groups.map((g) => ({ id: g.id, title: g.title || '', color: g.color, collapsed: !!g.collapsed }));
   } catch (e) {
-    console.warn('[TabHibernate] alarm create', e);
+    return [];
   }
 }
 
-async function initOnStartup() {
-  await ensureAlarm();
-  await getStoredState();
-  const tabs = await chrome.tabs.query({});
-  const now = Date.now();
-  for (const tab of tabs) {
-    if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-      lastActivityByTab.set(tab.id, now);
-    }
+/** URL вкладки для сохранения: у заглушки (своей или чужого суспендера) — исходная страница, а не suspended.html. */
+async function getTabRealUrl(tab) {
+  if (tab.url && isPlaceholderTabUrl(tab.url)) {
+    const data = await getPlaceholderRestoreData(tab.url);
+    return data ? { url: data.url, title: (data.item && data.item.title) || tab.title || data.url } : null;
   }
-  await persistLastActivity();
+  const foreign = parseForeignSuspenderUrl(tab.url);
+  if (foreign) return foreign;
+  return hasRestorableUrl(tab.url) ? { url: tab.url, title: tab.title || tab.url } : null;
+}
+
+/** Сохранить все обычные окна (кроме инкогнито) как именованную сессию. */
+async function saveSession(name) {
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  const saved = [];
+  let tabCount = 0;
+  for (const win of windows) {
+    if (win.incognito) continue;
+    const tabs = [];
+    for (const tab of [...(win.tabs || [])].sort((a, b) => a.index - b.index)) {
+      const real = await getTabRealUrl(tab);
+      if (!real) continue;
+      tabs.push({
+        url: real.url,
+        title: real.title.slice(0, 512),
+        pinned: !!tab.pinned,
+        active: !!tab.active,
+        groupId: typeof tab.groupId === 'number' && tab.groupId >= 0 ? tab.groupId : -1,
+      });
+    }
+    if (tabs.length === 0) continue;
+    tabCount += tabs.length;
+    saved.push({ focused: !!win.focused, tabs, groups: await getWindowGroups(win.id) });
+  }
+  if (saved.length === 0) return { ok: false, reason: 'No tabs to save' };
+  const createdAt = Date.now();
+  const session = {
+    id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    name: String(name || '').trim().slice(0, 200) || new Date(createdAt).toLocaleString(),
+    createdAt,
+    windows: saved,
+  };
+  await writeSessions([session, ...(await readSessions())]);
+  return { ok: true, id: session.id, windows: saved.length, tabs: tabCount };
+}
+
+/** Восстановить сессию в новых окнах. asPlaceholders: все вкладки открываются заглушками и не грузятся. */
+async function restoreSession(id, { asPlaceholders = false } = {}) {
+  const session = (await readSessions()).find((x) => x.id === id);
+  if (!session) return { ok: false, reason: 'Session not found' };
+  let opened = 0;
+  let focusWindowId = null;
+  for (const win of session.windows || []) {
+    const tabs = Array.isArray(win.tabs) ? win.tabs : [];
+    if (tabs.length === 0) continue;
+    const created = await chrome.windows.create({ focused: false });
+    const blankTabIds = (created.tabs || []).map((t) => t.id);
+    const newIdsByGroup = new Map();
+    let activeTabId = null;
+    for (const t of tabs) {
+      const props = { windowId: created.id, pinned: !!t.pinned, active: false };
+      let tab = null;
+      try {
+        tab = asPlaceholders
+          ? await openPlaceholderTab(t.url, t.title, props)
+          : await chrome.tabs.create({ ...props, url: t.url });
+      } catch (e) {
+        console.warn('[TabHibernate] session tab create failed', t.url, e);
+      }
+      if (!tab) continue;
+      opened++;
+      if (t.active) activeTabId = tab.id;
+      if (t.groupId >= 0) {
+        if (!newIdsByGroup.has(t.groupId)) newIdsByGroup.set(t.groupId, []);
+        newIdsByGroup.get(t.groupId).push(tab.id);
+      }
+    }
+    if (blankTabIds.length > 0) {
+      try { await chrome.tabs.remove(blankTabIds); } catch (e) { console.warn('[TabHibernate] blank tab remove failed', e); }
+    }
+    for (const [oldGroupId, tabIds] of newIdsByGroup) {
+      const group = (win.groups || []).find((g) => g.id === oldGroupId);
+      try {
+        const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: created.id } });
+        if (group) await chrome.tabGroups.update(groupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+      } catch (e) {
+        console.warn('[TabHibernate] session group restore failed', e);
+      }
+    }
+    if (activeTabId != null) await chrome.tabs.update(activeTabId, { active: true });
+    if (win.focused || focusWindowId == null) focusWindowId = created.id;
+  }
+  if (focusWindowId != null) await chrome.windows.update(focusWindowId, { focused: true });
+  await updateBadge();
+  return { ok: true, opened };
+}
+
+async function deleteSession(id) {
+  await writeSessions((await readSessions()).filter((x) => x.id !== id));
+  return { ok: true };
+}
+
+/** Данные восстановления для URL заглушки: tabId записи, сама запись и URL для restore.
+ * Сначала пробуем storage; если данных нет — берём fallback-параметр u из URL заглушки. */
+async function getPlaceholderRestoreData(placeholderUrl) {
+  const token = placeholderTokenFromUrl(placeholderUrl);
+  const item = token ? await readSuspendedRecord(token) : null;
+  let url = item ? item.url : null;
+  if (!url) {
+    const fallback = new URL(placeholderUrl).searchParams.get('u');
+    if (fallback && (fallback.startsWith('http://') || fallback.startsWith('https://'))) url = fallback;
+  }
+  return url ? { token, item, url } : null;
+}
+
+/** Вернуть вкладку-заглушку на исходный URL (вместе со снимком страницы). */
+async function restorePlaceholderTab(tab) {
+  if (!tab || !tab.id || !tab.url || !isPlaceholderTabUrl(tab.url)) return false;
+  const data = await getPlaceholderRestoreData(tab.url);
+  if (!data) return false;
+  if (data.item && data.item.url === data.url) await queueRestoreSnapshot(tab.id, data.url, data.item.snapshot);
+  await chrome.tabs.update(tab.id, { url: data.url });
+  if (data.token) await removeSuspendedRecord(data.token);
+  return true;
+}
+
+// ——— Осиротевшие заглушки: вкладки со старым ID расширения, заглушки без записи и записи, на которые
+// не ссылается ни одна вкладка. При старте браузера и обновлении
+// расширения заглушки сопоставляются с записями. Запись без ссылок помечается orphanedAt и удаляется, только если
+// так и осталась без ссылок PLACEHOLDER_ORPHAN_GRACE_MS: после перезапуска вкладки появляются не сразу,
+// а закрытую заглушку могут открыть снова. Для этого хватает адреса и заголовка — миниатюра, снимок страницы
+// и иконка (её заменит faviconCache) при пометке удаляются, чтобы сотни закрытых заглушек не съели квоту storage.
+const PLACEHOLDER_ORPHAN_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+/** Свежую запись не трогаем: suspendPlaceholder пишет её до того, как вкладка перейдёт на заглушку. */
+const PLACEHOLDER_FRESH_MS = 60 * 1000;
+
+/** Запись без ссылок для заглушки: по URL из параметра u, иначе по заголовку вкладки, если он однозначен. */
+function matchOrphanRecord(tab, candidates) {
+  const fallback = new URL(tab.url).searchParams.get('u');
+  const entries = [...candidates.entries()];
+  const byUrl = fallback ? entries.find(([, record]) => record.url === fallback) : null;
+  if (byUrl) return byUrl;
+  const title = (tab.title || '').trim();
+  if (!title) return null;
+  const byTitle = entries.filter(([, record]) => (record.title || '').trim() === title);
+  return byTitle.length === 1 ? byTitle[0] : null;
+}
+
+/** Привязать заглушку к записи token: актуальный tabId в записи; URL переписываем (заглушка перезагрузится),
+ * только если он со старым ID расширения или без нужного токена — не при каждой смене tabId. */
+async function relinkPlaceholder(tab, token, record) {
+  const { orphanedAt, ...rest } = record;
+  await writeSuspendedRecord(token, { ...rest, tabId: tab.id, token });
+  if (isSuspendedPlaceholderUrl(tab.url) && new URL(tab.url).searchParams.get('t') === token) return;
+  await chrome.tabs.update(tab.id, { url: buildPlaceholderUrl(tab.id, record.url, token) });
+}
+
+/** Удалить записи, на которые давно не ссылается ни одна заглушка. Возвращает число удалённых. */
+async function collectPlaceholderGarbage() {
+  const [tabs, records] = await Promise.all([chrome.tabs.query({}), readAllSuspendedRecords()]);
+  const referenced = new Set(tabs.filter((t) => t.url && isPlaceholderTabUrl(t.url)).map((t) => placeholderTokenFromUrl(t.url)));
+  const now = Date.now();
+  const toSet = {};
+  const toRemove = [];
+  for (const [token, record] of records) {
+    if (referenced.has(token)) {
+      if (record.orphanedAt) {
+        const { orphanedAt, ...rest } = record;
+        toSet[suspendedKey(token)] = rest;
+      }
+    } else if (now - (Number(record.writtenAt) || 0) < PLACEHOLDER_FRESH_MS) {
+      continue;
+    } else if (!record.orphanedAt) {
+      const { thumbnail, thumbnailTs, snapshot, favicon, ...rest } = record;
+      toSet[suspendedKey(token)] = { ...rest, orphanedAt: now };
+    } else if (now - record.orphanedAt >= PLACEHOLDER_ORPHAN_GRACE_MS) {
+      toRemove.push(suspendedKey(token));
+    }
+  }
+  if (Object.keys(toSet).length > 0) await chrome.storage.local.set(toSet);
+  if (toRemove.length > 0) await chrome.storage.local.remove(toRemove);
+  return toRemove.length;
+}
+
+/** Сопоставить все заглушки с записями. Копии одной заглушки (Duplicate tab) получают свою запись,
+ * заглушка без записи — найденную запись без ссылок или новую из параметра u.
+ * Возвращает { placeholders, recovered, unrecoverable, removed }. */
+async function recoverPlaceholders() {
+  const [tabs, records] = await Promise.all([chrome.tabs.query({}), readAllSuspendedRecords()]);
+  const placeholders = tabs.filter((t) => t.url && isPlaceholderTabUrl(t.url));
+  const referenced = new Set();
+  const orphans = [];
+  let recovered = 0;
+  for (const tab of placeholders) {
+    const token = placeholderTokenFromUrl(tab.url);
+    const record = records.get(token);
+    if (!record) {
+      orphans.push(tab);
+    } else if (referenced.has(token)) {
+      await relinkPlaceholder(tab, newPlaceholderToken(), record);
+    } else {
+      referenced.add(token);
+      const needsRelink = record.tabId !== tab.id || record.orphanedAt || !isSuspendedPlaceholderUrl(tab.url)
+        || new URL(tab.url).searchParams.get('t') !== token;
+      if (needsRelink) await relinkPlaceholder(tab, token, record);
+    }
+  }
+  const candidates = new Map([...records].filter(([token]) => !referenced.has(token)));
+  let unrecoverable = 0;
+  for (const tab of orphans) {
+    if (await relinkOrphanPlaceholder(tab, candidates)) recovered++;
+    else unrecoverable++;
+  }
+  const removed = await collectPlaceholderGarbage();
+  return { placeholders: placeholders.length, recovered, unrecoverable, removed };
+}
+
+/** Заглушку без записи привязать к записи без ссылок из candidates (она оттуда убирается) или к новой записи
+ * из параметра u. Возвращает токен записи или null. */
+async function relinkOrphanPlaceholder(tab, candidates) {
+  const match = matchOrphanRecord(tab, candidates);
+  if (match) {
+    candidates.delete(match[0]);
+    await relinkPlaceholder(tab, match[0], match[1]);
+    return match[0];
+  }
+  const fallback = new URL(tab.url).searchParams.get('u');
+  if (!fallback || !/^https?:\/\//i.test(fallback)) return null;
+  const token = newPlaceholderToken();
+  await relinkPlaceholder(tab, token, { url: fallback, title: '' });
+  return token;
+}
+
+/** Сопоставить с записью одну заглушку — ту, чья страница не нашла свою запись. Остальные вкладки не трогаем.
+ * Возвращает запись или null. */
+async function recoverPlaceholderTab(tabId) {
+  const [tab, tabs, records] = await Promise.all([chrome.tabs.get(tabId), chrome.tabs.query({}), readAllSuspendedRecords()]);
+  if (!tab.url || !isPlaceholderTabUrl(tab.url)) return null;
+  const token = placeholderTokenFromUrl(tab.url);
+  // пока запрос ждал очереди, запись могла найтись полным прогоном
+  if (records.has(token)) return records.get(token);
+  const referenced = new Set(tabs.filter((t) => t.id !== tabId && t.url && isPlaceholderTabUrl(t.url)).map((t) => placeholderTokenFromUrl(t.url)));
+  const candidates = new Map([...records].filter(([t]) => !referenced.has(t)));
+  const relinked = await relinkOrphanPlaceholder(tab, candidates);
+  return relinked ? readSuspendedRecord(relinked) : null;
+}
+
+/** Восстановление заглушек идёт по одной очереди: параллельные прогоны (старт, обновление, страницы заглушек без
+ * записи) видели бы одни и те же заглушки без записи и выдавали бы каждой новый токен — лишние перезагрузки
+ * и записи. Полный прогон, запрошенный, пока другой ещё ждёт в очереди, присоединяется к нему. */
+let placeholderRecoveryQueue = Promise.resolve();
+let queuedFullRecovery = null;
+
+function enqueuePlaceholderRecovery(fn) {
+  const run = placeholderRecoveryQueue.then(fn);
+  placeholderRecoveryQueue = run.catch(() => {});
+  return run;
+}
+
+function runRecoverPlaceholders() {
+  if (!queuedFullRecovery) {
+    queuedFullRecovery = enqueuePlaceholderRecovery(async () => {
+      queuedFullRecovery = null;
+      try {
+        const res = await recoverPlaceholders();
+        if (res.recovered > 0 || res.unrecoverable > 0) console.info('[TabHibernate] placeholder recovery', res);
+        await updateBadge();
+        return res;
+      } catch (e) {
+        console.warn('[TabHibernate] recoverPlaceholders failed', e);
+        return null;
+      }
+    });
+  }
+  return queuedFullRecovery;
+}
+
+// ——— «Restore on focus»: заглушка, на которой задержались restoreOnFocusDelayMs, сама возвращается на страницу.
+// Таймер один на окно — переход на другую вкладку отменяет ожидание, так быстрый перебор вкладок ничего не будит.
+// Заглушки, помеченные ленивым «Restore all» (restoreOnActivate в записи), восстанавливаются сразу и без настройки.
+const restoreOnFocusTimers = new Map();
+
+async function scheduleRestoreOnFocus(tabId, windowId) {
+  try {
+    const [settings, marked] = await Promise.all([readSettings(), isMarkedForLazyRestore(tabId)]);
+    // таймер снимаем после чтения настроек: так последняя активация окна всегда побеждает
+    clearTimeout(restoreOnFocusTimers.get(windowId));
+    restoreOnFocusTimers.delete(windowId);
+    if (marked) {
+      await restoreFocusedPlaceholder(tabId);
+      return;
+    }
+    if (!settings.restoreOnFocus) return;
+    const timer = setTimeout(() => {
+      restoreOnFocusTimers.delete(windowId);
+      restoreFocusedPlaceholder(tabId).catch((e) => console.warn('[TabHibernate] restore on focus failed', tabId, e));
+    }, settings.restoreOnFocusDelayMs);
+    restoreOnFocusTimers.set(windowId, timer);
+  } catch (e) {
+    console.warn('[TabHibernate] scheduleRestoreOnFocus failed', e);
+  }
+}
+
+/** Вкладка всё ещё активна и всё ещё заглушка — восстанавливаем (URL из suspended_<token> или параметра u). */
+async function restoreFocusedPlaceholder(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || !tab.active || !isPlaceholderTabUrl(tab.url)) return false;
+  const restored = await restorePlaceholderTab(tab);
+  if (restored) await updateBadge();
+  return restored;
+}
+
+async function isMarkedForLazyRestore(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || !isPlaceholderTabUrl(tab.url)) return false;
+  const data = await getPlaceholderRestoreData(tab.url);
+  return !!(data && data.item && data.item.restoreOnActivate);
+}
+
+// ——— Очередь «Restore all»: одновременно грузятся не больше RESTORE_CONCURRENCY вкладок, следующая берётся, когда
+// предыдущая дошла до status: complete (или через RESTORE_LOAD_TIMEOUT_MS). Первыми — активная вкладка и текущее окно.
+// Отправитель получает ответ сразу после постановки в очередь; прогресс и итог — только в restoreQueueState
+// (popup и side panel). Очередь живёт в памяти SW: если его выгрузят, оставшиеся вкладки просто останутся заглушками.
+const RESTORE_CONCURRENCY = 3;
+const RESTORE_LOAD_TIMEOUT_MS = 30000;
+
+const restoreQueue = { tabIds: [], total: 0, done: 0, restored: 0, cancelled: false, running: null, loading: new Set() };
+
+/** Дождаться status: complete вкладки на новой странице; false — закрыли, таймаут или signal отменён. */
+function waitForTabComplete(tabId, signal) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const done = (ok) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      signal.removeEventListener('abort', onAbort);
+      resolve(ok);
+    };
+    const onUpdated = (id, changeInfo, tab) => {
+      if (id === tabId && changeInfo.status === 'complete' && !isPlaceholderTabUrl(tab.url)) done(true);
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) done(false);
+    };
+    const onAbort = () => done(false);
+    const timer = setTimeout(() => done(false), RESTORE_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    signal.addEventListener('abort', onAbort);
+  });
+}
+
+/** Порядок восстановления: активная вкладка окна windowId, затем его вкладки слева направо, затем остальные окна. */
+function sortRestoreOrder(tabs, windowId) {
+  const rank = (t) => (t.windowId === windowId ? (t.active ? 0 : 1) : 2);
+  return [...tabs].sort((a, b) => rank(a) - rank(b) || a.windowId - b.windowId || a.index - b.index);
+}
+
+function writeRestoreProgress() {
+  const { total, done, restored, cancelled, running } = restoreQueue;
+  return writeRestoreQueueState({ active: !!running, total, done, restored, cancelled });
+}
+
+/** Одна вкладка из очереди: берём её свежее состояние — пока ждала, её могли восстановить или закрыть. */
+async function restoreQueuedTab(tabId) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (!tab || !isPlaceholderTabUrl(tab.url)) return false;
+  const controller = new AbortController();
+  const loaded = waitForTabComplete(tabId, controller.signal);
+  restoreQueue.loading.add(controller);
+  try {
+    if (!(await restorePlaceholderTab(tab))) return false;
+    await loaded;
+    return true;
+  } finally {
+    restoreQueue.loading.delete(controller);
+    controller.abort();
+  }
+}
+
+async function drainRestoreQueue() {
+  const worker = async () => {
+    while (!restoreQueue.cancelled && restoreQueue.tabIds.length > 0) {
+      const tabId = restoreQueue.tabIds.shift();
+      try {
+        if (await restoreQueuedTab(tabId)) restoreQueue.restored++;
+      } catch (e) {
+        console.warn('[TabHibernate] restore tab failed', tabId, e);
+      }
+      restoreQueue.done++;
+      await writeRestoreProgress();
+    }
+  };
+  await Promise.all(Array.from({ length: RESTORE_CONCURRENCY }, worker));
+  const result = { restored: restoreQueue.restored, cancelled: restoreQueue.cancelled };
+  restoreQueue.running = null;
+  await writeRestoreProgress();
+  await updateBadge();
+  return result;
+}
+
+/** Поставить вкладки в очередь (уже стоящие не дублируются). Не ждёт загрузки: { queued } — сколько добавлено. */
+function enqueueRestore(tabIds) {
+  if (tabIds.length === 0) return { queued: 0 };
+  if (restoreQueue.running && restoreQueue.cancelled) {
+    // отменённая очередь доживает последние вкладки — новая начнётся после неё
+    restoreQueue.running.then(() => enqueueRestore(tabIds));
+    return { queued: tabIds.length };
+  }
+  if (!restoreQueue.running) {
+    Object.assign(restoreQueue, { tabIds: [], total: 0, done: 0, restored: 0, cancelled: false });
+  }
+  const added = tabIds.filter((id) => !restoreQueue.tabIds.includes(id));
+  restoreQueue.tabIds.push(...added);
+  restoreQueue.total += added.length;
+  if (!restoreQueue.running) {
+    // первая запись прогресса — уже после присваивания running, чтобы в ней было active: true
+    restoreQueue.running = Promise.resolve().then(writeRestoreProgress).then(drainRestoreQueue);
+  }
+  return { queued: added.length };
+}
+
+/** Прогресс остался от выгруженного SW — очереди уже нет, убираем его из popup. */
+async function resetStaleRestoreProgress() {
+  if (restoreQueue.running) return;
+  const state = await readRestoreQueueState();
+  if (state.active) await writeRestoreQueueState({ ...state, active: false });
+}
+
+/** Остановить очередь: ожидающие вкладки остаются заглушками; уже загружающиеся догрузятся сами, но очередь
+ * их больше не ждёт — итог (active: false) запишет drainRestoreQueue. */
+async function cancelRestoreQueue() {
+  if (!restoreQueue.running) return { ok: false };
+  restoreQueue.cancelled = true;
+  restoreQueue.tabIds = [];
+  for (const controller of restoreQueue.loading) controller.abort();
+  return { ok: true };
+}
+
+/** Ленивый «Restore all»: помечаем записи заглушек, вкладка восстановится при открытии. Активные вкладки
+ * восстанавливаем сразу, как и заглушки без записи (помечать нечего). */
+async function markTabsForLazyRestore(tabs) {
+  const now = [];
+  let marked = 0;
+  for (const tab of tabs) {
+    const data = tab.active ? null : await getPlaceholderRestoreData(tab.url);
+    if (data && data.item) {
+      await writeSuspendedRecord(data.token, { ...data.item, restoreOnActivate: true });
+      marked++;
+    } else {
+      now.push(tab.id);
+    }
+  }
+  const { queued } = enqueueRestore(now);
+  return { queued, marked };
+}
+
+/** Restore all tabs that are currently showing the suspended placeholder.
+ * target: область (см. queryTabsInScope). Режим — settings.restoreAllMode: очередь или ленивое восстановление. */
+async function runRestoreAllSuspended(target = {}) {
+  const [settings, scoped] = await Promise.all([readSettings(), queryTabsInScope(target)]);
+  const tabs = scoped.filter((tab) => tab.url && isPlaceholderTabUrl(tab.url));
+  if (settings.restoreAllMode === 'lazy') return markTabsForLazyRestore(tabs);
+  let windowId = target.windowId;
+  if (windowId == null) windowId = await chrome.windows.getLastFocused().then((w) => w.id).catch(() => null);
+  return enqueueRestore(sortRestoreOrder(tabs, windowId).map((tab) => tab.id));
+}
+
+// ——— Заглушки других суспендеров (The Great Suspender и форки, Tab Suspender). Берём из их URL исходную страницу
+// и заголовок, затем превращаем вкладку в нашу заглушку или сразу возвращаем на страницу.
+
+/** Имя страницы-заглушки чужого расширения: suspended.html, park.html, suspend.html и т.п. */
+const FOREIGN_SUSPENDER_PAGE_RE = /(suspend|park)[^/]*\.html$/i;
+
+/** { url, title } из URL чужой заглушки или null. Известные форматы:
+ * The Great Suspender и форки — suspended.html#ttl=<title>&pos=<n>&uri=<url>, uri последним и без кодирования;
+ * Tab Suspender — park.html?title=<title>&url=<url>; прочие — параметр url/uri в query или hash. */
+function parseForeignSuspenderUrl(url) {
+  if (!url || !url.startsWith('chrome-extension://')) return null;
+  if (isSuspendedPlaceholderUrl(url) || isPlaceholderTabUrl(url)) return null;
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (!FOREIGN_SUSPENDER_PAGE_RE.test(u.pathname)) return null;
+  const hash = u.hash.slice(1);
+  const uriMatch = /(?:^|&)uri=/.exec(hash);
+  let original;
+  let title;
+  if (uriMatch) {
+    original = hash.slice(uriMatch.index + uriMatch[0].length);
+    title = new URLSearchParams(hash.slice(0, uriMatch.index)).get('ttl');
+  } else {
+    const hashParams = new URLSearchParams(hash);
+    const get = (name) => u.searchParams.get(name) || hashParams.get(name);
+    original = get('url') || get('uri');
+    title = get('title') || get('ttl');
+  }
+  if (original && /^[a-z][a-z0-9+.-]*%3A/i.test(original)) {
+    try {
+      original = decodeURIComponent(original);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!original || !/^(https?|file|ftp):/i.test(original)) return null;
+  return { url: original, title: title || original };
+}
+
+/** Перевести вкладки чужих суспендеров на Tab Hibernate. mode 'placeholder' — наша заглушка (страница не грузится),
+ * 'restore' — сразу исходная страница. target: область (см. queryTabsInScope). */
+async function runMigrateForeignPlaceholders({ mode = 'placeholder', ...target } = {}) {
+  const tabs = await queryTabsInScope(target);
+  let converted = 0;
+  let failed = 0;
+  for (const tab of tabs) {
+    const foreign = parseForeignSuspenderUrl(tab.url);
+    if (!foreign) continue;
+    const token = newPlaceholderToken();
+    try {
+      if (mode === 'restore') {
+        await chrome.tabs.update(tab.id, { url: foreign.url });
+      } else {
+        await writeSuspendedRecord(token, { url: foreign.url, title: foreign.title, tabId: tab.id, token });
+        await chrome.tabs.update(tab.id, { url: buildPlaceholderUrl(tab.id, foreign.url, token) });
+      }
+      converted++;
+    } catch (e) {
+      console.warn('[TabHibernate] foreign placeholder migration failed', tab.id, e);
+      if (mode !== 'restore') await removeSuspendedRecord(token);
+      failed++;
+    }
+  }
+  await updateBadge();
+  return { found: converted + failed, converted, failed, mode: mode === 'restore' ? 'restore' : 'placeholder' };
+}
+
+/** Триггер «таймер»: суспендим вкладки, неактивные дольше таймаута (свой таймаут — по правилу сайта). */
+async function suspendInactiveTabs(tabs, settings, rules) {
+  const suspended = [];
+  for (const tab of tabs) {
+    if (!(await isTabEligibleForSuspend(tab, { rules }))) continue;
+    const { timeoutMinutes, mode } = getTabPolicy(tab, settings, rules);
+    if (!isTabInactive(tab.id, timeoutMinutes)) continue;
+    if (await suspendTab(tab, mode, 'timer')) suspended.push({ url: tab.url, title: tab.title });
+  }
+  return suspended;
+}
+
+/** Доля свободной системной памяти в процентах; null, если API недоступен. */
+async function getFreeMemoryPercent() {
+  try {
+    const info = await chrome.system.memory.getInfo();
+    if (!info || !info.capacity) return null;
+    return (info.availableCapacity / info.capacity) * 100;
+  } catch (e) {
+    console.warn('[TabHibernate] system.memory.getInfo failed', e);
+    return null;
+  }
+}
+
+/** Триггер «память»: при нехватке памяти суспендим давно не использованные вкладки (LRU по lastActivityByTab),
+ * пока свободная память не поднимется до целевого уровня или не упрёмся в лимит за одну проверку. */
+async function suspendForMemoryPressure(tabs, settings, rules) {
+  const suspended = [];
+  let freePercent = await getFreeMemoryPercent();
+  if (freePercent == null || freePercent >= settings.memoryLowPercent) return suspended;
+
+  const candidates = [];
+  for (const tab of tabs) {
+    if (!lastActivityByTab.has(tab.id)) continue;
+    if (await isTabEligibleForSuspend(tab, { rules })) candidates.push(tab);
+  }
+  candidates.sort((a, b) => lastActivityByTab.get(a.id) - lastActivityByTab.get(b.id));
+
+  for (const tab of candidates) {
+    if (suspended.length >= settings.memoryMaxPerCheck) break;
+    const { mode } = getTabPolicy(tab, settings, rules);
+    if (await suspendTab(tab, mode, 'memory')) suspended.push({ url: tab.url, title: tab.title });
+    freePercent = await getFreeMemoryPercent();
+    if (freePercent == null || freePercent >= settings.memoryTargetPercent) break;
+  }
+  return suspended;
+}
+
+/** Основная проверка по будильнику: суспенд неактивных и при необходимости бэкап. */
+async function onAlarmCheck() {
+  try {
+    await writeLastAlarmRun(Date.now());
+    await ensureAlarm();
+
+    await getStoredState();
+    await pruneStaleTabIds();
+    await pruneOldBackups();
+    await pruneThumbnails();
+    await flushPendingSync().catch((e) => console.warn('[TabHibernate] sync retry failed', e));
+    await collectPlaceholderGarbage().catch((e) => console.warn('[TabHibernate] collectPlaceholderGarbage failed', e));
+
+    const settings = await readSettings();
+    if (!settings.enabled) return;
+
+    const tabs = await chrome.tabs.query({});
+    const now = Date.now();
+    let needPersist = false;
+    for (const tab of tabs) {
+      if (tab.id && !lastActivityByTab.has(tab.id)) {
+        lastActivityByTab.set(tab.id, now);
+        needPersist = true;
+      }
+    }
+    if (needPersist) await persistLastActivity();
+
+    const rules = await readSiteRules();
+    const toBackup = settings.trigger === 'memory'
+      ? await suspendForMemoryPressure(tabs, settings, rules)
+      : await suspendInactiveTabs(tabs, settings, rules);
+
+    if (toBackup.length > 0) await saveTabsToBackup(toBackup);
+  } catch (e) {
+    console.warn('[TabHibernate] onAlarmCheck failed', e);
+  }
+}
+
+// ——— Автоэкспорт истории в подпапку загрузок — тот же JSON, что кнопка Export на странице History.
+// Хранятся последние autoExportKeep файлов; старые удаляются с диска и из списка загрузок.
+const ALARM_EXPORT_NAME = 'tabHibernateExport';
+const AUTO_EXPORT_FOLDER = 'TabHibernate';
+const DOWNLOAD_WAIT_MS = 60 * 1000;
+/** Chrome не открывает URL длиннее 2 МБ — больший data URL загрузка отвергла бы без внятной ошибки. */
+const AUTO_EXPORT_MAX_URL_CHARS = 2 * 1024 * 1024;
+
+/** Alarm автоэкспорта по настройкам: выключен — снимаем; включён — первый запуск через остаток периода
+ * с последнего экспорта (не раньше чем через минуту). */
+async function ensureExportAlarm(settings) {
+  try {
+    const s = settings || await readSettings();
+    if (!s.autoExportEnabled) {
+      await chrome.alarms.clear(ALARM_EXPORT_NAME);
+      return;
+    }
+    const periodInMinutes = s.autoExportHours * 60;
+    const existing = await chrome.alarms.get(ALARM_EXPORT_NAME);
+    if (existing && existing.periodInMinutes === periodInMinutes) return;
+    const { lastExportAt } = await readAutoExportState();
+    const sinceLast = lastExportAt ? (Date.now() - lastExportAt) / 60000 : periodInMinutes;
+    const delayInMinutes = Math.max(1, periodInMinutes - sinceLast);
+    await chrome.alarms.create(ALARM_EXPORT_NAME, { delayInMinutes, periodInMinutes });
+  } catch (e) {
+    console.warn('[TabHibernate] export alarm', e);
+  }
+}
+
+/** Дождаться завершения загрузки: 'complete', 'interrupted' или 'timeout'. */
+function waitForDownload(downloadId) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const done = (state) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve(state);
+    };
+    const onChanged = (delta) => {
+      if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') done(delta.state.current);
+    };
+    const timer = setTimeout(() => done('timeout'), DOWNLOAD_WAIT_MS);
+    chrome.downloads.onChanged.addListener(onChanged);
+    // Маленький файл мог успеть загрузиться до подписки.
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item && item.state !== 'in_progress') done(item.state);
+    }).catch(() => {});
+  });
+}
+
+/** Оставить keep последних файлов, остальные удалить с диска и из истории загрузок. */
+async function rotateExportFiles(files, keep) {
+  const sorted = [...files].sort((a, b) => a.ts - b.ts);
+  const cut = Math.max(0, sorted.length - keep);
+  for (const f of sorted.slice(0, cut)) {
+    try {
+      await chrome.downloads.removeFile(f.id);
+    } catch (e) {
+      // файл уже удалён или перемещён пользователем
+    }
+    try {
+      await chrome.downloads.erase({ id: f.id });
+    } catch (e) {
+      console.warn('[TabHibernate] download erase failed', f.id, e);
+    }
+  }
+  return sorted.slice(cut);
+}
+
+/** Экспорт closedAndSaved и бэкапов в Downloads/TabHibernate/…json. Время успеха и ошибка — в autoExportState. */
+async function runAutoExport() {
+  const [settings, state] = await Promise.all([readSettings(), readAutoExportState()]);
+  try {
+    const [closedAndSaved, backups] = await Promise.all([readClosedAndSaved(), readBackups()]);
+    // В service worker нет URL.createObjectURL — отдаём JSON как data URL; base64 короче процентной кодировки.
+    const json = buildExportJson({ closedAndSaved, backups });
+    const url = await blobToDataUrl(new Blob([json], { type: 'application/json' }));
+    if (url.length > AUTO_EXPORT_MAX_URL_CHARS) {
+      const sizeMb = (url.length / 1024 / 1024).toFixed(1);
+      throw new Error(`Export is too large to download (${sizeMb} MB, limit ${AUTO_EXPORT_MAX_URL_CHARS / 1024 / 1024} MB). Export it from the history page instead.`);
+    }
+    const filename = `${AUTO_EXPORT_FOLDER}/${buildExportFilename('json', { withTime: true })}`;
+    const id = await chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+    const result = await waitForDownload(id);
+    if (result !== 'complete') throw new Error(`Download ${result}`);
+    const now = Date.now();
+    const files = await rotateExportFiles([...state.files, { id, filename, ts: now }], settings.autoExportKeep);
+    await writeAutoExportState({ lastExportAt: now, lastError: '', files });
+    return { ok: true, filename, lastExportAt: now };
+  } catch (e) {
+    console.warn('[TabHibernate] auto export failed', e);
+    const reason = String((e && e.message) || e);
+    await writeAutoExportState({ ...state, lastError: reason });
+    return { ok: false, reason };
+  }
+}
+
+// ——— Синхронизация между устройствами (chrome.storage.sync). Настройки и правила в sync пишут updateSettings
+// и writeSiteRules; здесь обратный путь — изменения с других устройств пересобираются в локальные settings
+// и siteRules. История (syncClosedAndSaved) — по желанию: устройство публикует свою сжатую историю и забирает чужие
+// записи новее уже импортированных, поэтому удалённая здесь запись не возвращается.
+const CLOSED_SYNC_PUSH_DELAY_MS = 5000;
+const DEVICE_LABEL_MAX = 40;
+const DEVICE_OS_NAMES = { mac: 'Mac', win: 'Windows', linux: 'Linux', cros: 'ChromeOS', android: 'Android' };
+let closedSyncPushTimer = null;
+let syncDevicePromise = null;
+
+/** Локальные settings и siteRules по содержимому sync; пишем только изменившееся. Пока миграция в sync не прошла
+ * или локальные правки не дописаны в sync, локальную копию не трогаем — иначе откатили бы настройки пользователя. */
+async function pullSyncedSettings() {
+  const { storageVersion } = await chrome.storage.local.get('storageVersion');
+  if ((Number(storageVersion) || 0) < SETTINGS_SYNC_VERSION) return;
+  if (!(await flushPendingSync())) return;
+  const [synced, local] = await Promise.all([chrome.storage.sync.get(null), chrome.storage.local.get(['settings', 'siteRules'])]);
+  const settings = settingsFromSync(synced, local.settings);
+  const siteRules = siteRulesFromSync(synced);
+  const toSet = {};
+  if (JSON.stringify(settings) !== JSON.stringify(normalizeSettings(local.settings))) toSet.settings = settings;
+  if (JSON.stringify(siteRules) !== JSON.stringify(normalizeSiteRules(local.siteRules))) toSet.siteRules = siteRules;
+  if (Object.keys(toSet).length > 0) await chrome.storage.local.set(toSet);
+}
+
+/** Это устройство в синхронизации истории: id создаётся один раз, имя по умолчанию — ОС и хвост id. */
+function ensureSyncDevice() {
+  if (!syncDevicePromise) {
+    syncDevicePromise = (async () => {
+      const existing = await readSyncDevice();
+      if (existing) return existing;
+      let os = '';
+      try {
+        os = DEVICE_OS_NAMES[(await chrome.runtime.getPlatformInfo()).os] || '';
+      } catch (e) {
+        // getPlatformInfo недоступен — обойдёмся без ОС в имени
+      }
+      const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      const device = { id, label: `${os || 'Device'} ${id.slice(-4)}` };
+      await writeSyncDevice(device);
+      return device;
+    })().catch((e) => {
+      syncDevicePromise = null;
+      throw e;
+    });
+  }
+  return syncDevicePromise;
+}
+
+async function setDeviceLabel(label) {
+  const device = await ensureSyncDevice();
+  const next = { ...device, label: String(label || '').trim().slice(0, DEVICE_LABEL_MAX) || device.label };
+  await writeSyncDevice(next);
+  syncDevicePromise = Promise.resolve(next);
+  await pushClosedAndSavedToSync();
+  return { ok: true, label: next.label };
+}
+
+/** Опубликовать свою историю в sync или убрать её оттуда, если синхронизация истории выключена; заодно убрать
+ * истории устройств, молчащих дольше SYNC_DEVICE_EXPIRE_MS. Ключи перезаписываются, только если содержимое
+ * изменилось или заголовок пора подтвердить, — лимит записей sync в час не тратится впустую. */
+async function pushClosedAndSavedToSync() {
+  const [settings, device, synced] = await Promise.all([readSettings(), ensureSyncDevice(), chrome.storage.sync.get(null)]);
+  const now = Date.now();
+  const metaKey = closedSyncKey(device.id);
+  let ownKeys = [];
+  const expired = [];
+  let otherBytes = 0;
+  let otherDevices = 0;
+  for (const [id, usage] of closedSyncUsage(synced)) {
+    if (id === device.id) {
+      ownKeys = usage.keys;
+    } else if (now - usage.updatedAt > SYNC_DEVICE_EXPIRE_MS) {
+      expired.push(...usage.keys);
+    } else {
+      otherBytes += usage.bytes;
+      otherDevices++;
+    }
+  }
+  if (!settings.syncClosedAndSaved) {
+    const toRemove = [...ownKeys, ...expired];
+    return { ok: toRemove.length === 0 || await writeSyncItems({}, toRemove), chunks: 0 };
+  }
+  const maxChunks = closedSyncChunkAllowance(otherBytes, otherDevices);
+  const chunks = buildClosedSyncChunks(device.id, await readClosedAndSaved(), maxChunks);
+  const meta = synced[metaKey];
+  const unchanged = !!meta && meta.label === device.label && meta.chunks === chunks.length
+    && now - (Number(meta.updatedAt) || 0) < SYNC_DEVICE_REFRESH_MS
+    && chunks.every((items, i) => JSON.stringify((synced[closedSyncKey(device.id, i)] || {}).items) === JSON.stringify(items));
+  if (unchanged && expired.length === 0) return { ok: true, chunks: chunks.length };
+  const toSet = {};
+  if (!unchanged) {
+    const rev = now;
+    toSet[metaKey] = { label: device.label, rev, chunks: chunks.length, updatedAt: rev };
+    chunks.forEach((items, i) => {
+      toSet[closedSyncKey(device.id, i)] = { rev, items };
+    });
+  }
+  const toRemove = [...(unchanged ? [] : ownKeys.filter((key) => !(key in toSet))), ...expired];
+  const ok = await writeSyncItems(toSet, toRemove);
+  return { ok, chunks: chunks.length };
+}
+
+/** Записи других устройств новее уже импортированных — в closedAndSaved по времени сохранения, с пометкой device.
+ * Возвращает число добавленных. */
+async function importClosedAndSavedFromSync() {
+  const [settings, device, synced, imported] = await Promise.all([
+    readSettings(),
+    ensureSyncDevice(),
+    chrome.storage.sync.get(null),
+    readSyncImported(),
+  ]);
+  if (!settings.syncClosedAndSaved) return 0;
+  const incoming = [];
+  const watermarks = { ...imported };
+  for (const [id, other] of parseClosedSync(synced)) {
+    if (id === device.id || !other.complete) continue;
+    for (const item of other.items) {
+      if (item.savedAt <= (imported[id] || 0)) continue;
+      incoming.push({ ...item, device: { id, label: other.label } });
+      watermarks[id] = Math.max(watermarks[id] || 0, item.savedAt);
+    }
+  }
+  if (incoming.length === 0) return 0;
+  const list = await readClosedAndSaved();
+  const seen = new Set(list.map((x) => `${x.savedAt || 0}\u0000${x.url}`));
+  let added = 0;
+  for (const item of incoming.sort((a, b) => b.savedAt - a.savedAt)) {
+    if (seen.has(`${item.savedAt}\u0000${item.url}`)) continue;
+    const at = list.findIndex((x) => (x.savedAt || 0) < item.savedAt);
+    list.splice(at === -1 ? list.length : at, 0, item);
+    added++;
+  }
+  if (added > 0) await writeClosedAndSaved(list);
+  await writeSyncImported(watermarks);
+  return added;
+}
+
+/** После изменения closedAndSaved публикуем историю с задержкой — пачка изменений уходит одной записью. */
+async function scheduleClosedSyncPush() {
+  const settings = await readSettings();
+  if (!settings.syncClosedAndSaved) return;
+  clearTimeout(closedSyncPushTimer);
+  closedSyncPushTimer = setTimeout(() => {
+    closedSyncPushTimer = null;
+    pushClosedAndSavedToSync().catch((e) => console.warn('[TabHibernate] history sync push failed', e));
+  }, CLOSED_SYNC_PUSH_DELAY_MS);
+}
+
+/** Опубликовать свою историю и забрать чужие (старт, включение синхронизации истории). */
+async function runClosedAndSavedSync() {
+  try {
+    await pushClosedAndSavedToSync();
+    await importClosedAndSavedFromSync();
+  } catch (e) {
+    console.warn('[TabHibernate] history sync failed', e);
+  }
+}
+
+/** Создаём/обновляем периодический alarm — вызывать при старте и после каждой проверки. */
+async function ensureAlarm() {
+  try {
+    await chrome.alarms.create(ALARM_CHECK_NAME, { periodInMinutes: ALARM_CHECK_PERIOD_MINUTES });
+  } catch (e) {
+    console.warn('[TabHibernate] alarm create', e);
+  }
+}
+
+async function initOnStartup() {
+  await ensureAlarm();
+  await ensureExportAlarm();
+  await getStoredState();
+  const tabs = await chrome.tabs.query({});
+  const now = Date.now();
+  for (const tab of tabs) {
+    if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
+      lastActivityByTab.set(tab.id, now);
+    }
+  }
+  await persistLastActivity();
+  await resetStaleRestoreProgress();
   await updateBadge();
 }
 
@@ -544,28 +1985,46 @@ async function setSidePanelBehavior() {
   }
 }
 
+/** Миграции storage; сбой (например, sync недоступен) только логируем — повторим при следующем старте. */
+async function migrateStorage() {
+  try {
+    await runStorageMigrations();
+  } catch (e) {
+    console.warn('[TabHibernate] storage migration failed', e);
+  }
+}
+
 chrome.runtime.onStartup.addListener(async () => {
+  await migrateStorage();
   await setSidePanelBehavior();
   await initOnStartup();
+  await runRecoverPlaceholders();
+  await runClosedAndSavedSync();
 });
+/** Установка и обновление: миграции storage сохраняют настройки и данные пользователя, дописывая только дефолты. */
 chrome.runtime.onInstalled.addListener(async () => {
-  await chrome.storage.local.set({
-    settings: {
-      enabled: true,
-      timeoutMinutes: INACTIVITY_MINUTES,
-      mode: 'placeholder',
-    },
-  });
+  await migrateStorage();
   await setSidePanelBehavior();
+  await createContextMenus();
   await initOnStartup();
+  await runRecoverPlaceholders();
+  await runClosedAndSavedSync();
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === ALARM_CHECK_NAME) onAlarmCheck();
+  else if (alarm.name === ALARM_EXPORT_NAME) runAutoExport();
 });
 
 chrome.tabs.onActivated.addListener((activeInfo) => {
   markTabActive(activeInfo.tabId);
+  scheduleThumbnailCapture(activeInfo.tabId, activeInfo.windowId);
+  scheduleRestoreOnFocus(activeInfo.tabId, activeInfo.windowId);
+});
+
+/** Активная вкладка догрузилась — обновляем её миниатюру. */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.active) scheduleThumbnailCapture(tabId, tab.windowId);
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
@@ -579,23 +2038,162 @@ chrome.tabs.onCreated.addListener((tab) => {
   if (tab.id) markTabActive(tab.id);
 });
 
+/** Вкладку вернули из приостановки: discarded сброшен или заглушка ушла на обычную страницу. */
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.discarded === false || (changeInfo.url && !isPlaceholderTabUrl(changeInfo.url))) {
+    recordSuspendEnd(tabId, true);
+  }
+});
+
 chrome.tabs.onRemoved.addListener((tabId) => {
+  recordSuspendEnd(tabId, false);
   lastActivityByTab.delete(tabId);
   persistLastActivity();
-  chrome.storage.local.remove(`suspended_${tabId}`);
+  forgetPageState([tabId]).catch((e) => console.warn('[TabHibernate] forgetPageState failed', e));
+  // запись заглушки не трогаем: закрытую вкладку могут вернуть (Ctrl+Shift+T) — её уберёт collectPlaceholderGarbage
+  chrome.storage.local.remove([restoreSnapshotKey(tabId), thumbKey(tabId)]);
   updateBadge();
 });
 
-/** Бейдж обновляется при изменении closedAndSaved (импорт/очистка на странице History). */
+/** Бейдж обновляется при изменении closedAndSaved (импорт/очистка на странице History), история уходит в sync;
+ * alarm автоэкспорта и синхронизация истории — при смене настроек в панели или на другом устройстве. */
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && changes.closedAndSaved) updateBadge();
+  if (areaName === 'sync') {
+    onSyncChanged(changes);
+    return;
+  }
+  if (areaName !== 'local') return;
+  if (changes.closedAndSaved) {
+    updateBadge();
+    scheduleClosedSyncPush().catch((e) => console.warn('[TabHibernate] history sync schedule failed', e));
+  }
+  if (changes.settings) {
+    const settings = normalizeSettings(changes.settings.newValue);
+    const oldSettings = normalizeSettings(changes.settings.oldValue);
+    ensureExportAlarm(settings);
+    if (settings.syncClosedAndSaved !== oldSettings.syncClosedAndSaved) runClosedAndSavedSync();
+    if (oldSettings.thumbnails && !settings.thumbnails) pruneThumbnails();
+  }
 });
 
+/** Изменения sync: настройки и правила (в т.ч. свои же записи — пересборка их не меняет) и истории других устройств. */
+function onSyncChanged(changes) {
+  const keys = Object.keys(changes);
+  if (keys.some((key) => key.startsWith(KEY_PREFIX_SYNC_SETTING) || key.startsWith(KEY_PREFIX_SYNC_RULE))) {
+    pullSyncedSettings().catch((e) => console.warn('[TabHibernate] sync pull failed', e));
+  }
+  if (keys.some((key) => key.startsWith(KEY_PREFIX_SYNC_CLOSED))) {
+    importClosedAndSavedFromSync().catch((e) => console.warn('[TabHibernate] history sync import failed', e));
+  }
+}
+
 /** При смене URL вкладки (в т.ч. restore одной вкладки) обновляем бейдж. */
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.url) updateBadge();
 });
 
+/** Добавить правило в начало siteRules (первое совпадение выигрывает); старое правило с тем же шаблоном заменяется. */
+async function addSiteRule(rule) {
+  const rules = (await readSiteRules()).filter((r) => r.pattern !== rule.pattern);
+  await writeSiteRules([rule, ...rules]);
+}
+
+// ——— Контекстное меню: страница, иконка расширения, ссылки.
+const MENU_SUSPEND_TAB = 'suspendTab';
+const MENU_SUSPEND_OTHERS = 'suspendOthersInWindow';
+const MENU_NEVER_SUSPEND_SITE = 'neverSuspendSite';
+const MENU_CLOSE_AND_SAVE_TAB = 'closeAndSaveTab';
+const MENU_OPEN_LINK_SUSPENDED = 'openLinkSuspended';
+
+/** Пункты меню сохраняются Chrome между перезапусками SW — создаём их только в onInstalled. */
+async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+  const pageContexts = ['page', 'action'];
+  chrome.contextMenus.create({ id: MENU_SUSPEND_TAB, title: 'Suspend this tab', contexts: pageContexts });
+  chrome.contextMenus.create({ id: MENU_SUSPEND_OTHERS, title: 'Suspend other tabs in this window', contexts: pageContexts });
+  chrome.contextMenus.create({ id: MENU_NEVER_SUSPEND_SITE, title: 'Never suspend this site', contexts: pageContexts });
+  chrome.contextMenus.create({ id: MENU_CLOSE_AND_SAVE_TAB, title: 'Close and save this tab', contexts: pageContexts });
+  chrome.contextMenus.create({ id: MENU_OPEN_LINK_SUSPENDED, title: 'Open link as suspended tab', contexts: ['link'] });
+}
+
+async function onContextMenuClick(info, tab) {
+  switch (info.menuItemId) {
+    case MENU_SUSPEND_TAB:
+      if (tab) await runSuspendTab(tab);
+      break;
+    case MENU_SUSPEND_OTHERS:
+      if (tab) await runSuspendAllNow({ scope: 'window', windowId: tab.windowId });
+      break;
+    case MENU_NEVER_SUSPEND_SITE: {
+      let host = '';
+      try {
+        host = new URL(info.pageUrl || (tab && tab.url) || '').hostname;
+      } catch (e) {
+        // не http(s) страница — правило не добавляем
+      }
+      if (host) await addSiteRule({ pattern: host, action: 'never' });
+      break;
+    }
+    case MENU_CLOSE_AND_SAVE_TAB:
+      if (tab && hasRestorableUrl(tab.url)) {
+        await closeAndSaveTabs([tab]);
+        await updateBadge();
+      }
+      break;
+    case MENU_OPEN_LINK_SUSPENDED:
+      if (info.linkUrl) {
+        const props = tab ? { windowId: tab.windowId, index: tab.index + 1, openerTabId: tab.id } : {};
+        await openPlaceholderTab(info.linkUrl, info.linkUrl, props);
+        await updateBadge();
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  onContextMenuClick(info, tab).catch((e) => console.warn('[TabHibernate] context menu failed', info.menuItemId, e));
+});
+
+/** Горячие клавиши (manifest → commands) вызывают те же функции, что и кнопки панели.
+ * Переназначаются пользователем на chrome://extensions/shortcuts. */
+const COMMAND_HANDLERS = {
+  'suspend-current-tab': () => runSuspendCurrentTab(),
+  'suspend-others-in-window': (windowId) => runSuspendAllNow({ scope: 'window', windowId }),
+  'suspend-all': () => runSuspendAllNow(),
+  'restore-window': (windowId) => runRestoreAllSuspended({ scope: 'window', windowId }),
+  'restore-all': () => runRestoreAllSuspended(),
+  'close-and-save-all': async () => {
+    const res = await runCloseAndSaveAll();
+    await updateBadge();
+    return res;
+  },
+  'backup-now': () => runBackup('shortcut'),
+  'migrate-other-suspenders': () => runMigrateForeignPlaceholders(),
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+  try {
+    let windowId = tab && tab.windowId;
+    if (windowId == null) windowId = (await chrome.windows.getLastFocused()).id;
+    await handler(windowId);
+  } catch (e) {
+    console.warn('[TabHibernate] command failed', command, e);
+  }
+});
+
+/** Область массового действия из сообщения: { scope, windowId, exceptCurrentOnly }. */
+function getMessageTarget(msg) {
+  return {
+    scope: BULK_SCOPES.includes(msg.scope) ? msg.scope : 'all',
+    windowId: typeof msg.windowId === 'number' ? msg.windowId : null,
+    exceptCurrentOnly: !!msg.exceptCurrentOnly,
+  };
+}
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   const safeSend = (value) => {
     try {
@@ -610,12 +2208,46 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     safeSend({ ok: true });
     return true;
   }
+  if (msg.type === 'pageState') {
+    const tabId = sender.tab?.id;
+    if (!tabId) {
+      safeSend({ ok: false });
+      return false;
+    }
+    setFramePageState(tabId, sender.frameId || 0, msg.unsaved, msg.live).then(() => safeSend({ ok: true })).catch((e) => {
+      console.warn('[TabHibernate] pageState failed', e);
+      safeSend({ ok: false });
+    });
+    return true;
+  }
+  if (msg.type === 'getRestoreSnapshot') {
+    const tabId = sender.tab?.id;
+    // снимок снят с верхнего документа — вложенные фреймы его не получают
+    if (!tabId || sender.frameId) {
+      safeSend(null);
+      return false;
+    }
+    takeRestoreSnapshot(tabId, sender.url || sender.tab.url).then((snapshot) => safeSend(snapshot)).catch((e) => {
+      console.warn('[TabHibernate] getRestoreSnapshot failed', e);
+      safeSend(null);
+    });
+    return true;
+  }
+  if (msg.type === 'recoverPlaceholder') {
+    // заглушка не нашла свою запись — сопоставляем только её; если сменится токен, URL перепишется и она перезагрузится
+    const tabId = sender.tab?.id;
+    if (!tabId) {
+      safeSend(null);
+      return false;
+    }
+    enqueuePlaceholderRecovery(() => recoverPlaceholderTab(tabId)).then((item) => safeSend(item)).catch((e) => {
+      console.warn('[TabHibernate] recoverPlaceholder failed', e);
+      safeSend(null);
+    });
+    return true;
+  }
   if (msg.type === 'getRestoreData') {
-    const tabId = msg.tabId;
-    chrome.storage.local.get(`suspended_${tabId}`).then((data) => {
-      const key = `suspended_${tabId}`;
-      safeSend(data[key] || null);
-    }).catch((e) => {
+    (msg.token ? readSuspendedRecord(msg.token) : Promise.resolve(null)).then((item) => safeSend(item)).catch((e) => {
       console.warn('[TabHibernate] getRestoreData failed', e);
       safeSend(null);
     });
@@ -629,11 +2261,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
   if (msg.type === 'getStats') {
-    chrome.storage.local.get(['suspendedToday', 'suspendedTodayDate']).then((data) => {
-      const today = new Date().toISOString().slice(0, 10);
-      const count = data.suspendedTodayDate === today ? (data.suspendedToday || 0) : 0;
-      safeSend({ suspendedToday: count });
-    }).catch((e) => {
+    readSuspendedToday().then((suspendedToday) => safeSend({ suspendedToday })).catch((e) => {
       console.warn('[TabHibernate] getStats failed', e);
       safeSend({ suspendedToday: 0 });
     });
@@ -641,17 +2269,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
   if (msg.type === 'getStatus') {
     Promise.all([
-      chrome.storage.local.get(['suspendedToday', 'suspendedTodayDate', 'lastAlarmRun']),
+      readSuspendedToday(),
+      readLastAlarmRun(),
       getEligibleTabsForBackup(),
       getHibernatedCount(),
-    ]).then(async ([data, eligibleTabs, hibernatedCount]) => {
-      const today = new Date().toISOString().slice(0, 10);
-      const suspendedToday = data.suspendedTodayDate === today ? (data.suspendedToday || 0) : 0;
+    ]).then(async ([suspendedToday, lastAlarmRun, eligibleTabs, hibernatedCount]) => {
       await updateBadge(hibernatedCount);
       safeSend({
         suspendedToday,
         hibernatedCount,
-        lastAlarmRun: data.lastAlarmRun || 0,
+        lastAlarmRun,
         eligibleTabCount: eligibleTabs.length,
         closedSavedMax: CLOSED_SAVED_MAX,
       });
@@ -666,51 +2293,127 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return true;
   }
   if (msg.type === 'clearRestoreData') {
-    if (msg.tabId) chrome.storage.local.remove(`suspended_${msg.tabId}`);
+    if (msg.token) removeSuspendedRecord(msg.token);
     safeSend({ ok: true });
     return true;
   }
   if (msg.type === 'suspendCurrentTab') {
-    (async () => {
-      try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab) return safeSend({ ok: false, reason: 'No active tab' });
-        if (!(await isTabEligibleForSuspend(tab, { allowActive: true }))) {
-          const reason = tab.pinned ? 'Tab is pinned' : tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://')
-            ? 'System page cannot be suspended' : 'Cannot suspend this tab';
-          return safeSend({ ok: false, reason });
-        }
-        const settings = await getSettings();
-        if (settings.mode === 'placeholder' && !hasRestorableUrl(tab.url)) {
-          return safeSend({ ok: false, reason: 'Cannot suspend: page has no restorable URL' });
-        }
-        const ok = settings.mode === 'discard'
-          ? await suspendDiscard(tab.id)
-          : await suspendPlaceholder(tab.id, tab.url, tab.title);
-        safeSend({ ok });
-      } catch (e) {
-        console.warn('[TabHibernate] suspendCurrentTab failed', e);
-        safeSend({ ok: false, reason: String(e.message) });
-      }
-    })();
+    runSuspendCurrentTab().then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] suspendCurrentTab failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
     return true;
   }
   if (msg.type === 'suspendAllNow') {
-    runSuspendAllNow().then((res) => safeSend(res)).catch((e) => {
+    runSuspendAllNow(getMessageTarget(msg)).then((res) => safeSend(res)).catch((e) => {
       console.warn('[TabHibernate] suspendAllNow failed', e);
       safeSend({ suspended: 0, error: String(e.message) });
     });
     return true;
   }
+  if (msg.type === 'cancelRestoreQueue') {
+    cancelRestoreQueue().then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] cancelRestoreQueue failed', e);
+      safeSend({ ok: false });
+    });
+    return true;
+  }
   if (msg.type === 'restoreAllSuspended') {
-    runRestoreAllSuspended().then((res) => safeSend(res)).catch((e) => {
+    runRestoreAllSuspended(getMessageTarget(msg)).then((res) => safeSend(res)).catch((e) => {
       console.warn('[TabHibernate] restoreAllSuspended failed', e);
       safeSend({ restored: 0, error: String(e.message) });
     });
     return true;
   }
+  if (msg.type === 'migrateForeignPlaceholders') {
+    runMigrateForeignPlaceholders({ mode: msg.mode, ...getMessageTarget(msg) }).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] migrateForeignPlaceholders failed', e);
+      safeSend({ found: 0, converted: 0, failed: 0, error: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'undoLastAction') {
+    undoLastAction().then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] undoLastAction failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'clearClosedAndSaved') {
+    clearClosedAndSaved().then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] clearClosedAndSaved failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'suspendGroup') {
+    runSuspendAllNow({ groupId: msg.groupId }).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] suspendGroup failed', e);
+      safeSend({ suspended: 0, error: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'restoreGroup') {
+    runRestoreAllSuspended({ groupId: msg.groupId }).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] restoreGroup failed', e);
+      safeSend({ restored: 0, error: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'closeAndSaveGroup') {
+    runCloseAndSaveAll({ groupId: msg.groupId }).then(async (res) => {
+      await updateBadge();
+      safeSend(res);
+    }).catch((e) => {
+      console.warn('[TabHibernate] closeAndSaveGroup failed', e);
+      safeSend({ closed: 0, error: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'saveSession') {
+    saveSession(msg.name).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] saveSession failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'restoreSession') {
+    restoreSession(msg.id, { asPlaceholders: !!msg.asPlaceholders }).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] restoreSession failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'deleteSession') {
+    deleteSession(msg.id).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] deleteSession failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'getSyncDevice') {
+    ensureSyncDevice().then((device) => safeSend(device)).catch((e) => {
+      console.warn('[TabHibernate] getSyncDevice failed', e);
+      safeSend(null);
+    });
+    return true;
+  }
+  if (msg.type === 'setDeviceLabel') {
+    setDeviceLabel(msg.label).then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] setDeviceLabel failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
+  if (msg.type === 'autoExportNow') {
+    runAutoExport().then((res) => safeSend(res)).catch((e) => {
+      console.warn('[TabHibernate] autoExportNow failed', e);
+      safeSend({ ok: false, reason: String(e.message) });
+    });
+    return true;
+  }
   if (msg.type === 'closeAndSaveAll') {
-    runCloseAndSaveAll().then(async (res) => {
+    runCloseAndSaveAll(getMessageTarget(msg)).then(async (res) => {
       await updateBadge();
       safeSend(res);
     }).catch((e) => {
@@ -0,0 +1,155 @@
+/**
+ * Statistics page: daily series from statsDaily (suspensions by mode and trigger, restores, time suspended,
+ * memory saved), top domains for the period, memory held by currently suspended tabs, export to JSON.
+ * Формат данных — в storage.js, запись статистики — в service_worker.js (recordSuspendStats / recordSuspendEnd).
+ */
+
+const TRIGGER_LABELS = { timer: 'Timer', memory: 'Memory', manual: 'Manual', bulk: 'Suspend all' };
+const TOP_DOMAINS = 20;
+
+/** Даты периода (YYYY-MM-DD, как ключи statsDaily), от сегодняшней назад. */
+function periodDates(days) {
+  const now = Date.now();
+  return Array.from({ length: days }, (_, i) => new Date(now - i * 86400000).toISOString().slice(0, 10));
+}
+
+/** Итоги за период и суммы по доменам. */
+function summarize(stats, dates) {
+  const total = normalizeStatsDay(null);
+  const domains = {};
+  for (const date of dates) {
+    const day = stats[date];
+    if (!day) continue;
+    total.suspended.discard += day.suspended.discard;
+    total.suspended.placeholder += day.suspended.placeholder;
+    for (const t of STATS_TRIGGERS) total.triggers[t] += day.triggers[t];
+    total.restored += day.restored;
+    total.suspendedMs += day.suspendedMs;
+    total.memorySavedMb.estimated += day.memorySavedMb.estimated;
+    for (const [host, d] of Object.entries(day.domains)) {
+      const sum = domains[host] || (domains[host] = { suspended: 0, restored: 0, suspendedMs: 0 });
+      sum.suspended += d.suspended;
+      sum.restored += d.restored;
+      sum.suspendedMs += d.suspendedMs;
+    }
+  }
+  return { total, domains };
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = minutes / 60;
+  if (hours < 48) return `${hours.toFixed(1)} h`;
+  return `${(hours / 24).toFixed(1)} d`;
+}
+
+function formatMb(mb) {
+  return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${Math.round(mb)} MB`;
+}
+
+function escapeHtml(s) {
+  if (s == null) return '';
+  const div = document.createElement('div');
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+function card(value, label) {
+  return `<div class="card"><div class="card-value">${escapeHtml(value)}</div><div class="card-label">${escapeHtml(label)}</div></div>`;
+}
+
+function renderSummary(total, starts) {
+  const suspended = total.suspended.discard + total.suspended.placeholder;
+  const saved = total.memorySavedMb.estimated;
+  const holding = [...starts.values()].reduce((sum, s) => sum + (Number(s.memoryMb) || 0), 0);
+  document.getElementById('summary').innerHTML = [
+    card(String(suspended), `Tabs suspended (${total.suspended.placeholder} placeholder, ${total.suspended.discard} discard)`),
+    card(String(total.restored), 'Tabs restored'),
+    card(formatDuration(total.suspendedMs), 'Time spent suspended'),
+    card(formatMb(saved), 'Memory freed by suspending'),
+    card(formatMb(holding), `Held back now by ${starts.size} suspended tab(s)`),
+  ].join('');
+  document.getElementById('memoryNote').textContent =
+    'Memory is estimated (about 70 MB per tab minus the placeholder page); Chrome does not expose per-tab memory to extensions.';
+}
+
+function renderDaily(stats, dates) {
+  const days = dates.filter((date) => stats[date]);
+  const el = document.getElementById('daily');
+  if (days.length === 0) {
+    el.innerHTML = '<div class="empty">No suspensions in this period</div>';
+    return;
+  }
+  const max = Math.max(1, ...days.map((d) => stats[d].suspended.discard + stats[d].suspended.placeholder));
+  const rows = days.map((date) => {
+    const day = stats[date];
+    const pct = (n) => `${(n / max) * 100}%`;
+    return `<tr>
+      <td>${escapeHtml(date)}</td>
+      <td class="bar-cell"><div class="bar" title="${day.suspended.placeholder} placeholder, ${day.suspended.discard} discard">
+        <span class="placeholder" style="width:${pct(day.suspended.placeholder)}"></span><span class="discard" style="width:${pct(day.suspended.discard)}"></span>
+      </div></td>
+      <td>${day.suspended.placeholder + day.suspended.discard}</td>
+      ${STATS_TRIGGERS.map((t) => `<td>${day.triggers[t]}</td>`).join('')}
+      <td>${day.restored}</td>
+      <td>${formatDuration(day.suspendedMs)}</td>
+      <td>${formatMb(day.memorySavedMb.estimated)}</td>
+    </tr>`;
+  });
+  el.innerHTML = `<table>
+    <thead><tr><th>Date</th><th></th><th>Suspended</th>${STATS_TRIGGERS.map((t) => `<th>${TRIGGER_LABELS[t]}</th>`).join('')}<th>Restored</th><th>Time suspended</th><th>Memory</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+}
+
+function renderDomains(domains) {
+  const top = Object.entries(domains).sort((a, b) => b[1].suspended - a[1].suspended || b[1].suspendedMs - a[1].suspendedMs).slice(0, TOP_DOMAINS);
+  const el = document.getElementById('domains');
+  if (top.length === 0) {
+    el.innerHTML = '<div class="empty">No domains yet</div>';
+    return;
+  }
+  el.innerHTML = `<table>
+    <thead><tr><th>Domain</th><th>Suspended</th><th>Restored</th><th>Time suspended</th></tr></thead>
+    <tbody>${top.map(([host, d]) => `<tr>
+      <td class="domain" title="${escapeHtml(host)}">${escapeHtml(host)}</td>
+      <td>${d.suspended}</td><td>${d.restored}</td><td>${formatDuration(d.suspendedMs)}</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+}
+
+async function refresh() {
+  const [stats, starts] = await Promise.all([readStatsDaily(), readSuspendStarts()]);
+  const dates = periodDates(Number(document.getElementById('period').value) || 7);
+  const { total, domains } = summarize(stats, dates);
+  renderSummary(total, starts);
+  renderDaily(stats, dates);
+  renderDomains(domains);
+}
+
+async function exportStats() {
+  const statsDaily = await readStatsDaily();
+  const content = JSON.stringify({ version: STORAGE_VERSION, exportedAt: Date.now(), statsDaily }, null, 2);
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json;charset=utf-8' }));
+  chrome.downloads.download({ url, filename: `tab-hibernate-stats-${todayDateString()}.json`, saveAs: true }, () => {
+    URL.revokeObjectURL(url);
+  });
+}
+
+let refreshTimer = null;
+
+function onStorageChanged(changes, areaName) {
+  if (areaName !== 'local' || !(changes.statsDaily || changes.suspendStarts)) return;
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, 100);
+}
+
+function init() {
+  document.getElementById('period').addEventListener('change', refresh);
+  document.getElementById('exportStats').addEventListener('click', exportStats);
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  refresh();
+}
+
+init();
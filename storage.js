@@ -0,0 +1,870 @@
+/**
+ * Схема chrome.storage.local и chrome.storage.sync: ключи, значения по умолчанию, типизированные чтение/запись и миграции.
+ * Подключается service worker'ом (importScripts) и страницами (popup, side panel, History, заглушка) —
+ * формат данных разбирается только здесь.
+ *
+ * Ключи:
+ *   storageVersion          — номер схемы (число); миграции доводят данные до STORAGE_VERSION
+ *   settings                — объект настроек, см. DEFAULT_SETTINGS; локальная копия полей setting_* из sync
+ *   siteRules               — [{ pattern, action, timeoutMinutes? }], порядок = приоритет; копия siteRule_* из sync
+ *   lastActivityByTab       — { tabId: ts }
+ *   unsavedByTab            — { tabId: ['form' | 'beforeunload'] }
+ *   liveByTab               — { tabId: ['media' | 'call'] } — идёт воспроизведение, звонок или захват экрана
+ *   pageStateFrames         — { tabId: { frameId: { unsaved, live } } } — то же по фреймам; unsavedByTab и liveByTab —
+ *                             объединение фреймов вкладки
+ *   suspended_<token>       — запись заглушки { url, title, tabId, token, writtenAt, snapshot?, thumbnail?, thumbnailTs?,
+ *                             favicon?, restoreOnActivate?, orphanedAt? }; token — параметр t в URL заглушки,
+ *                             writtenAt — время последней записи
+ *   restoreSnapshot_<tabId> — { url, snapshot, ts } до загрузки страницы после restore
+ *   thumb_<tabId>           — { dataUrl, url, ts }
+ *   backup_YYYY-MM-DD       — [{ url, title, ts }]
+ *   closedAndSaved          — [{ id, url, title, savedAt, group?, device? }], новые в начале, не больше CLOSED_SAVED_MAX;
+ *                             id уникален в списке;
+ *                             device: { id, label } — запись пришла из истории другого устройства через sync
+ *   sessions                — [{ id, name, createdAt, windows }], не больше SESSIONS_MAX
+ *   faviconCache            — { host: { dataUrl, ts } }
+ *   suspendedToday, suspendedTodayDate — дневной счётчик приостановок
+ *   lastAlarmRun            — ts последней проверки по будильнику
+ *   autoExportState         — { lastExportAt, lastError, files: [{ id, filename, ts }] } — автоэкспорт в загрузки
+ *   restoreQueueState       — { active, total, done, restored, cancelled } — прогресс очереди «Restore all»
+ *   statsDaily              — { 'YYYY-MM-DD': день статистики, см. normalizeStatsDay }, не больше STATS_DAYS_MAX дней
+ *   suspendStarts           — { tabId: { at, host, mode, memoryMb } } — начало текущей приостановки вкладки
+ *   actionJournal           — [{ id, type, at, tabs, savedAt?, closedIds?, closedAndSaved? }] — массовые действия для Undo,
+ *                             новые в начале, не больше ACTION_JOURNAL_MAX
+ *   syncDevice              — { id, label } — это устройство в синхронизации истории; label видят другие устройства
+ *   syncImported            — { deviceId: savedAt } — самая новая запись, уже импортированная из истории устройства
+ *   syncPending             — { settings: [поле], rules: boolean } — что из локальных settings/siteRules не удалось
+ *                             записать в sync (квота, лимит записей); до дозаписи sync не перезаписывает локальную копию
+ *
+ * Ключи chrome.storage.sync (общие для устройств профиля; chrome.storage.sync сам сливает их по ключу, поэтому
+ * независимые правки лежат в разных ключах):
+ *   setting_<поле>          — значение одного поля настроек
+ *   siteRule_<pattern>      — { pattern, action, timeoutMinutes?, order }, правила идут по возрастанию order
+ *   closedSync_<deviceId>   — { label, rev, chunks, updatedAt } — сжатая история устройства (если syncClosedAndSaved)
+ *   closedSync_<deviceId>_<n> — { rev, items: [[url, title, savedAt]] } — её часть; rev совпадает с заголовком
+ */
+
+const STORAGE_VERSION = 4;
+/** Версия схемы, с которой настройки и правила живут в sync: до её миграции sync — не источник правды. */
+const SETTINGS_SYNC_VERSION = 2;
+
+const KEY_PREFIX_SUSPENDED = 'suspended_';
+const KEY_PREFIX_RESTORE_SNAPSHOT = 'restoreSnapshot_';
+const KEY_PREFIX_THUMB = 'thumb_';
+const KEY_PREFIX_BACKUP = 'backup_';
+const KEY_PREFIX_SYNC_SETTING = 'setting_';
+const KEY_PREFIX_SYNC_RULE = 'siteRule_';
+const KEY_PREFIX_SYNC_CLOSED = 'closedSync_';
+
+/** Живая активность страницы, при которой вкладку не приостанавливаем. */
+const LIVE_ACTIVITY_TYPES = ['media', 'call'];
+
+const CLOSED_SAVED_MAX = 2000;
+const SESSIONS_MAX = 50;
+/** Статистика по дням: сколько дней хранить и какие бывают триггеры приостановки. */
+const STATS_DAYS_MAX = 90;
+const STATS_TRIGGERS = ['timer', 'memory', 'manual', 'bulk'];
+/** Журнал Undo: сколько последних массовых действий помним и какие бывают. */
+const ACTION_JOURNAL_MAX = 10;
+const ACTION_TYPES = ['closeAndSave', 'suspendAll', 'clearClosedAndSaved'];
+
+const INACTIVITY_MINUTES = 5;
+/** Режим «по памяти»: суспендим, когда свободной памяти меньше LOW %, пока не станет TARGET %. */
+const MEMORY_LOW_PERCENT = 15;
+const MEMORY_TARGET_PERCENT = 25;
+const MEMORY_MAX_PER_CHECK = 5;
+const RULE_ACTIONS = ['never', 'timeout', 'discard', 'placeholder'];
+/** Автоэкспорт истории в загрузки: период (часы) и сколько последних файлов хранить. */
+const AUTO_EXPORT_HOURS = 24;
+const AUTO_EXPORT_KEEP = 7;
+/** Восстановление заглушки при переходе на вкладку: задержка (мс), чтобы быстрый перебор вкладок её не будил. */
+const RESTORE_ON_FOCUS_DELAY_MS = 1000;
+/** «Restore all»: очередь с ограничением параллельных загрузок или ленивое восстановление при открытии вкладки. */
+const RESTORE_ALL_MODES = ['queue', 'lazy'];
+/** Область массовых действий: окно windowId, все окна кроме него или все окна. */
+const BULK_SCOPES = ['window', 'otherWindows', 'all'];
+/** История в sync: частей на устройство, размер части с запасом до QUOTA_BYTES_PER_ITEM (8 КБ на ключ и JSON
+ * значения), длина заголовка и URL записи. Весь sync — 100 КБ: истории всех устройств вместе занимают не больше
+ * SYNC_CLOSED_BUDGET_BYTES, остальное остаётся настройкам и правилам. */
+const SYNC_CLOSED_CHUNKS_MAX = 3;
+const SYNC_CHUNK_BYTES = 8000;
+const SYNC_TITLE_MAX = 80;
+const SYNC_URL_MAX = 1000;
+const SYNC_CLOSED_BUDGET_BYTES = 60 * 1024;
+/** Устройство подтверждает свою историю в sync не реже SYNC_DEVICE_REFRESH_MS; история устройства, молчащего
+ * дольше SYNC_DEVICE_EXPIRE_MS (удалено расширение, устройство не используется), удаляется другими устройствами. */
+const SYNC_DEVICE_REFRESH_MS = 7 * 24 * 60 * 60 * 1000;
+const SYNC_DEVICE_EXPIRE_MS = 90 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  timeoutMinutes: INACTIVITY_MINUTES,
+  mode: 'placeholder',
+  trigger: 'timer',
+  memoryLowPercent: MEMORY_LOW_PERCENT,
+  memoryTargetPercent: MEMORY_TARGET_PERCENT,
+  memoryMaxPerCheck: MEMORY_MAX_PER_CHECK,
+  thumbnails: false,
+  restoreOnFocus: false,
+  restoreOnFocusDelayMs: RESTORE_ON_FOCUS_DELAY_MS,
+  restoreAllMode: 'queue',
+  bulkScope: 'all',
+  autoExportEnabled: false,
+  autoExportHours: AUTO_EXPORT_HOURS,
+  autoExportKeep: AUTO_EXPORT_KEEP,
+  syncClosedAndSaved: false,
+};
+
+function suspendedKey(token) {
+  return KEY_PREFIX_SUSPENDED + token;
+}
+
+function restoreSnapshotKey(tabId) {
+  return KEY_PREFIX_RESTORE_SNAPSHOT + tabId;
+}
+
+function thumbKey(tabId) {
+  return KEY_PREFIX_THUMB + tabId;
+}
+
+function todayDateString() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+// ——— Настройки: неизвестные и битые значения заменяются дефолтами.
+function normalizeSettings(raw) {
+  const s = isPlainObject(raw) ? raw : {};
+  const percent = (v, def) => {
+    const n = Number(v);
+    return n > 0 && n < 100 ? n : def;
+  };
+  const memoryLowPercent = percent(s.memoryLowPercent, MEMORY_LOW_PERCENT);
+  return {
+    enabled: s.enabled !== false,
+    timeoutMinutes: Number(s.timeoutMinutes) > 0 ? Number(s.timeoutMinutes) : INACTIVITY_MINUTES,
+    mode: s.mode === 'discard' || s.mode === 'placeholder' ? s.mode : DEFAULT_SETTINGS.mode,
+    trigger: s.trigger === 'memory' ? 'memory' : 'timer',
+    memoryLowPercent,
+    memoryTargetPercent: Math.max(percent(s.memoryTargetPercent, MEMORY_TARGET_PERCENT), memoryLowPercent),
+    memoryMaxPerCheck: Number(s.memoryMaxPerCheck) > 0 ? Math.floor(Number(s.memoryMaxPerCheck)) : MEMORY_MAX_PER_CHECK,
+    thumbnails: s.thumbnails === true,
+    restoreOnFocus: s.restoreOnFocus === true,
+    restoreOnFocusDelayMs: Number.isFinite(s.restoreOnFocusDelayMs) && s.restoreOnFocusDelayMs >= 0
+      ? Math.floor(s.restoreOnFocusDelayMs)
+      : RESTORE_ON_FOCUS_DELAY_MS,
+    restoreAllMode: RESTORE_ALL_MODES.includes(s.restoreAllMode) ? s.restoreAllMode : DEFAULT_SETTINGS.restoreAllMode,
+    bulkScope: BULK_SCOPES.includes(s.bulkScope) ? s.bulkScope : DEFAULT_SETTINGS.bulkScope,
+    autoExportEnabled: s.autoExportEnabled === true,
+    autoExportHours: Number(s.autoExportHours) > 0 ? Number(s.autoExportHours) : AUTO_EXPORT_HOURS,
+    autoExportKeep: Number(s.autoExportKeep) >= 1 ? Math.floor(Number(s.autoExportKeep)) : AUTO_EXPORT_KEEP,
+    syncClosedAndSaved: s.syncClosedAndSaved === true,
+  };
+}
+
+async function readSettings() {
+  const { settings } = await chrome.storage.local.get('settings');
+  return normalizeSettings(settings);
+}
+
+/** Записать часть настроек; остальные поля сохраняются. В sync уходят только изменённые поля — правка другого поля
+ * на другом устройстве не затирается. Возвращает итоговые настройки. */
+async function updateSettings(patch) {
+  const current = await readSettings();
+  const settings = normalizeSettings({ ...current, ...patch });
+  await chrome.storage.local.set({ settings });
+  const changed = Object.keys(settings).filter((field) => settings[field] !== current[field]);
+  const ok = await writeSyncItems(Object.fromEntries(changed.map((field) => [KEY_PREFIX_SYNC_SETTING + field, settings[field]])));
+  if (!ok) await addSyncPending({ settings: changed });
+  return settings;
+}
+
+/** Настройки из полей setting_* содержимого sync поверх base (локальной копии): поле, которого в sync нет,
+ * не сбрасывается в значение по умолчанию. */
+function settingsFromSync(synced, base) {
+  const raw = isPlainObject(base) ? { ...base } : {};
+  for (const [key, value] of Object.entries(synced)) {
+    if (key.startsWith(KEY_PREFIX_SYNC_SETTING)) raw[key.slice(KEY_PREFIX_SYNC_SETTING.length)] = value;
+  }
+  return normalizeSettings(raw);
+}
+
+// ——— Правила по сайтам: битые записи (без шаблона или с неизвестным action) отбрасываем.
+function normalizeSiteRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((r) => r && typeof r.pattern === 'string' && r.pattern.trim() && RULE_ACTIONS.includes(r.action));
+}
+
+async function readSiteRules() {
+  const { siteRules } = await chrome.storage.local.get('siteRules');
+  return normalizeSiteRules(siteRules);
+}
+
+/** Правила пишутся в локальную копию и в sync по ключу на шаблон: меняются только добавленные, изменённые
+ * и переставленные правила, удалённые убираются — правки разных правил на разных устройствах сливаются. */
+async function writeSiteRules(rules) {
+  const siteRules = normalizeSiteRules(rules);
+  await chrome.storage.local.set({ siteRules });
+  if (!(await syncSiteRules(siteRules))) await addSyncPending({ rules: true });
+}
+
+/** Привести siteRule_* в sync к списку правил. Возвращает, удалось ли. */
+async function syncSiteRules(siteRules) {
+  let synced;
+  try {
+    synced = await chrome.storage.sync.get(null);
+  } catch (e) {
+    console.warn('[TabHibernate] sync read failed', e);
+    return false;
+  }
+  const previous = new Map(Object.entries(synced).filter(([key]) => key.startsWith(KEY_PREFIX_SYNC_RULE)));
+  const orders = siteRuleOrders(siteRules, new Map([...previous.values()].map((r) => [r && r.pattern, Number(r && r.order)])));
+  const toSet = {};
+  siteRules.forEach((rule, i) => {
+    const key = KEY_PREFIX_SYNC_RULE + rule.pattern;
+    const value = { ...rule, order: orders[i] };
+    if (JSON.stringify(previous.get(key)) !== JSON.stringify(value)) toSet[key] = value;
+    previous.delete(key);
+  });
+  return writeSyncItems(toSet, [...previous.keys()]);
+}
+
+/** order для правил в sync по возрастанию. Правило сохраняет прежний order, если тот не ломает порядок, — так
+ * добавление, удаление или перенос одного правила не переписывает остальные. */
+function siteRuleOrders(rules, previousOrders) {
+  const orders = [];
+  rules.forEach((rule, i) => {
+    const prev = i > 0 ? orders[i - 1] : -Infinity;
+    const own = previousOrders.get(rule.pattern);
+    if (own > prev) {
+      orders.push(own);
+      return;
+    }
+    const next = i + 1 < rules.length ? previousOrders.get(rules[i + 1].pattern) : undefined;
+    if (next > prev) orders.push(prev === -Infinity ? next - 1 : (prev + next) / 2);
+    else orders.push(prev === -Infinity ? 0 : prev + 1);
+  });
+  return orders;
+}
+
+/** Правила из ключей siteRule_* содержимого sync в порядке order. */
+function siteRulesFromSync(synced) {
+  const entries = Object.entries(synced).filter(([key, value]) => key.startsWith(KEY_PREFIX_SYNC_RULE) && isPlainObject(value));
+  entries.sort(([ka, a], [kb, b]) => (Number(a.order) || 0) - (Number(b.order) || 0) || (ka < kb ? -1 : ka > kb ? 1 : 0));
+  return normalizeSiteRules(entries.map(([, { order, ...rule }]) => rule));
+}
+
+// ——— chrome.storage.sync: лимиты Chrome (квота, записей в минуту) не должны ломать локальное сохранение —
+// локальная копия уже записана, ошибку sync только логируем. Возвращает, удалась ли запись.
+async function writeSyncItems(toSet, toRemove = []) {
+  try {
+    if (Object.keys(toSet).length > 0) await chrome.storage.sync.set(toSet);
+    if (toRemove.length > 0) await chrome.storage.sync.remove(toRemove);
+    return true;
+  } catch (e) {
+    console.warn('[TabHibernate] sync write failed', e);
+    return false;
+  }
+}
+
+// ——— Состояние по вкладкам: объекты { tabId: value } ↔ Map с числовыми ключами.
+/** valueOf(v) → значение или null (тогда запись отбрасывается). */
+function tabIdMapFromObject(raw, valueOf) {
+  if (!isPlainObject(raw)) return new Map();
+  return new Map(
+    Object.entries(raw)
+      .map(([k, v]) => [Number(k), valueOf(v)])
+      .filter(([id, v]) => !Number.isNaN(id) && v != null)
+  );
+}
+
+function tabIdMapToObject(map) {
+  return Object.fromEntries([...map.entries()].map(([k, v]) => [String(k), v]));
+}
+
+/** lastActivityByTab: битая метка времени заменяется на now (вкладка считается только что активной). */
+async function readLastActivity() {
+  const { lastActivityByTab } = await chrome.storage.local.get('lastActivityByTab');
+  const now = Date.now();
+  return tabIdMapFromObject(lastActivityByTab, (v) => (typeof v === 'number' && v > 0 ? v : now));
+}
+
+async function writeLastActivity(map) {
+  await chrome.storage.local.set({ lastActivityByTab: tabIdMapToObject(map) });
+}
+
+async function readUnsavedByTab() {
+  const { unsavedByTab } = await chrome.storage.local.get('unsavedByTab');
+  return tabIdMapFromObject(unsavedByTab, (v) => {
+    const reasons = Array.isArray(v) ? v.filter((r) => typeof r === 'string') : [];
+    return reasons.length > 0 ? reasons : null;
+  });
+}
+
+async function writeUnsavedByTab(map) {
+  await chrome.storage.local.set({ unsavedByTab: tabIdMapToObject(map) });
+}
+
+async function readLiveByTab() {
+  const { liveByTab } = await chrome.storage.local.get('liveByTab');
+  return tabIdMapFromObject(liveByTab, (v) => {
+    const types = Array.isArray(v) ? v.filter((t) => LIVE_ACTIVITY_TYPES.includes(t)) : [];
+    return types.length > 0 ? types : null;
+  });
+}
+
+async function writeLiveByTab(map) {
+  await chrome.storage.local.set({ liveByTab: tabIdMapToObject(map) });
+}
+
+/** pageStateFrames: фрейм без причин не храним, вкладку без фреймов — тоже. */
+async function readPageStateFrames() {
+  const { pageStateFrames } = await chrome.storage.local.get('pageStateFrames');
+  return tabIdMapFromObject(pageStateFrames, (v) => {
+    if (!isPlainObject(v)) return null;
+    const frames = {};
+    for (const [frameId, f] of Object.entries(v)) {
+      if (!isPlainObject(f)) continue;
+      const unsaved = Array.isArray(f.unsaved) ? f.unsaved.filter((r) => typeof r === 'string') : [];
+      const live = Array.isArray(f.live) ? f.live.filter((t) => LIVE_ACTIVITY_TYPES.includes(t)) : [];
+      if (unsaved.length > 0 || live.length > 0) frames[frameId] = { unsaved, live };
+    }
+    return Object.keys(frames).length > 0 ? frames : null;
+  });
+}
+
+async function writePageStateFrames(map) {
+  await chrome.storage.local.set({ pageStateFrames: tabIdMapToObject(map) });
+}
+
+// ——— Записи заглушек suspended_<token>. Токен живёт в URL заглушки и не зависит от tabId, который меняется
+// после перезапуска браузера.
+function normalizeSuspendedRecord(raw) {
+  return isPlainObject(raw) && typeof raw.url === 'string' && raw.url ? raw : null;
+}
+
+function newPlaceholderToken() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** Токен записи из URL заглушки (параметр t); null, если его нет. */
+function placeholderTokenFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get('t') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function readSuspendedRecord(token) {
+  const key = suspendedKey(token);
+  const data = await chrome.storage.local.get(key);
+  return normalizeSuspendedRecord(data[key]);
+}
+
+async function writeSuspendedRecord(token, record) {
+  await chrome.storage.local.set({ [suspendedKey(token)]: { ...record, writtenAt: Date.now() } });
+}
+
+async function removeSuspendedRecord(token) {
+  await chrome.storage.local.remove(suspendedKey(token));
+}
+
+/** Все записи заглушек: token → запись. */
+async function readAllSuspendedRecords() {
+  const all = await chrome.storage.local.get(null);
+  const records = new Map();
+  for (const [key, value] of Object.entries(all)) {
+    if (!key.startsWith(KEY_PREFIX_SUSPENDED)) continue;
+    const record = normalizeSuspendedRecord(value);
+    if (record) records.set(key.slice(KEY_PREFIX_SUSPENDED.length), record);
+  }
+  return records;
+}
+
+// ——— Бэкапы по датам backup_YYYY-MM-DD.
+function normalizeBackupList(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((x) => x && typeof x.url === 'string' && x.url);
+}
+
+async function readBackup(date) {
+  const key = KEY_PREFIX_BACKUP + date;
+  const data = await chrome.storage.local.get(key);
+  return normalizeBackupList(data[key]);
+}
+
+/** Все бэкапы: { 'YYYY-MM-DD': [...] }. */
+async function readBackups() {
+  const all = await chrome.storage.local.get(null);
+  const backups = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (key.startsWith(KEY_PREFIX_BACKUP) && Array.isArray(value)) backups[key.slice(KEY_PREFIX_BACKUP.length)] = normalizeBackupList(value);
+  }
+  return backups;
+}
+
+/** backups: { 'YYYY-MM-DD': [...] } — записываются одним set. */
+async function writeBackups(backups) {
+  const toSet = {};
+  for (const [date, list] of Object.entries(backups)) toSet[KEY_PREFIX_BACKUP + date] = normalizeBackupList(list);
+  await chrome.storage.local.set(toSet);
+}
+
+async function removeBackups(dates) {
+  if (dates.length > 0) await chrome.storage.local.remove(dates.map((d) => KEY_PREFIX_BACKUP + d));
+}
+
+// ——— Closed and saved.
+function normalizeClosedAndSaved(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((x) => x && typeof x.url === 'string' && x.url);
+}
+
+async function readClosedAndSaved() {
+  const { closedAndSaved } = await chrome.storage.local.get('closedAndSaved');
+  return normalizeClosedAndSaved(closedAndSaved);
+}
+
+function newClosedItemId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** Список обрезается до CLOSED_SAVED_MAX (новые записи в начале). Новая запись или запись с повторным id
+ * (повторный импорт) получает свой id — по нему History выделяет и удаляет ровно одну запись, даже если вкладку
+ * с тем же URL сохранили дважды в одну миллисекунду. */
+async function writeClosedAndSaved(items) {
+  const ids = new Set();
+  const closedAndSaved = normalizeClosedAndSaved(items).slice(0, CLOSED_SAVED_MAX).map((item) => {
+    let id = typeof item.id === 'string' && item.id ? item.id : '';
+    while (!id || ids.has(id)) id = newClosedItemId();
+    ids.add(id);
+    return id === item.id ? item : { ...item, id };
+  });
+  await chrome.storage.local.set({ closedAndSaved });
+  return closedAndSaved;
+}
+
+/** Добавить записи в начало closedAndSaved. */
+async function prependClosedAndSaved(items) {
+  return writeClosedAndSaved([...items, ...(await readClosedAndSaved())]);
+}
+
+function normalizeSyncPending(raw) {
+  const p = isPlainObject(raw) ? raw : {};
+  const fields = Array.isArray(p.settings) ? p.settings.filter((f) => Object.hasOwn(DEFAULT_SETTINGS, f)) : [];
+  return { settings: [...new Set(fields)], rules: p.rules === true };
+}
+
+async function readSyncPending() {
+  const { syncPending } = await chrome.storage.local.get('syncPending');
+  return normalizeSyncPending(syncPending);
+}
+
+async function addSyncPending({ settings = [], rules = false }) {
+  const pending = await readSyncPending();
+  await chrome.storage.local.set({
+    syncPending: normalizeSyncPending({ settings: [...pending.settings, ...settings], rules: pending.rules || rules }),
+  });
+}
+
+/** Дописать в sync то из локальных settings и siteRules, что не удалось записать раньше: поля настроек — только
+ * несохранённые (остальные могли тем временем поменять на другом устройстве), правила — списком. Возвращает true,
+ * когда дописывать больше нечего. */
+async function flushPendingSync() {
+  const pending = await readSyncPending();
+  if (pending.settings.length === 0 && !pending.rules) return true;
+  const local = await chrome.storage.local.get(['settings', 'siteRules']);
+  const settings = normalizeSettings(local.settings);
+  const ok = await writeSyncItems(Object.fromEntries(pending.settings.map((field) => [KEY_PREFIX_SYNC_SETTING + field, settings[field]])))
+    && (!pending.rules || await syncSiteRules(normalizeSiteRules(local.siteRules)));
+  if (ok) await chrome.storage.local.remove('syncPending');
+  return ok;
+}
+
+// ——— История в sync (syncClosedAndSaved): у каждого устройства свои ключи closedSync_<deviceId>*, поэтому устройства
+// не перезаписывают друг друга. Своя история — только записи этого устройства (без device), новые первыми;
+// что не поместилось в отведённые устройству части, в sync не попадает.
+function closedSyncKey(deviceId, chunk) {
+  return chunk === undefined ? KEY_PREFIX_SYNC_CLOSED + deviceId : `${KEY_PREFIX_SYNC_CLOSED}${deviceId}_${chunk}`;
+}
+
+function utf8Length(s) {
+  return new TextEncoder().encode(s).length;
+}
+
+function syncItemBytes(key, value) {
+  return utf8Length(key + JSON.stringify(value));
+}
+
+/** Сжатая своя история: не больше maxChunks частей, часть — [[url, title, savedAt]] не больше SYNC_CHUNK_BYTES
+ * вместе с ключом. */
+function buildClosedSyncChunks(deviceId, items, maxChunks = SYNC_CLOSED_CHUNKS_MAX) {
+  const chunks = [];
+  if (maxChunks <= 0) return chunks;
+  const empty = () => utf8Length(closedSyncKey(deviceId, chunks.length) + JSON.stringify({ rev: Date.now(), items: [] }));
+  let current = [];
+  let size = empty();
+  for (const item of items) {
+    if (item.device || item.url.length > SYNC_URL_MAX) continue;
+    const entry = [item.url, String(item.title || '').slice(0, SYNC_TITLE_MAX), Number(item.savedAt) || 0];
+    const entrySize = utf8Length(JSON.stringify(entry)) + 1;
+    if (size + entrySize > SYNC_CHUNK_BYTES && current.length > 0) {
+      chunks.push(current);
+      if (chunks.length === maxChunks) return chunks;
+      current = [];
+      size = empty();
+    }
+    current.push(entry);
+    size += entrySize;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/** Место историй в sync по устройствам: deviceId → { keys, bytes, updatedAt }. Части без заголовка — updatedAt 0. */
+function closedSyncUsage(synced) {
+  const usage = new Map();
+  for (const [key, value] of Object.entries(synced)) {
+    if (!key.startsWith(KEY_PREFIX_SYNC_CLOSED)) continue;
+    const rest = key.slice(KEY_PREFIX_SYNC_CLOSED.length);
+    const id = rest.split('_')[0];
+    if (!usage.has(id)) usage.set(id, { keys: [], bytes: 0, updatedAt: 0 });
+    const u = usage.get(id);
+    u.keys.push(key);
+    u.bytes += syncItemBytes(key, value);
+    if (rest === id && isPlainObject(value)) u.updatedAt = Number(value.updatedAt) || 0;
+  }
+  return usage;
+}
+
+/** Сколько частей может занять история устройства: не больше SYNC_CLOSED_CHUNKS_MAX, не больше равной доли бюджета
+ * на всех устройств и не больше свободного от других устройств места (оно освободится, когда те ужмутся до доли). */
+function closedSyncChunkAllowance(otherBytes, otherDevices) {
+  const share = Math.floor(SYNC_CLOSED_BUDGET_BYTES / (otherDevices + 1));
+  const bytes = Math.min(SYNC_CLOSED_CHUNKS_MAX * SYNC_CHUNK_BYTES, share, SYNC_CLOSED_BUDGET_BYTES - otherBytes);
+  return Math.max(0, Math.floor(bytes / SYNC_CHUNK_BYTES));
+}
+
+/** Истории устройств из содержимого sync: deviceId → { label, complete, items }. complete = false, пока части
+ * не догнали заголовок (sync доставляет ключи по одному), — такую историю импортируем при следующем изменении. */
+function parseClosedSync(synced) {
+  const devices = new Map();
+  for (const [key, meta] of Object.entries(synced)) {
+    const id = key.slice(KEY_PREFIX_SYNC_CLOSED.length);
+    if (!key.startsWith(KEY_PREFIX_SYNC_CLOSED) || !id || id.includes('_') || !isPlainObject(meta)) continue;
+    const items = [];
+    let complete = true;
+    for (let i = 0; i < (Number(meta.chunks) || 0); i++) {
+      const chunk = synced[closedSyncKey(id, i)];
+      if (!isPlainObject(chunk) || chunk.rev !== meta.rev || !Array.isArray(chunk.items)) {
+        complete = false;
+        break;
+      }
+      for (const e of chunk.items) {
+        if (Array.isArray(e) && typeof e[0] === 'string' && e[0]) items.push({ url: e[0], title: String(e[1] || ''), savedAt: Number(e[2]) || 0 });
+      }
+    }
+    devices.set(id, { label: typeof meta.label === 'string' ? meta.label : '', complete, items });
+  }
+  return devices;
+}
+
+/** Имена устройств, опубликовавших историю: deviceId → label (для подписей в History). */
+async function readSyncedDeviceLabels() {
+  try {
+    const devices = parseClosedSync(await chrome.storage.sync.get(null));
+    return new Map([...devices].map(([id, d]) => [id, d.label]));
+  } catch (e) {
+    return new Map();
+  }
+}
+
+function normalizeSyncDevice(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id) return null;
+  return { id: raw.id, label: typeof raw.label === 'string' ? raw.label : '' };
+}
+
+async function readSyncDevice() {
+  const { syncDevice } = await chrome.storage.local.get('syncDevice');
+  return normalizeSyncDevice(syncDevice);
+}
+
+async function writeSyncDevice(device) {
+  await chrome.storage.local.set({ syncDevice: normalizeSyncDevice(device) });
+}
+
+async function readSyncImported() {
+  const { syncImported } = await chrome.storage.local.get('syncImported');
+  if (!isPlainObject(syncImported)) return {};
+  return Object.fromEntries(Object.entries(syncImported).filter(([, v]) => Number.isFinite(v)));
+}
+
+async function writeSyncImported(map) {
+  await chrome.storage.local.set({ syncImported: map });
+}
+
+// ——— Сессии и кэш иконок.
+async function readSessions() {
+  const { sessions } = await chrome.storage.local.get('sessions');
+  return Array.isArray(sessions) ? sessions.filter((s) => isPlainObject(s) && s.id && Array.isArray(s.windows)) : [];
+}
+
+async function writeSessions(sessions) {
+  await chrome.storage.local.set({ sessions: sessions.slice(0, SESSIONS_MAX) });
+}
+
+async function readFaviconCache() {
+  const { faviconCache } = await chrome.storage.local.get('faviconCache');
+  return isPlainObject(faviconCache) ? faviconCache : {};
+}
+
+async function writeFaviconCache(cache) {
+  await chrome.storage.local.set({ faviconCache: cache });
+}
+
+// ——— Дневной счётчик и время последней проверки.
+async function readSuspendedToday() {
+  const { suspendedToday, suspendedTodayDate } = await chrome.storage.local.get(['suspendedToday', 'suspendedTodayDate']);
+  return suspendedTodayDate === todayDateString() && Number(suspendedToday) > 0 ? Number(suspendedToday) : 0;
+}
+
+async function incrementSuspendedTodayCounter() {
+  const count = (await readSuspendedToday()) + 1;
+  await chrome.storage.local.set({ suspendedToday: count, suspendedTodayDate: todayDateString() });
+  return count;
+}
+
+async function readLastAlarmRun() {
+  const { lastAlarmRun } = await chrome.storage.local.get('lastAlarmRun');
+  return Number(lastAlarmRun) > 0 ? Number(lastAlarmRun) : 0;
+}
+
+async function writeLastAlarmRun(ts) {
+  await chrome.storage.local.set({ lastAlarmRun: ts });
+}
+
+// ——— Автоэкспорт: время последнего успешного экспорта и файлы для ротации.
+function normalizeAutoExportState(raw) {
+  const s = isPlainObject(raw) ? raw : {};
+  return {
+    lastExportAt: Number(s.lastExportAt) > 0 ? Number(s.lastExportAt) : 0,
+    lastError: typeof s.lastError === 'string' ? s.lastError : '',
+    files: Array.isArray(s.files) ? s.files.filter((f) => f && typeof f.id === 'number') : [],
+  };
+}
+
+async function readAutoExportState() {
+  const { autoExportState } = await chrome.storage.local.get('autoExportState');
+  return normalizeAutoExportState(autoExportState);
+}
+
+async function writeAutoExportState(state) {
+  await chrome.storage.local.set({ autoExportState: normalizeAutoExportState(state) });
+}
+
+// ——— Очередь «Restore all»: сколько вкладок поставлено, обработано (done) и реально восстановлено.
+function normalizeRestoreQueueState(raw) {
+  const s = isPlainObject(raw) ? raw : {};
+  return {
+    active: s.active === true,
+    total: normalizeCount(s.total),
+    done: normalizeCount(s.done),
+    restored: normalizeCount(s.restored),
+    cancelled: s.cancelled === true,
+  };
+}
+
+async function readRestoreQueueState() {
+  const { restoreQueueState } = await chrome.storage.local.get('restoreQueueState');
+  return normalizeRestoreQueueState(restoreQueueState);
+}
+
+async function writeRestoreQueueState(state) {
+  await chrome.storage.local.set({ restoreQueueState: normalizeRestoreQueueState(state) });
+}
+
+// ——— Статистика по дням. День: приостановки по режиму и триггеру, восстановления, суммарное время в приостановке,
+// оценка освобождённой памяти (estimated, МБ по эвристике) и итоги по доменам.
+function normalizeCount(v) {
+  const n = Number(v);
+  return n > 0 ? n : 0;
+}
+
+function normalizeStatsDay(raw) {
+  const d = isPlainObject(raw) ? raw : {};
+  const suspended = isPlainObject(d.suspended) ? d.suspended : {};
+  const triggers = isPlainObject(d.triggers) ? d.triggers : {};
+  const memory = isPlainObject(d.memorySavedMb) ? d.memorySavedMb : {};
+  const domains = {};
+  for (const [host, v] of Object.entries(isPlainObject(d.domains) ? d.domains : {})) {
+    if (!isPlainObject(v)) continue;
+    domains[host] = { suspended: normalizeCount(v.suspended), restored: normalizeCount(v.restored), suspendedMs: normalizeCount(v.suspendedMs) };
+  }
+  return {
+    suspended: { discard: normalizeCount(suspended.discard), placeholder: normalizeCount(suspended.placeholder) },
+    triggers: Object.fromEntries(STATS_TRIGGERS.map((t) => [t, normalizeCount(triggers[t])])),
+    restored: normalizeCount(d.restored),
+    suspendedMs: normalizeCount(d.suspendedMs),
+    memorySavedMb: { estimated: normalizeCount(memory.estimated) },
+    domains,
+  };
+}
+
+/** Последние STATS_DAYS_MAX дней; ключи — даты YYYY-MM-DD. */
+function normalizeStatsDaily(raw) {
+  const dates = Object.keys(isPlainObject(raw) ? raw : {}).filter((k) => /^\d{4}-\d{2}-\d{2}$/.test(k)).sort().slice(-STATS_DAYS_MAX);
+  return Object.fromEntries(dates.map((date) => [date, normalizeStatsDay(raw[date])]));
+}
+
+async function readStatsDaily() {
+  const { statsDaily } = await chrome.storage.local.get('statsDaily');
+  return normalizeStatsDaily(statsDaily);
+}
+
+async function writeStatsDaily(stats) {
+  await chrome.storage.local.set({ statsDaily: normalizeStatsDaily(stats) });
+}
+
+async function readSuspendStarts() {
+  const { suspendStarts } = await chrome.storage.local.get('suspendStarts');
+  return tabIdMapFromObject(suspendStarts, (v) => (isPlainObject(v) && Number(v.at) > 0 ? v : null));
+}
+
+async function writeSuspendStarts(map) {
+  await chrome.storage.local.set({ suspendStarts: tabIdMapToObject(map) });
+}
+
+// ——— Журнал массовых действий для «Undo last action».
+function normalizeActionJournal(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((r) => isPlainObject(r) && r.id && ACTION_TYPES.includes(r.type) && Array.isArray(r.tabs))
+    .slice(0, ACTION_JOURNAL_MAX);
+}
+
+async function readActionJournal() {
+  const { actionJournal } = await chrome.storage.local.get('actionJournal');
+  return normalizeActionJournal(actionJournal);
+}
+
+async function writeActionJournal(entries) {
+  await chrome.storage.local.set({ actionJournal: normalizeActionJournal(entries) });
+}
+
+// ——— Миграции: выполняются по порядку, каждая доводит данные до своей версии.
+// Новую миграцию добавлять в конец и поднимать STORAGE_VERSION; старые не менять —
+// у пользователей могут оставаться данные любой из прошлых версий.
+const STORAGE_MIGRATIONS = [
+  {
+    // Версия 0 — данные без storageVersion: фиксируем схему, чистим битые записи, дописываем дефолты настроек.
+    version: 1,
+    async migrate() {
+      const raw = await chrome.storage.local.get(['settings', 'siteRules', 'closedAndSaved', 'sessions']);
+      const toSet = {
+        settings: normalizeSettings(raw.settings),
+        siteRules: normalizeSiteRules(raw.siteRules),
+        closedAndSaved: normalizeClosedAndSaved(raw.closedAndSaved).slice(0, CLOSED_SAVED_MAX),
+      };
+      if (raw.sessions !== undefined) toSet.sessions = Array.isArray(raw.sessions) ? raw.sessions : [];
+      await chrome.storage.local.set(toSet);
+    },
+  },
+  {
+    // Версия 1 → 2: настройки и правила переезжают в chrome.storage.sync. Что уже есть в sync (пришло с другого
+    // устройства), остаётся; отсюда дописываются поля, отличные от умолчаний, и правила с новыми шаблонами.
+    // Локальные settings и siteRules становятся копией sync.
+    version: SETTINGS_SYNC_VERSION,
+    async migrate() {
+      const [local, synced] = await Promise.all([chrome.storage.local.get(['settings', 'siteRules']), chrome.storage.sync.get(null)]);
+      const toSet = {};
+      for (const [field, value] of Object.entries(normalizeSettings(local.settings))) {
+        const key = KEY_PREFIX_SYNC_SETTING + field;
+        if (!(key in synced) && value !== DEFAULT_SETTINGS[field]) toSet[key] = value;
+      }
+      const orders = Object.entries(synced).filter(([key]) => key.startsWith(KEY_PREFIX_SYNC_RULE)).map(([, r]) => Number(r && r.order) || 0);
+      let order = orders.length > 0 ? Math.max(...orders) + 1 : 0;
+      for (const rule of normalizeSiteRules(local.siteRules)) {
+        const key = KEY_PREFIX_SYNC_RULE + rule.pattern;
+        if (!(key in synced) && !(key in toSet)) toSet[key] = { ...rule, order: order++ };
+      }
+      if (Object.keys(toSet).length > 0) await chrome.storage.sync.set(toSet);
+      const merged = { ...synced, ...toSet };
+      await chrome.storage.local.set({ settings: settingsFromSync(merged, local.settings), siteRules: siteRulesFromSync(merged) });
+    },
+  },
+  {
+    // Версия 2 → 3: у записей closedAndSaved появляется id — раздаём его сразу всему списку, а не при первой
+    // записи, иначе ключ выбора в History сменился бы посреди работы. Undo закрытия ищет записи по id —
+    // в closeAndSave журнала дописываем closedIds по прежнему признаку (savedAt + URL).
+    version: 3,
+    async migrate() {
+      const closedAndSaved = await writeClosedAndSaved(await readClosedAndSaved());
+      const journal = await readActionJournal();
+      for (const entry of journal) {
+        if (entry.type !== 'closeAndSave' || Array.isArray(entry.closedIds)) continue;
+        const urls = new Set(entry.tabs.map((t) => t.url));
+        entry.closedIds = closedAndSaved.filter((item) => item.savedAt === entry.savedAt && urls.has(item.url)).map((item) => item.id);
+      }
+      if (journal.length > 0) await writeActionJournal(journal);
+    },
+  },
+  {
+    // Версия 3 → 4: записи заглушек старых версий лежали под suspended_<tabId> (tabId из URL заглушки, без t).
+    // Переносим их под новый токен и дописываем его параметром t в открытые заглушки с этим tabId.
+    version: 4,
+    async migrate() {
+      const all = await chrome.storage.local.get(null);
+      const legacyKeys = Object.keys(all).filter((key) => key.startsWith(KEY_PREFIX_SUSPENDED) && /^\d+$/.test(key.slice(KEY_PREFIX_SUSPENDED.length)));
+      if (legacyKeys.length === 0) return;
+      const tokens = new Map();
+      const toSet = {};
+      for (const key of legacyKeys) {
+        const record = normalizeSuspendedRecord(all[key]);
+        if (!record) continue;
+        const token = newPlaceholderToken();
+        tokens.set(key.slice(KEY_PREFIX_SUSPENDED.length), token);
+        toSet[suspendedKey(token)] = { ...record, token, writtenAt: Date.now() };
+      }
+      await chrome.storage.local.set(toSet);
+      for (const tab of await chrome.tabs.query({})) {
+        let url;
+        try {
+          url = new URL(tab.url);
+        } catch (e) {
+          continue;
+        }
+        const token = tokens.get(url.searchParams.get('tabId'));
+        if (!url.pathname.endsWith('suspended.html') || url.searchParams.has('t') || !token) continue;
+        url.searchParams.set('t', token);
+        try {
+          await chrome.tabs.update(tab.id, { url: url.toString() });
+        } catch (e) {
+          // вкладку закрыли — запись подберёт восстановление заглушек по параметру u или заголовку
+        }
+      }
+      await chrome.storage.local.remove(legacyKeys);
+    },
+  },
+];
+
+/** Довести storage до STORAGE_VERSION. Версия пишется после каждой миграции: при сбое продолжим с неё же.
+ * Данные из более новой версии расширения (откат) не трогаем. */
+async function runStorageMigrations() {
+  const { storageVersion } = await chrome.storage.local.get('storageVersion');
+  let version = Number(storageVersion) || 0;
+  if (version > STORAGE_VERSION) {
+    console.warn('[TabHibernate] storage version', version, 'is newer than', STORAGE_VERSION, '— skipping migrations');
+    return version;
+  }
+  for (const m of STORAGE_MIGRATIONS) {
+    if (m.version <= version) continue;
+    await m.migrate();
+    version = m.version;
+    await chrome.storage.local.set({ storageVersion: version });
+  }
+  return version;
+}
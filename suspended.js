@@ -6,28 +6,41 @@
 const params = new URLSearchParams(window.location.search);
 const tabIdParam = params.get('tabId');
 const tabId = tabIdParam ? parseInt(tabIdParam, 10) : null;
+/** Ключ записи восстановления. */
+const token = params.get('t');
 const fallbackUrl = params.get('u') || '';
 
 const urlEl = document.getElementById('url');
 const btn = document.getElementById('reload');
 const pageFaviconEl = document.getElementById('pageFavicon');
 const pageTitleEl = document.getElementById('pageTitle');
+const pageThumbEl = document.getElementById('pageThumb');
 
 /** Текущий URL для восстановления (если есть) — используется и кнопкой, и кликом по фону. */
 let currentRestoreUrl = null;
+/** Снимок страницы (прокрутка, поля формы) из записи восстановления — отдаётся странице после загрузки. */
+let currentSnapshot = null;
+/** Токен показанной записи: после сопоставления через SW может отличаться от параметра t. */
+let currentToken = token;
 
-/** Домен из URL для запроса favicon (только http(s)). */
-function getDomainForFavicon(url) {
-  try {
-    const u = new URL(url);
-    return u.hostname || '';
-  } catch (e) {
-    return '';
+/** Иконка вкладки-заглушки в полосе вкладок — та же, что и в карточке. */
+function setTabIcon(src) {
+  let link = document.querySelector('link[rel="icon"]');
+  if (!link) {
+    link = document.createElement('link');
+    link.rel = 'icon';
+    document.head.appendChild(link);
   }
+  link.href = src;
 }
 
-/** URL иконки по домену (внешний сервис; при ошибке загрузки иконка скрывается). */
-const FAVICON_BASE = 'https://www.google.com/s2/favicons?sz=32&domain=';
+/** Затемнённое превью страницы, снятое перед suspend (только data:image из записи восстановления). */
+function showThumbnail(dataUrl) {
+  if (!pageThumbEl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) return;
+  pageThumbEl.onerror = () => { pageThumbEl.hidden = true; };
+  pageThumbEl.src = dataUrl;
+  pageThumbEl.hidden = false;
+}
 
 function showError(msg) {
   urlEl.textContent = msg;
@@ -38,8 +51,9 @@ function isRestorableUrl(url) {
   return typeof url === 'string' && (url.startsWith('http://') || url.startsWith('https://') || url.startsWith('file://'));
 }
 
-/** Показать заголовок страницы и favicon, затем URL и кнопку Restore. */
-function showUrlAndRestore(url, title) {
+/** Показать заголовок страницы и favicon (сохранённый при suspend, из кэша по домену или буквенный аватар),
+ * затем URL и кнопку Restore. */
+function showUrlAndRestore(url, title, favicon, faviconCache) {
   if (!url || !isRestorableUrl(url)) {
     showError('Restore data unavailable');
     return;
@@ -47,18 +61,19 @@ function showUrlAndRestore(url, title) {
   currentRestoreUrl = url;
   const displayTitle = (title && String(title).trim()) || url || '—';
   if (pageTitleEl) pageTitleEl.textContent = displayTitle;
+  // заголовок вкладки сохраняется в сессии браузера — по нему SW найдёт запись, если заглушка потеряет её ключ
+  if (title && String(title).trim()) document.title = String(title).trim();
 
+  const iconSrc = resolveFaviconSrc(url, favicon, faviconCache);
   if (pageFaviconEl) {
-    const domain = getDomainForFavicon(url);
-    if (domain && (url.startsWith('http://') || url.startsWith('https://'))) {
-      pageFaviconEl.hidden = true;
-      pageFaviconEl.onerror = () => { pageFaviconEl.hidden = true; };
-      pageFaviconEl.onload = () => { pageFaviconEl.hidden = false; };
-      pageFaviconEl.src = FAVICON_BASE + encodeURIComponent(domain);
-    } else {
-      pageFaviconEl.hidden = true;
-    }
+    pageFaviconEl.onerror = () => {
+      pageFaviconEl.onerror = null;
+      pageFaviconEl.src = letterAvatarDataUrl(hostFromUrl(url));
+    };
+    pageFaviconEl.src = iconSrc;
+    pageFaviconEl.hidden = false;
   }
+  setTabIcon(iconSrc);
 
   urlEl.innerHTML = '';
   const link = document.createElement('a');
@@ -75,10 +90,14 @@ function showUrlAndRestore(url, title) {
 function restore(url) {
   if (!url || !isRestorableUrl(url)) return;
   if (btn) btn.disabled = true;
-  const key = `suspended_${tabId}`;
-  chrome.storage.local.remove(key);
-  chrome.tabs.getCurrent((tab) => {
+  if (currentToken) removeSuspendedRecord(currentToken);
+  chrome.tabs.getCurrent(async (tab) => {
     const targetId = tab ? tab.id : tabId;
+    if (currentSnapshot) {
+      await chrome.storage.local.set({
+        [restoreSnapshotKey(targetId)]: { url, snapshot: currentSnapshot, ts: Date.now() },
+      });
+    }
     chrome.tabs.update(targetId, { url }).then(() => {}).catch((e) => {
       console.warn('[TabHibernate] restore failed', e);
       if (btn) btn.disabled = false;
@@ -94,26 +113,33 @@ document.body.addEventListener('click', (e) => {
   restore(currentRestoreUrl);
 });
 
-if (!tabId) {
+/** Запись по токену; если её нет (ID вкладки сменился, storage потерян) — просим SW сопоставить заглушку заново. */
+async function loadRestoreRecord() {
+  const item = token ? await readSuspendedRecord(token) : null;
+  if (item) return item;
+  return chrome.runtime.sendMessage({ type: 'recoverPlaceholder' }).catch(() => null);
+}
+
+// заглушка без t (старой версии, открытая заново) — запись найдёт recoverPlaceholder
+if (!token && !tabIdParam) {
   showError('Unknown tab');
 } else {
-  const key = `suspended_${tabId}`;
-  chrome.storage.local.get(key, (data) => {
-    if (chrome.runtime.lastError) {
-      if (isRestorableUrl(fallbackUrl)) {
-        showUrlAndRestore(fallbackUrl, '');
-      } else {
-        showError('Could not load restore data');
-      }
-      return;
-    }
-    const item = data[key];
-    if (item && item.url && isRestorableUrl(item.url)) {
-      showUrlAndRestore(item.url, item.title);
+  Promise.all([loadRestoreRecord(), readFaviconCache()]).then(([item, faviconCache]) => {
+    if (item && isRestorableUrl(item.url)) {
+      currentSnapshot = item.snapshot || null;
+      currentToken = item.token || token;
+      showUrlAndRestore(item.url, item.title, item.favicon, faviconCache);
+      showThumbnail(item.thumbnail);
     } else if (isRestorableUrl(fallbackUrl)) {
-      showUrlAndRestore(fallbackUrl, '');
+      showUrlAndRestore(fallbackUrl, '', null, faviconCache);
     } else {
       showError('Restore data unavailable');
     }
+  }).catch(() => {
+    if (isRestorableUrl(fallbackUrl)) {
+      showUrlAndRestore(fallbackUrl, '');
+    } else {
+      showError('Could not load restore data');
+    }
   });
 }
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, plain } = require('./helpers/load_service_worker');
+
+const MINUTE = 60 * 1000;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/** Сколько минут назад вкладки были активны: { tabId: минуты }. */
+function setInactiveFor(fake, minutesByTab) {
+  const now = Date.now();
+  fake.storage.lastActivityByTab = Object.fromEntries(
+    Object.entries(minutesByTab).map(([id, min]) => [id, now - min * MINUTE])
+  );
+}
+
+test('onAlarmCheck suspends only tabs inactive longer than the timeout and backs them up', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const active = fake.addTab({ url: 'https://active.example/', active: true });
+  const stale = fake.addTab({ url: 'https://stale.example/', title: 'Stale' });
+  const fresh = fake.addTab({ url: 'https://fresh.example/' });
+  setInactiveFor(fake, { [active.id]: 60, [stale.id]: 10, [fresh.id]: 2 });
+
+  await sw.onAlarmCheck();
+
+  assert.match(fake.tabs.get(stale.id).url, /suspended\.html\?tabId=/);
+  assert.equal(fake.tabs.get(fresh.id).url, 'https://fresh.example/');
+  assert.equal(fake.tabs.get(active.id).url, 'https://active.example/');
+  assert.deepEqual(plain(fake.storage[`backup_${today()}`]).map((x) => x.url), ['https://stale.example/']);
+  const folder = fake.findBookmarkFolder(['Tab Backup', today()]);
+  assert.deepEqual(folder.children.map((b) => b.url), ['https://stale.example/']);
+  assert.ok(fake.storage.lastAlarmRun > 0);
+  assert.ok(fake.alarms.has('tabHibernateCheck'));
+});
+
+test('onAlarmCheck uses per-site timeouts and the new-tab grace period', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: 'slow.example', action: 'timeout', timeoutMinutes: 30 }];
+  const slow = fake.addTab({ url: 'https://slow.example/' });
+  const unknown = fake.addTab({ url: 'https://unknown.example/' });
+  setInactiveFor(fake, { [slow.id]: 20 });
+
+  await sw.onAlarmCheck();
+
+  assert.equal(fake.tabs.get(slow.id).url, 'https://slow.example/');
+  // Вкладку без записи активности считаем только что активной.
+  assert.equal(fake.tabs.get(unknown.id).url, 'https://unknown.example/');
+  assert.ok(evaluate(`lastActivityByTab.get(${unknown.id})`) > Date.now() - MINUTE);
+});
+
+test('onAlarmCheck does nothing when suspension is disabled', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.settings = { enabled: false };
+  const tab = fake.addTab({ url: 'https://stale.example/' });
+  setInactiveFor(fake, { [tab.id]: 120 });
+
+  await sw.onAlarmCheck();
+
+  assert.equal(fake.tabs.get(tab.id).url, 'https://stale.example/');
+  assert.equal(fake.storage[`backup_${today()}`], undefined);
+  assert.ok(fake.storage.lastAlarmRun > 0);
+});
+
+test('onAlarmCheck with the memory trigger suspends least recently used tabs up to the per-check cap', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.settings = { trigger: 'memory', mode: 'discard', memoryLowPercent: 15, memoryTargetPercent: 25, memoryMaxPerCheck: 2 };
+  Object.assign(fake.memory, { capacity: 1000, availableCapacity: 100 });
+  const tabs = [1, 2, 3].map((n) => fake.addTab({ url: `https://site${n}.example/` }));
+  setInactiveFor(fake, { [tabs[0].id]: 1, [tabs[1].id]: 30, [tabs[2].id]: 20 });
+
+  await sw.onAlarmCheck();
+
+  assert.deepEqual(tabs.map((t) => fake.tabs.get(t.id).discarded), [false, true, true]);
+});
+
+test('onAlarmCheck with the memory trigger leaves tabs alone while memory is sufficient', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.settings = { trigger: 'memory', mode: 'discard' };
+  Object.assign(fake.memory, { capacity: 1000, availableCapacity: 500 });
+  const tab = fake.addTab({ url: 'https://site.example/' });
+  setInactiveFor(fake, { [tab.id]: 600 });
+
+  await sw.onAlarmCheck();
+
+  assert.equal(fake.tabs.get(tab.id).discarded, false);
+});
+
+test('saveTabsToBackup deduplicates URLs within a batch and against the day backup', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const first = await sw.saveTabsToBackup([
+    { url: 'https://a.example/', title: 'A' },
+    { url: 'https://a.example/', title: 'A again' },
+    { url: 'https://b.example/', title: 'B' },
+    { url: '', title: 'no url' },
+  ]);
+  assert.equal(first.count, 2);
+  await sw.saveTabsToBackup([{ url: 'https://b.example/', title: 'B' }, { url: 'https://c.example/', title: 'C' }]);
+
+  const list = plain(fake.storage[`backup_${today()}`]);
+  assert.deepEqual(list.map((x) => x.url), ['https://a.example/', 'https://b.example/', 'https://c.example/']);
+  assert.equal(list[0].title, 'A');
+  // Папка «Tab Backup / дата» создаётся один раз.
+  const root = fake.findBookmarkFolder(['Tab Backup']);
+  assert.equal(root.children.length, 1);
+});
+
+test('pruneOldBackups removes day backups older than the retention period', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const daysAgo = (n) => {
+    const d = new Date();
+    d.setDate(d.getDate() - n);
+    return d.toISOString().slice(0, 10);
+  };
+  const entry = [{ url: 'https://a.example/', title: 'A', ts: 1 }];
+  fake.storage[`backup_${daysAgo(45)}`] = entry;
+  fake.storage[`backup_${daysAgo(31)}`] = entry;
+  fake.storage[`backup_${daysAgo(5)}`] = entry;
+  fake.storage[`backup_${today()}`] = entry;
+  fake.storage.backup_notadate = entry;
+
+  await sw.pruneOldBackups();
+
+  const keys = Object.keys(fake.storage).filter((k) => k.startsWith('backup_')).sort();
+  assert.deepEqual(keys, [`backup_${daysAgo(5)}`, `backup_${today()}`, 'backup_notadate'].sort());
+});
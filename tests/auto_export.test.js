@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+/** JSON из data URL, который SW отдаёт в chrome.downloads.download. */
+function readDataUrl(url) {
+  assert.match(url, /^data:application\/json;base64,/);
+  return JSON.parse(Buffer.from(url.slice(url.indexOf(',') + 1), 'base64').toString('utf8'));
+}
+
+test('runAutoExport downloads closedAndSaved and backups and records the time', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.closedAndSaved = [{ url: 'https://a.example/', title: 'A', savedAt: 1 }];
+    f.storage['backup_2024-01-01'] = [{ url: 'https://b.example/', title: 'B' }];
+  });
+
+  const res = await sw.runAutoExport();
+
+  assert.equal(res.ok, true);
+  const [file] = [...fake.downloads.values()];
+  assert.match(file.filename, /^TabHibernate\/tab-hibernate-backup-\d{4}-\d{2}-\d{2}-\d{4}\.json$/);
+  const data = readDataUrl(file.url);
+  assert.deepEqual(data.closedAndSaved.map((x) => x.url), ['https://a.example/']);
+  assert.deepEqual(Object.keys(data.backups), ['2024-01-01']);
+  const state = plain(fake.storage.autoExportState);
+  assert.equal(state.lastExportAt, res.lastExportAt);
+  assert.equal(state.lastError, '');
+  assert.deepEqual(state.files.map((f) => f.id), [file.id]);
+});
+
+test('runAutoExport keeps only the configured number of files', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.settings = { autoExportEnabled: true, autoExportKeep: 3 };
+  });
+
+  for (let i = 0; i < 5; i++) await sw.runAutoExport();
+
+  assert.deepEqual([...fake.downloads.keys()], [3, 4, 5]);
+  assert.deepEqual(plain(fake.storage.autoExportState).files.map((f) => f.id), [3, 4, 5]);
+});
+
+test('runAutoExport records a failed download and keeps the previous export time', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.autoExportState = { lastExportAt: 1000, lastError: '', files: [] };
+  });
+  fake.downloadOptions.fail = true;
+
+  const res = await sw.runAutoExport();
+
+  assert.equal(res.ok, false);
+  const state = plain(fake.storage.autoExportState);
+  assert.equal(state.lastExportAt, 1000);
+  assert.match(state.lastError, /interrupted/);
+});
+
+test('runAutoExport refuses an export over the data URL limit and records why', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.autoExportState = { lastExportAt: 1000, lastError: '', files: [] };
+    f.storage.closedAndSaved = Array.from({ length: 2000 }, (_, i) => ({
+      url: `https://a.example/${i}`, title: 'Ё'.repeat(400), savedAt: i,
+    }));
+  });
+
+  const res = await sw.runAutoExport();
+
+  assert.equal(res.ok, false);
+  assert.equal(fake.downloads.size, 0);
+  const state = plain(fake.storage.autoExportState);
+  assert.equal(state.lastExportAt, 1000);
+  assert.match(state.lastError, /too large.*limit 2 MB/);
+});
+
+test('export alarm follows the auto export settings', async () => {
+  const { fake } = await loadServiceWorker();
+  fake.chrome.runtime.onStartup.dispatch();
+  await flush();
+  assert.equal(fake.alarms.has('tabHibernateExport'), false);
+
+  await fake.chrome.storage.local.set({ settings: { autoExportEnabled: true, autoExportHours: 12 } });
+  await flush();
+  assert.equal(fake.alarms.get('tabHibernateExport').periodInMinutes, 12 * 60);
+
+  await fake.chrome.storage.local.set({ settings: { autoExportEnabled: false } });
+  await flush();
+  assert.equal(fake.alarms.has('tabHibernateExport'), false);
+});
+
+test('export alarm runs an export and autoExportNow exports on demand', async () => {
+  const { fake } = await loadServiceWorker();
+
+  fake.fireAlarm('tabHibernateExport');
+  await flush(20);
+  assert.equal(fake.downloads.size, 1);
+
+  assert.equal((await fake.sendMessage({ type: 'autoExportNow' })).ok, true);
+  assert.equal(fake.downloads.size, 2);
+});
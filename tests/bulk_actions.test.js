@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+const PLACEHOLDER_BASE = 'chrome-extension://testextensionid/suspended.html';
+
+/** Вкладка, уже показывающая заглушку, вместе с записью восстановления. */
+function addSuspendedTab(fake, url, props = {}) {
+  const tab = fake.addTab(props);
+  tab.url = `${PLACEHOLDER_BASE}?tabId=${tab.id}&t=tok${tab.id}`;
+  fake.storage[`suspended_tok${tab.id}`] = { url, title: 'Saved', tabId: tab.id, token: `tok${tab.id}` };
+  return tab;
+}
+
+test('runRestoreAllSuspended restores every placeholder and drops its record', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const a = addSuspendedTab(fake, 'https://a.example/');
+  const b = addSuspendedTab(fake, 'https://b.example/');
+  fake.storage[`suspended_tok${b.id}`].snapshot = { scrollX: 0, scrollY: 300, fields: [] };
+  const normal = fake.addTab({ url: 'https://normal.example/' });
+
+  assert.equal((await sw.runRestoreAllSuspended()).queued, 2);
+
+  assert.equal((await evaluate('restoreQueue.running')).restored, 2);
+  assert.equal(fake.tabs.get(a.id).url, 'https://a.example/');
+  assert.equal(fake.tabs.get(b.id).url, 'https://b.example/');
+  assert.equal(fake.tabs.get(normal.id).url, 'https://normal.example/');
+  assert.equal(fake.storage[`suspended_tok${a.id}`], undefined);
+  assert.equal(fake.storage[`suspended_tok${b.id}`], undefined);
+  assert.equal(fake.storage[`restoreSnapshot_${b.id}`].url, 'https://b.example/');
+});
+
+test('runRestoreAllSuspended falls back to the URL in the stub when the record is lost', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({});
+  tab.url = `${PLACEHOLDER_BASE}?tabId=${tab.id}&u=${encodeURIComponent('https://lost.example/page')}`;
+
+  await sw.runRestoreAllSuspended();
+  assert.equal((await evaluate('restoreQueue.running')).restored, 1);
+  assert.equal(fake.tabs.get(tab.id).url, 'https://lost.example/page');
+});
+
+test('runRestoreAllSuspended with the window scope restores only that window', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const here = addSuspendedTab(fake, 'https://here.example/', { windowId: 1 });
+  const there = addSuspendedTab(fake, 'https://there.example/', { windowId: 2 });
+
+  assert.equal((await sw.runRestoreAllSuspended({ scope: 'window', windowId: 1 })).queued, 1);
+
+  assert.equal((await evaluate('restoreQueue.running')).restored, 1);
+  assert.equal(fake.tabs.get(here.id).url, 'https://here.example/');
+  assert.match(fake.tabs.get(there.id).url, /suspended\.html/);
+});
+
+test('runCloseAndSaveAll saves eligible tabs to closedAndSaved and closes them', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const active = fake.addTab({ url: 'https://active.example/', active: true });
+  const pinned = fake.addTab({ url: 'https://pinned.example/', pinned: true });
+  const a = fake.addTab({ url: 'https://a.example/', title: 'A' });
+  const b = fake.addTab({ url: 'https://b.example/', title: 'B' });
+  fake.storage.closedAndSaved = [{ url: 'https://old.example/', title: 'Old', savedAt: 1 }];
+
+  const res = await sw.runCloseAndSaveAll();
+  await flush();
+
+  assert.equal(res.closed, 2);
+  assert.deepEqual([...fake.tabs.keys()], [active.id, pinned.id]);
+  const saved = plain(fake.storage.closedAndSaved);
+  assert.deepEqual(saved.map((x) => x.url), ['https://b.example/', 'https://a.example/', 'https://old.example/']);
+  assert.ok(saved[0].savedAt > 1);
+  assert.equal(fake.tabs.has(a.id) || fake.tabs.has(b.id), false);
+});
+
+test('runCloseAndSaveAll skips tabs with unsaved input and reports them', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const dirty = fake.addTab({ url: 'https://form.example/' });
+  const clean = fake.addTab({ url: 'https://clean.example/' });
+  await fake.sendMessage({ type: 'pageState', unsaved: ['form'] }, { tab: { id: dirty.id } });
+
+  const res = await sw.runCloseAndSaveAll();
+
+  assert.deepEqual(plain(res), { closed: 1, skippedUnsaved: 1 });
+  assert.ok(fake.tabs.has(dirty.id));
+  assert.equal(fake.tabs.has(clean.id), false);
+});
+
+test('closing a suspended tab keeps its restore record until garbage collection', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = addSuspendedTab(fake, 'https://a.example/');
+  fake.storage[`thumb_${tab.id}`] = { dataUrl: 'data:image/jpeg;base64,', url: 'https://a.example/', ts: 1 };
+
+  await fake.chrome.tabs.remove(tab.id);
+  await flush();
+
+  assert.equal(fake.storage[`thumb_${tab.id}`], undefined);
+  assert.equal(fake.storage[`suspended_tok${tab.id}`].url, 'https://a.example/');
+
+  assert.equal(await sw.collectPlaceholderGarbage(), 0);
+  assert.ok(fake.storage[`suspended_tok${tab.id}`].orphanedAt > 0);
+
+  fake.storage[`suspended_tok${tab.id}`].orphanedAt -= evaluate('PLACEHOLDER_ORPHAN_GRACE_MS');
+  assert.equal(await sw.collectPlaceholderGarbage(), 1);
+  assert.equal(fake.storage[`suspended_tok${tab.id}`], undefined);
+});
+
+test('collectPlaceholderGarbage leaves a freshly written record alone before its tab points at it', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.suspended_fresh = { url: 'https://a.example/', title: 'A', tabId: 1, token: 'fresh', writtenAt: Date.now() };
+
+  assert.equal(await sw.collectPlaceholderGarbage(), 0);
+  assert.equal(fake.storage.suspended_fresh.orphanedAt, undefined);
+});
+
+test('runSuspendAllNow respects the window and other-windows scopes', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.settings = { mode: 'discard' };
+  const w1Active = fake.addTab({ windowId: 1, url: 'https://w1-active.example/', active: true });
+  const w1 = fake.addTab({ windowId: 1, url: 'https://w1.example/' });
+  const w2Active = fake.addTab({ windowId: 2, url: 'https://w2-active.example/', active: true });
+  const w2 = fake.addTab({ windowId: 2, url: 'https://w2.example/' });
+  const discarded = () => [w1Active, w1, w2Active, w2].map((t) => fake.tabs.get(t.id).discarded);
+
+  assert.equal((await sw.runSuspendAllNow({ scope: 'otherWindows', windowId: 1 })).suspended, 1);
+  assert.deepEqual(discarded(), [false, false, false, true]);
+
+  assert.equal((await sw.runSuspendAllNow({ scope: 'window', windowId: 1 })).suspended, 1);
+  assert.deepEqual(discarded(), [false, true, false, true]);
+});
+
+test('runSuspendAllNow in the except-current-tab mode also suspends active tabs of other windows', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const current = fake.addTab({ windowId: 1, url: 'https://current.example/', active: true });
+  const w2Active = fake.addTab({ windowId: 2, url: 'https://w2-active.example/', active: true });
+  const w2 = fake.addTab({ windowId: 2, url: 'https://w2.example/' });
+
+  const res = await sw.runSuspendAllNow({ scope: 'all', windowId: 1, exceptCurrentOnly: true });
+
+  assert.equal(res.suspended, 2);
+  assert.equal(fake.tabs.get(current.id).url, 'https://current.example/');
+  assert.match(fake.tabs.get(w2Active.id).url, /suspended\.html/);
+  assert.match(fake.tabs.get(w2.id).url, /suspended\.html/);
+});
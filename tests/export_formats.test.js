@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load_service_worker');
+
+const DATA = {
+  closedAndSaved: [
+    { url: 'https://a.example/page?x=1&y=2', title: 'A "quoted" [title], with comma', savedAt: Date.UTC(2024, 0, 2) },
+    { url: 'https://en.wikipedia.org/wiki/Foo_(bar)', title: 'Foo | bar' },
+  ],
+  backups: {
+    '2024-01-01': [{ url: 'https://b.example/', title: 'B <tag>', ts: Date.UTC(2024, 0, 1) }],
+  },
+};
+
+const urls = (items) => items.map((x) => x.url);
+
+for (const format of ['html', 'markdown', 'csv', 'onetab']) {
+  test(`${format} export is detected and read back by the import`, async () => {
+    const { sw } = await loadScripts(['export_formats.js']);
+
+    const parsed = plain(sw.parseImport(sw.buildExport(format, DATA)));
+
+    assert.equal(parsed.format, format);
+    assert.equal(parsed.skipped, 0);
+    assert.deepEqual(urls(parsed.items), [
+      'https://a.example/page?x=1&y=2',
+      'https://en.wikipedia.org/wiki/Foo_(bar)',
+      'https://b.example/',
+    ]);
+    assert.equal(parsed.items[0].title, 'A "quoted" [title], with comma');
+    assert.equal(parsed.items[1].title, 'Foo | bar');
+  });
+}
+
+test('html and csv imports keep the saved time', async () => {
+  const { sw } = await loadScripts(['export_formats.js']);
+
+  assert.equal(sw.parseImport(sw.buildExport('html', DATA)).items[0].savedAt, Date.UTC(2024, 0, 2));
+  assert.equal(sw.parseImport(sw.buildExport('csv', DATA)).items[2].savedAt, Date.UTC(2024, 0, 1));
+});
+
+test('json import keeps closed-and-saved records whole and backups by date', async () => {
+  const { sw } = await loadScripts(['export_formats.js']);
+  const group = { title: 'Work', color: 'blue' };
+  const json = sw.buildExport('json', { ...DATA, closedAndSaved: [{ ...DATA.closedAndSaved[0], group }, { title: 'no url' }] });
+
+  const parsed = plain(sw.parseImport(json));
+
+  assert.equal(parsed.format, 'json');
+  assert.deepEqual(parsed.items[0].group, group);
+  assert.equal(parsed.skipped, 1);
+  assert.deepEqual(urls(parsed.backups['2024-01-01']), ['https://b.example/']);
+});
+
+test('import skips unsafe URLs and rejects unknown files', async () => {
+  const { sw } = await loadScripts(['export_formats.js']);
+
+  const parsed = plain(sw.parseImport('https://ok.example/ | OK\njavascript:alert(1) | Bad\nnot a url at all'));
+  assert.equal(parsed.format, 'onetab');
+  assert.deepEqual(urls(parsed.items), ['https://ok.example/']);
+  assert.equal(parsed.skipped, 2);
+
+  assert.equal(sw.parseImport('just some notes'), null);
+  assert.equal(sw.parseImport('{ broken json'), null);
+});
+
+test('html import decodes decimal and hex entities and keeps invalid ones as text', async () => {
+  const { sw } = await loadScripts(['export_formats.js']);
+  const html = '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p>\n'
+    + '<DT><A HREF="https://a.example/">It&#39;s &#x263A; &#9731; &#99999999; &#xD800; &amp;#60;</A>\n</DL><p>\n';
+
+  const parsed = plain(sw.parseImport(html));
+
+  assert.equal(parsed.format, 'html');
+  assert.equal(parsed.items[0].title, "It's \u263A \u2603 &#99999999; &#xD800; &#60;");
+});
+
+test('csv import finds columns by header name', async () => {
+  const { sw } = await loadScripts(['export_formats.js']);
+
+  const parsed = plain(sw.parseImport('Title,URL\r\n"Multi\nline",https://a.example/\r\n'));
+
+  assert.equal(parsed.format, 'csv');
+  assert.deepEqual(parsed.items, [{ url: 'https://a.example/', title: 'Multi\nline' }]);
+});
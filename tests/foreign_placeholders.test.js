@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, plain } = require('./helpers/load_service_worker');
+
+const GREAT_SUSPENDER = 'chrome-extension://klbibkeccnjlkjkiokjodocebajanakg/suspended.html';
+const TAB_SUSPENDER = 'chrome-extension://fiabciakcmgepblmdkmemdbbkilneeeh/park.html';
+
+test('parseForeignSuspenderUrl reads known suspender formats', async () => {
+  const { sw } = await loadServiceWorker();
+
+  assert.deepEqual(
+    plain(sw.parseForeignSuspenderUrl(`${GREAT_SUSPENDER}#ttl=My%20Page&pos=120&uri=https://a.example/path?x=1&y=2#frag`)),
+    { url: 'https://a.example/path?x=1&y=2#frag', title: 'My Page' },
+  );
+  assert.deepEqual(
+    plain(sw.parseForeignSuspenderUrl(`${TAB_SUSPENDER}?title=Docs&url=${encodeURIComponent('https://b.example/?q=1')}&tabId=5`)),
+    { url: 'https://b.example/?q=1', title: 'Docs' },
+  );
+  assert.deepEqual(
+    plain(sw.parseForeignSuspenderUrl('chrome-extension://otherid/suspend.html#url=https%3A%2F%2Fc.example%2F')),
+    { url: 'https://c.example/', title: 'https://c.example/' },
+  );
+});
+
+test('parseForeignSuspenderUrl ignores own placeholders and unrelated extension pages', async () => {
+  const { sw } = await loadServiceWorker();
+
+  assert.equal(sw.parseForeignSuspenderUrl('chrome-extension://testextensionid/suspended.html?tabId=3&u=https://a.example/'), null);
+  assert.equal(sw.parseForeignSuspenderUrl('chrome-extension://oldid/suspended.html?tabId=3'), null);
+  assert.equal(sw.parseForeignSuspenderUrl('chrome-extension://reader/view.html?url=https://a.example/'), null);
+  assert.equal(sw.parseForeignSuspenderUrl(`${GREAT_SUSPENDER}#ttl=x&uri=javascript:alert(1)`), null);
+  assert.equal(sw.parseForeignSuspenderUrl('https://a.example/suspended.html#uri=https://b.example/'), null);
+});
+
+test('runMigrateForeignPlaceholders turns foreign tabs into own placeholders', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const foreign = fake.addTab({ url: `${GREAT_SUSPENDER}#ttl=A&uri=https://a.example/` });
+  const normal = fake.addTab({ url: 'https://normal.example/' });
+
+  const res = plain(await sw.runMigrateForeignPlaceholders());
+
+  assert.deepEqual(res, { found: 1, converted: 1, failed: 0, mode: 'placeholder' });
+  const stubUrl = new URL(fake.tabs.get(foreign.id).url);
+  assert.equal(stubUrl.searchParams.get('tabId'), String(foreign.id));
+  const token = stubUrl.searchParams.get('t');
+  const { writtenAt, ...record } = plain(fake.storage[`suspended_${token}`]);
+  assert.ok(writtenAt > 0);
+  assert.deepEqual(record, { url: 'https://a.example/', title: 'A', tabId: foreign.id, token });
+  assert.equal(fake.tabs.get(normal.id).url, 'https://normal.example/');
+  assert.equal(fake.badge.text, '1');
+});
+
+test('migrateForeignPlaceholders message restores original pages in the requested window', async () => {
+  const { fake } = await loadServiceWorker();
+  const here = fake.addTab({ windowId: 1, url: `${TAB_SUSPENDER}?title=B&url=https%3A%2F%2Fb.example%2F` });
+  const there = fake.addTab({ windowId: 2, url: `${TAB_SUSPENDER}?title=C&url=https%3A%2F%2Fc.example%2F` });
+
+  const res = plain(await fake.sendMessage({ type: 'migrateForeignPlaceholders', mode: 'restore', scope: 'window', windowId: 1 }));
+
+  assert.deepEqual(res, { found: 1, converted: 1, failed: 0, mode: 'restore' });
+  assert.equal(fake.tabs.get(here.id).url, 'https://b.example/');
+  assert.match(fake.tabs.get(there.id).url, /park\.html/);
+  assert.equal(fake.storage[`suspended_${here.id}`], undefined);
+});
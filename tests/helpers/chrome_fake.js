@@ -0,0 +1,459 @@
+/**
+ * In-memory fake chrome.* для тестов service worker'а: tabs, windows, storage.local и storage.sync, alarms, downloads,
+ * bookmarks, runtime (сообщения) и заглушки остальных API, которые SW трогает при загрузке.
+ * Состояние открыто тестам (fake.tabs, fake.storage, fake.syncStorage, fake.bookmarks, fake.alarms), события — через
+ * dispatch. Значения в storage клонируются, как в Chrome: SW не может изменить хранилище мимо set().
+ */
+
+const EXTENSION_ID = 'testextensionid';
+
+function createEvent() {
+  const listeners = [];
+  return {
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i !== -1) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    hasListeners: () => listeners.length > 0,
+    /** Вызвать слушатели синхронно; возвращает их результаты (нужно для onMessage). */
+    dispatch: (...args) => listeners.map((fn) => fn(...args)),
+  };
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function createChromeFake() {
+  let nextTabId = 1;
+  let nextWindowId = 1;
+  let nextBookmarkId = 10;
+  /** tabId → вкладка; порядок в окне — по index. */
+  const tabs = new Map();
+  /** windowId → { id, focused, incognito, type } */
+  const windows = new Map();
+  const storage = {};
+  /** chrome.storage.sync: отдельное хранилище, set проверяет QUOTA_BYTES_PER_ITEM, как Chrome; fail — запись
+   * отклоняется, как при исчерпанном лимите записей. */
+  const syncStorage = {};
+  const syncOptions = { fail: false };
+  /** name → { name, periodInMinutes, scheduledTime } */
+  const alarms = new Map();
+  const bookmarks = {
+    id: '0',
+    title: '',
+    children: [
+      { id: '1', parentId: '0', title: 'Bookmarks bar', children: [] },
+      { id: '2', parentId: '0', title: 'Other bookmarks', children: [] },
+    ],
+  };
+  const badge = { text: '', color: null };
+  /** Ответы content script на chrome.tabs.sendMessage: tabId → (msg) => ответ. Нет обработчика — ошибка соединения. */
+  const contentHandlers = new Map();
+  const memory = { capacity: 0, availableCapacity: 0 };
+  let nextDownloadId = 1;
+  /** downloadId → { id, url, filename, state, exists }; загрузка завершается сразу, fail — прерывается. */
+  const downloads = new Map();
+  const downloadOptions = { fail: false };
+  /** holdLoading: навигация через tabs.update оставляет вкладку в status 'loading', пока тест не вызовет completeTab. */
+  const tabOptions = { holdLoading: false };
+
+  const events = {
+    tabs: {
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onCreated: createEvent(),
+      onRemoved: createEvent(),
+    },
+    runtime: { onMessage: createEvent(), onInstalled: createEvent(), onStartup: createEvent() },
+    storage: { onChanged: createEvent() },
+    alarms: { onAlarm: createEvent() },
+    downloads: { onChanged: createEvent() },
+  };
+
+  /** События Chrome приходят асинхронно — откладываем до конца текущей задачи. */
+  function fireLater(event, ...args) {
+    queueMicrotask(() => event.dispatch(...args));
+  }
+
+  function completeTab(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab || tab.status !== 'loading') return;
+    tab.status = 'complete';
+    fireLater(events.tabs.onUpdated, tab.id, { status: 'complete' }, clone(tab));
+  }
+
+  function ensureWindow(windowId) {
+    if (!windows.has(windowId)) {
+      windows.set(windowId, { id: windowId, focused: windows.size === 0, incognito: false, type: 'normal' });
+      nextWindowId = Math.max(nextWindowId, windowId + 1);
+    }
+    return windows.get(windowId);
+  }
+
+  function focusedWindowId() {
+    for (const w of windows.values()) if (w.focused) return w.id;
+    return windows.size > 0 ? windows.keys().next().value : null;
+  }
+
+  function tabsInWindow(windowId) {
+    return [...tabs.values()].filter((t) => t.windowId === windowId).sort((a, b) => a.index - b.index);
+  }
+
+  function reindex(windowId) {
+    tabsInWindow(windowId).forEach((t, i) => { t.index = i; });
+  }
+
+  /** Добавить вкладку напрямую (подготовка теста, без событий). */
+  function addTab(props = {}) {
+    props = Object.fromEntries(Object.entries(props).filter(([, v]) => v !== undefined));
+    const windowId = props.windowId != null ? props.windowId : (focusedWindowId() ?? nextWindowId);
+    ensureWindow(windowId);
+    const tab = {
+      id: nextTabId++,
+      windowId,
+      index: tabsInWindow(windowId).length,
+      url: 'https://example.com/',
+      title: 'Example',
+      active: false,
+      pinned: false,
+      audible: false,
+      discarded: false,
+      incognito: false,
+      status: 'complete',
+      groupId: -1,
+      ...props,
+    };
+    nextTabId = Math.max(nextTabId, tab.id + 1);
+    if (tab.active) {
+      for (const t of tabsInWindow(windowId)) t.active = false;
+    }
+    tabs.set(tab.id, tab);
+    return tab;
+  }
+
+  function getTabOrThrow(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  }
+
+  function matchesQuery(tab, q) {
+    if (q.windowId != null && tab.windowId !== q.windowId) return false;
+    if ((q.currentWindow || q.lastFocusedWindow) && tab.windowId !== focusedWindowId()) return false;
+    for (const key of ['active', 'pinned', 'audible', 'discarded', 'groupId', 'status']) {
+      if (q[key] !== undefined && tab[key] !== q[key]) return false;
+    }
+    if (typeof q.url === 'string' && tab.url !== q.url) return false;
+    return true;
+  }
+
+  // ——— storage.local / storage.sync
+  const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+  function createStorageArea(store, areaName, itemQuota, options = {}) {
+    function get(keys) {
+      if (keys == null) return clone(store);
+      const out = {};
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) {
+        for (const k of keys) if (k in store) out[k] = clone(store[k]);
+        return out;
+      }
+      for (const [k, def] of Object.entries(keys)) out[k] = k in store ? clone(store[k]) : def;
+      return out;
+    }
+
+    function set(items) {
+      if (options.fail) throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+      const entries = Object.entries(items).filter(([, v]) => v !== undefined);
+      for (const [k, v] of entries) {
+        if (itemQuota && Buffer.byteLength(k + JSON.stringify(v)) > itemQuota) throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+      }
+      const changes = {};
+      for (const [k, v] of entries) {
+        changes[k] = { oldValue: clone(store[k]), newValue: clone(v) };
+        store[k] = clone(v);
+      }
+      if (Object.keys(changes).length > 0) fireLater(events.storage.onChanged, changes, areaName);
+    }
+
+    function remove(keys) {
+      if (options.fail) throw new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded');
+      const changes = {};
+      for (const k of [].concat(keys)) {
+        if (!(k in store)) continue;
+        changes[k] = { oldValue: store[k] };
+        delete store[k];
+      }
+      if (Object.keys(changes).length > 0) fireLater(events.storage.onChanged, changes, areaName);
+    }
+
+    return {
+      get: async (keys) => get(keys),
+      set: async (items) => set(items),
+      remove: async (keys) => remove(keys),
+      clear: async () => remove(Object.keys(store)),
+      getBytesInUse: async (keys) => JSON.stringify(keys == null ? store : get(keys)).length,
+    };
+  }
+
+  // ——— bookmarks
+  function findBookmark(id, node = bookmarks) {
+    if (node.id === id) return node;
+    for (const child of node.children || []) {
+      const found = findBookmark(id, child);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  const chrome = {
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL: (path) => `chrome-extension://${EXTENSION_ID}/${String(path).replace(/^\//, '')}`,
+      getPlatformInfo: async () => ({ os: 'linux', arch: 'x86-64', nacl_arch: 'x86-64' }),
+      onMessage: events.runtime.onMessage,
+      onInstalled: events.runtime.onInstalled,
+      onStartup: events.runtime.onStartup,
+    },
+    tabs: {
+      ...events.tabs,
+      query: async (q = {}) => [...tabs.values()]
+        .filter((t) => matchesQuery(t, q))
+        .sort((a, b) => a.windowId - b.windowId || a.index - b.index)
+        .map(clone),
+      get: async (tabId) => clone(getTabOrThrow(tabId)),
+      create: async (props = {}) => {
+        const tab = addTab({
+          windowId: props.windowId,
+          url: props.url || 'about:blank',
+          title: props.url || '',
+          pinned: !!props.pinned,
+          active: props.active !== false,
+          status: 'loading',
+        });
+        if (props.index != null) {
+          tab.index = props.index - 0.5;
+          reindex(tab.windowId);
+        }
+        fireLater(events.tabs.onCreated, clone(tab));
+        return clone(tab);
+      },
+      update: async (tabId, props = {}) => {
+        const tab = getTabOrThrow(tabId);
+        const changeInfo = {};
+        if (props.url !== undefined && props.url !== tab.url) {
+          tab.url = props.url;
+          tab.discarded = false;
+          tab.status = 'loading';
+          changeInfo.url = props.url;
+          changeInfo.status = 'loading';
+          if (!tabOptions.holdLoading) setImmediate(() => completeTab(tab.id));
+        }
+        if (props.active && !tab.active) {
+          for (const t of tabsInWindow(tab.windowId)) t.active = false;
+          tab.active = true;
+          fireLater(events.tabs.onActivated, { tabId: tab.id, windowId: tab.windowId });
+        }
+        if (props.pinned !== undefined) tab.pinned = changeInfo.pinned = !!props.pinned;
+        if (Object.keys(changeInfo).length > 0) fireLater(events.tabs.onUpdated, tab.id, changeInfo, clone(tab));
+        return clone(tab);
+      },
+      reload: async (tabId) => {
+        const tab = getTabOrThrow(tabId);
+        if (!tab.discarded) return;
+        tab.discarded = false;
+        fireLater(events.tabs.onUpdated, tab.id, { discarded: false }, clone(tab));
+      },
+      discard: async (tabId) => {
+        const tab = getTabOrThrow(tabId);
+        if (tab.active) throw new Error('Cannot discard the active tab.');
+        tab.discarded = true;
+        return clone(tab);
+      },
+      remove: async (ids) => {
+        for (const id of [].concat(ids)) {
+          const tab = getTabOrThrow(id);
+          tabs.delete(id);
+          reindex(tab.windowId);
+          fireLater(events.tabs.onRemoved, id, { windowId: tab.windowId, isWindowClosing: false });
+        }
+      },
+      sendMessage: async (tabId, msg) => {
+        getTabOrThrow(tabId);
+        const handler = contentHandlers.get(tabId);
+        if (!handler) throw new Error('Could not establish connection. Receiving end does not exist.');
+        return handler(clone(msg));
+      },
+      captureVisibleTab: async () => {
+        throw new Error('captureVisibleTab is not available in tests');
+      },
+      group: async () => {
+        throw new Error('Tab groups are not available in tests');
+      },
+    },
+    windows: {
+      WINDOW_ID_CURRENT: -2,
+      getLastFocused: async () => clone(windows.get(focusedWindowId()) || { id: -1 }),
+      getCurrent: async () => clone(windows.get(focusedWindowId()) || { id: -1 }),
+      get: async (windowId) => {
+        const w = windows.get(windowId);
+        if (!w) throw new Error(`No window with id: ${windowId}.`);
+        return clone(w);
+      },
+      getAll: async ({ populate = false } = {}) => [...windows.values()].map((w) => (
+        populate ? { ...clone(w), tabs: tabsInWindow(w.id).map(clone) } : clone(w)
+      )),
+      create: async () => {
+        const w = ensureWindow(nextWindowId);
+        const tab = addTab({ windowId: w.id, url: 'chrome://newtab/', title: 'New Tab', active: true });
+        return { ...clone(w), tabs: [clone(tab)] };
+      },
+      update: async (windowId, props = {}) => {
+        const w = windows.get(windowId);
+        if (!w) throw new Error(`No window with id: ${windowId}.`);
+        if (props.focused) for (const other of windows.values()) other.focused = other.id === windowId;
+        return clone(w);
+      },
+    },
+    tabGroups: {
+      get: async (groupId) => {
+        throw new Error(`No group with id: ${groupId}.`);
+      },
+      query: async () => [],
+      update: async () => {
+        throw new Error('Tab groups are not available in tests');
+      },
+      onCreated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+    },
+    storage: {
+      onChanged: events.storage.onChanged,
+      local: { QUOTA_BYTES: 10485760, ...createStorageArea(storage, 'local') },
+      sync: {
+        QUOTA_BYTES: 102400,
+        QUOTA_BYTES_PER_ITEM: SYNC_QUOTA_BYTES_PER_ITEM,
+        ...createStorageArea(syncStorage, 'sync', SYNC_QUOTA_BYTES_PER_ITEM, syncOptions),
+      },
+    },
+    alarms: {
+      onAlarm: events.alarms.onAlarm,
+      create: async (name, info = {}) => {
+        const period = info.periodInMinutes;
+        alarms.set(name, { name, periodInMinutes: period, scheduledTime: Date.now() + (info.delayInMinutes ?? period ?? 0) * 60000 });
+      },
+      get: async (name) => clone(alarms.get(name)),
+      getAll: async () => [...alarms.values()].map(clone),
+      clear: async (name) => alarms.delete(name),
+    },
+    downloads: {
+      onChanged: events.downloads.onChanged,
+      download: async ({ url, filename }) => {
+        const id = nextDownloadId++;
+        const state = downloadOptions.fail ? 'interrupted' : 'complete';
+        downloads.set(id, { id, url, filename, state: 'in_progress', exists: false });
+        queueMicrotask(() => {
+          Object.assign(downloads.get(id), { state, exists: state === 'complete' });
+          events.downloads.onChanged.dispatch({ id, state: { previous: 'in_progress', current: state } });
+        });
+        return id;
+      },
+      search: async ({ id } = {}) => [...downloads.values()].filter((d) => id == null || d.id === id).map(clone),
+      removeFile: async (id) => {
+        const d = downloads.get(id);
+        if (!d || !d.exists) throw new Error('Download file already deleted');
+        d.exists = false;
+      },
+      erase: async ({ id }) => {
+        const erased = downloads.delete(id);
+        return erased ? [id] : [];
+      },
+    },
+    bookmarks: {
+      getTree: async () => [clone(bookmarks)],
+      getChildren: async (id) => clone((findBookmark(id) || { children: [] }).children || []),
+      create: async ({ parentId = '2', title = '', url } = {}) => {
+        const parent = findBookmark(parentId);
+        if (!parent || !parent.children) throw new Error("Can't find parent bookmark for id.");
+        const node = { id: String(nextBookmarkId++), parentId, title };
+        if (url) node.url = url;
+        else node.children = [];
+        parent.children.push(node);
+        return clone(node);
+      },
+    },
+    action: {
+      setBadgeText: async ({ text }) => { badge.text = text; },
+      setBadgeBackgroundColor: async ({ color }) => { badge.color = color; },
+    },
+    sidePanel: { setPanelBehavior: async () => {} },
+    contextMenus: {
+      create: () => {},
+      removeAll: async () => {},
+      onClicked: createEvent(),
+    },
+    commands: { onCommand: createEvent() },
+    system: {
+      memory: { getInfo: async () => ({ ...memory }) },
+    },
+  };
+
+  return {
+    chrome,
+    tabs,
+    windows,
+    storage,
+    syncStorage,
+    syncOptions,
+    alarms,
+    bookmarks,
+    badge,
+    memory,
+    downloads,
+    downloadOptions,
+    tabOptions,
+    completeTab,
+    contentHandlers,
+    addTab,
+    focusedWindowId,
+    /** Папка закладок по пути названий от корня, например ['Tab Backup', '2024-01-01']. */
+    findBookmarkFolder(path) {
+      let node = bookmarks;
+      for (const title of path) {
+        const queue = [...(node.children || [])];
+        let found = null;
+        while (queue.length && !found) {
+          const n = queue.shift();
+          if (n.title === title && n.children) found = n;
+          else queue.push(...(n.children || []));
+        }
+        if (!found) return null;
+        node = found;
+      }
+      return node;
+    },
+    /** Сообщение в SW как от страницы расширения или content script: ответ sendResponse (или undefined). */
+    sendMessage(msg, sender = {}) {
+      return new Promise((resolve) => {
+        let responded = false;
+        const sendResponse = (value) => {
+          if (responded) return;
+          responded = true;
+          resolve(clone(value));
+        };
+        const results = events.runtime.onMessage.dispatch(clone(msg), sender, sendResponse);
+        if (!responded && !results.includes(true)) resolve(undefined);
+      });
+    },
+    fireAlarm(name) {
+      return events.alarms.onAlarm.dispatch({ name, scheduledTime: Date.now() });
+    },
+  };
+}
+
+module.exports = { createChromeFake, createEvent, EXTENSION_ID };
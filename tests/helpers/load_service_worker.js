@@ -0,0 +1,75 @@
+/**
+ * Загрузка service_worker.js (и других скриптов расширения) в отдельном vm-контексте поверх chrome_fake.js,
+ * как classic service worker: importScripts читает файлы из корня расширения, объявленные функции доступны
+ * тестам как sw.<имя>. Сеть недоступна (fetch отклоняется), console.warn собирается в warnings, а не печатается.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createChromeFake } = require('./chrome_fake');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/** Дождаться, пока отработают отложенные события и цепочки промисов фейка. */
+async function flush(turns = 10) {
+  for (let i = 0; i < turns; i++) await new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Выполнить скрипты расширения (пути от корня) в новом контексте поверх фейка.
+ * setup(fake) вызывается до загрузки — для вкладок и storage, которые должны быть на старте.
+ * Возвращает { sw, fake, warnings, evaluate }; evaluate(code) читает и let/const верхнего уровня.
+ */
+async function loadScripts(files, setup) {
+  const fake = createChromeFake();
+  if (setup) await setup(fake);
+  const warnings = [];
+  const context = {
+    chrome: fake.chrome,
+    console: {
+      log: () => {},
+      info: () => {},
+      warn: (...args) => warnings.push(args.map(String).join(' ')),
+      error: (...args) => warnings.push(args.map(String).join(' ')),
+    },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    structuredClone,
+    URL,
+    URLSearchParams,
+    AbortController,
+    Blob,
+    TextEncoder,
+    btoa,
+    fetch: async () => {
+      throw new TypeError('Failed to fetch');
+    },
+  };
+  context.self = context;
+  context.importScripts = (...names) => {
+    for (const name of names) {
+      const filename = path.join(ROOT, name);
+      vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+  };
+  vm.createContext(context);
+  context.importScripts(...files);
+  await flush();
+  return { sw: context, fake, warnings, evaluate: (code) => vm.runInContext(code, context) };
+}
+
+/** service_worker.js целиком: слушатели зарегистрированы, initOnStartup отработал. */
+function loadServiceWorker(setup) {
+  return loadScripts(['service_worker.js'], setup);
+}
+
+/** Объект из vm-контекста → обычный объект (для deepStrictEqual: у контекста свои прототипы). */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadServiceWorker, loadScripts, flush, plain, ROOT };
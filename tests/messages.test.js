@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+test('activity message marks the sender tab as active', async () => {
+  const { fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({});
+  evaluate(`lastActivityByTab.set(${tab.id}, 1)`);
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'activity' }, { tab: { id: tab.id } })), { ok: true });
+  assert.ok(evaluate(`lastActivityByTab.get(${tab.id})`) > 1);
+});
+
+test('pageState message stores and clears unsaved input for the sender tab', async () => {
+  const { fake } = await loadServiceWorker();
+  const tab = fake.addTab({});
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'pageState', unsaved: ['form', 'beforeunload'] }, { tab: { id: tab.id } })), { ok: true });
+  assert.deepEqual(plain(fake.storage.unsavedByTab), { [tab.id]: ['form', 'beforeunload'] });
+
+  await fake.sendMessage({ type: 'pageState', unsaved: [] }, { tab: { id: tab.id } });
+  assert.deepEqual(plain(fake.storage.unsavedByTab), {});
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'pageState', unsaved: ['form'] }, {})), { ok: false });
+});
+
+test('pageState messages from several tabs at once keep every tab', async () => {
+  const { fake } = await loadServiceWorker();
+  const tabs = [fake.addTab({}), fake.addTab({}), fake.addTab({})];
+
+  await Promise.all(tabs.map((tab) => fake.sendMessage({ type: 'pageState', unsaved: ['form'], live: ['call'] }, { tab: { id: tab.id } })));
+
+  assert.deepEqual(Object.keys(plain(fake.storage.unsavedByTab)).map(Number), tabs.map((t) => t.id));
+  assert.deepEqual(Object.keys(plain(fake.storage.liveByTab)).map(Number), tabs.map((t) => t.id));
+});
+
+test('pageState live activity is stored, ignored when missing and restarts the idle timer when it ends', async () => {
+  const { fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({});
+
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: ['media', 'call', 'other'] }, { tab: { id: tab.id } });
+  assert.deepEqual(plain(fake.storage.liveByTab), { [tab.id]: ['media', 'call'] });
+
+  await fake.sendMessage({ type: 'pageState', unsaved: ['form'] }, { tab: { id: tab.id } });
+  assert.deepEqual(plain(fake.storage.liveByTab), { [tab.id]: ['media', 'call'] });
+
+  evaluate(`lastActivityByTab.set(${tab.id}, 1)`);
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: [] }, { tab: { id: tab.id } });
+  assert.deepEqual(plain(fake.storage.liveByTab), {});
+  assert.ok(evaluate(`lastActivityByTab.get(${tab.id})`) > 1);
+});
+
+test('pageState from several frames of a tab is merged and each frame clears only its own reasons', async () => {
+  const { fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({});
+  const frame = (frameId) => ({ tab: { id: tab.id }, frameId });
+
+  await fake.sendMessage({ type: 'pageState', unsaved: ['form'], live: [] }, frame(0));
+  await fake.sendMessage({ type: 'pageState', unsaved: ['beforeunload'], live: ['media'] }, frame(5));
+  assert.deepEqual(plain(fake.storage.unsavedByTab), { [tab.id]: ['form', 'beforeunload'] });
+  assert.deepEqual(plain(fake.storage.liveByTab), { [tab.id]: ['media'] });
+
+  // верхний документ без причин не снимает то, о чём сообщил iframe
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: [] }, frame(0));
+  assert.deepEqual(plain(fake.storage.unsavedByTab), { [tab.id]: ['beforeunload'] });
+  assert.deepEqual(plain(fake.storage.liveByTab), { [tab.id]: ['media'] });
+
+  evaluate(`lastActivityByTab.set(${tab.id}, 1)`);
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: [] }, frame(5));
+  assert.deepEqual(plain(fake.storage.unsavedByTab), {});
+  assert.deepEqual(plain(fake.storage.liveByTab), {});
+  assert.deepEqual(plain(fake.storage.pageStateFrames), {});
+  assert.ok(evaluate(`lastActivityByTab.get(${tab.id})`) > 1);
+});
+
+test('closing a tab forgets the page state of all its frames', async () => {
+  const { fake } = await loadServiceWorker();
+  const tab = fake.addTab({});
+  await fake.sendMessage({ type: 'pageState', unsaved: ['form'], live: ['call'] }, { tab: { id: tab.id }, frameId: 2 });
+
+  await fake.chrome.tabs.remove(tab.id);
+  await flush();
+
+  assert.deepEqual(plain(fake.storage.unsavedByTab), {});
+  assert.deepEqual(plain(fake.storage.liveByTab), {});
+  assert.deepEqual(plain(fake.storage.pageStateFrames), {});
+});
+
+test('getRestoreData and clearRestoreData read and drop the placeholder record', async () => {
+  const { fake } = await loadServiceWorker();
+  fake.storage.suspended_tok7 = { url: 'https://a.example/', title: 'A', tabId: 7, token: 'tok7' };
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'getRestoreData', token: 'tok7' })), { url: 'https://a.example/', title: 'A', tabId: 7, token: 'tok7' });
+  assert.equal(await fake.sendMessage({ type: 'getRestoreData', token: 'tok8' }), null);
+  assert.equal(await fake.sendMessage({ type: 'getRestoreData', tabId: 7 }), null);
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'clearRestoreData', token: 'tok7' })), { ok: true });
+  await flush();
+  assert.equal(fake.storage.suspended_tok7, undefined);
+});
+
+test('getRestoreSnapshot hands the snapshot out once and only to the same page', async () => {
+  const { fake } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://a.example/page' });
+  const snapshot = { scrollX: 0, scrollY: 500, fields: [] };
+  const sender = (url) => ({ tab: { id: tab.id, url }, url });
+
+  fake.storage[`restoreSnapshot_${tab.id}`] = { url: 'https://a.example/page#top', snapshot, ts: Date.now() };
+  assert.equal(await fake.sendMessage({ type: 'getRestoreSnapshot' }, sender('https://other.example/')), null);
+
+  fake.storage[`restoreSnapshot_${tab.id}`] = { url: 'https://a.example/page#top', snapshot, ts: Date.now() };
+  assert.equal(await fake.sendMessage({ type: 'getRestoreSnapshot' }, { ...sender('https://a.example/page'), frameId: 3 }), null);
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'getRestoreSnapshot' }, sender('https://a.example/page'))), snapshot);
+  assert.equal(await fake.sendMessage({ type: 'getRestoreSnapshot' }, sender('https://a.example/page')), null);
+});
+
+test('getStatus reports counters and the closed-and-saved limit', async () => {
+  const { fake } = await loadServiceWorker();
+  fake.addTab({ url: 'https://a.example/' });
+  fake.addTab({ url: 'chrome://settings/' });
+  fake.storage.closedAndSaved = [{ url: 'https://saved.example/', title: 'Saved', savedAt: 1 }];
+  fake.storage.lastAlarmRun = 1234;
+
+  const res = plain(await fake.sendMessage({ type: 'getStatus' }));
+
+  assert.deepEqual(res, { suspendedToday: 0, hibernatedCount: 1, lastAlarmRun: 1234, eligibleTabCount: 1, closedSavedMax: 2000 });
+  assert.equal(fake.badge.text, '1');
+});
+
+test('suspendCurrentTab suspends the active tab of the focused window', async () => {
+  const { fake } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://a.example/', active: true });
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'suspendCurrentTab' })), { ok: true });
+  assert.match(fake.tabs.get(tab.id).url, /suspended\.html\?tabId=/);
+  assert.equal(fake.storage.suspendedToday, 1);
+});
+
+test('suspendAllNow, restoreAllSuspended and closeAndSaveAll accept a scope', async () => {
+  const { fake } = await loadServiceWorker();
+  const here = fake.addTab({ windowId: 1, url: 'https://here.example/' });
+  const there = fake.addTab({ windowId: 2, url: 'https://there.example/' });
+
+  const suspended = plain(await fake.sendMessage({ type: 'suspendAllNow', scope: 'window', windowId: 1 }));
+  assert.deepEqual(suspended, { suspended: 1, skippedUnsaved: 0 });
+  assert.match(fake.tabs.get(here.id).url, /suspended\.html/);
+  assert.equal(fake.tabs.get(there.id).url, 'https://there.example/');
+
+  const restored = plain(await fake.sendMessage({ type: 'restoreAllSuspended', scope: 'otherWindows', windowId: 1 }));
+  assert.deepEqual(restored, { queued: 0 });
+
+  const closed = plain(await fake.sendMessage({ type: 'closeAndSaveAll', scope: 'otherWindows', windowId: 1 }));
+  assert.deepEqual(closed, { closed: 1, skippedUnsaved: 0 });
+  assert.equal(fake.tabs.has(there.id), false);
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.url), ['https://there.example/']);
+});
+
+test('unknown messages get no response', async () => {
+  const { fake } = await loadServiceWorker();
+  assert.equal(await fake.sendMessage({ type: 'noSuchMessage' }), undefined);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+const PLACEHOLDER_BASE = 'chrome-extension://testextensionid/suspended.html';
+
+const stubParams = (fake, id) => new URL(fake.tabs.get(id).url).searchParams;
+
+test('restore record follows its token, not the tab id, across a browser restart', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const original = fake.addTab({ url: 'https://a.example/long', title: 'A' });
+  await sw.suspendPlaceholder(original.id, original.url, original.title);
+  const stubUrl = fake.tabs.get(original.id).url;
+  // перезапуск: сессия возвращает ту же заглушку под новым id, а старый id достаётся обычной вкладке
+  fake.tabs.delete(original.id);
+  const reopened = fake.addTab({ url: stubUrl });
+
+  await sw.runRestoreAllSuspended();
+  assert.equal((await evaluate('restoreQueue.running')).restored, 1);
+  assert.equal(fake.tabs.get(reopened.id).url, 'https://a.example/long');
+});
+
+test('recoverPlaceholders moves old-ID stubs to the current extension', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.suspended_old = { url: 'https://old.example/', title: 'Old', tabId: 42, token: 'old' };
+  });
+  const tab = fake.addTab({ url: 'chrome-extension://oldid/suspended.html?tabId=42&t=old' });
+
+  const res = plain(await sw.recoverPlaceholders());
+
+  assert.deepEqual(res, { placeholders: 1, recovered: 0, unrecoverable: 0, removed: 0 });
+  assert.equal(fake.tabs.get(tab.id).url.split('?')[0], PLACEHOLDER_BASE);
+  assert.equal(stubParams(fake, tab.id).get('t'), 'old');
+  assert.equal(stubParams(fake, tab.id).get('tabId'), String(tab.id));
+  assert.equal(fake.storage.suspended_old.tabId, tab.id);
+});
+
+test('recoverPlaceholders matches orphan stubs to unreferenced records by URL or title', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.suspended_rec1 = { url: 'https://by-url.example/', title: 'By URL', tabId: 1, token: 'rec1' };
+    f.storage.suspended_rec2 = { url: 'https://by-title.example/?q=' + 'x'.repeat(100), title: 'By title', tabId: 2, token: 'rec2' };
+  });
+  const byUrl = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=7&t=lost1&u=${encodeURIComponent('https://by-url.example/')}` });
+  const byTitle = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=8&t=lost2`, title: 'By title' });
+  const fromFallback = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=9&t=lost3&u=${encodeURIComponent('https://fallback.example/')}` });
+  const dead = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=10&t=lost4`, title: 'Unknown' });
+
+  const res = plain(await sw.recoverPlaceholders());
+
+  assert.deepEqual(res, { placeholders: 4, recovered: 3, unrecoverable: 1, removed: 0 });
+  assert.equal(stubParams(fake, byUrl.id).get('t'), 'rec1');
+  assert.equal(stubParams(fake, byTitle.id).get('t'), 'rec2');
+  assert.equal(fake.storage.suspended_rec2.tabId, byTitle.id);
+  const fallbackToken = stubParams(fake, fromFallback.id).get('t');
+  assert.equal(fake.storage[`suspended_${fallbackToken}`].url, 'https://fallback.example/');
+  assert.equal(stubParams(fake, dead.id).get('t'), 'lost4');
+});
+
+test('a duplicated stub gets its own record so restoring one keeps the other', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://a.example/' });
+  await sw.suspendPlaceholder(tab.id, tab.url, tab.title);
+  const copy = fake.addTab({ url: fake.tabs.get(tab.id).url });
+
+  await sw.recoverPlaceholders();
+  const token = stubParams(fake, tab.id).get('t');
+  const copyToken = stubParams(fake, copy.id).get('t');
+  assert.notEqual(copyToken, token);
+
+  await sw.runRestoreAllSuspended();
+  assert.equal((await evaluate('restoreQueue.running')).restored, 2);
+  assert.equal(fake.tabs.get(copy.id).url, 'https://a.example/');
+});
+
+test('startup marks unreferenced records and clears the mark when a stub comes back', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.suspended_gone = { url: 'https://gone.example/', title: 'Gone', tabId: 3, token: 'gone' };
+    f.storage.suspended_back = { url: 'https://back.example/', title: 'Back', tabId: 4, token: 'back', orphanedAt: 1 };
+  });
+  const back = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=4&t=back` });
+
+  fake.chrome.runtime.onStartup.dispatch();
+  await flush(30);
+
+  assert.ok(fake.storage.suspended_gone.orphanedAt > 0);
+  const { writtenAt, ...record } = plain(fake.storage.suspended_back);
+  assert.ok(writtenAt > 0);
+  assert.deepEqual(record, { url: 'https://back.example/', title: 'Back', tabId: back.id, token: 'back' });
+});
+
+test('recoverPlaceholder message answers a stub that lost its record', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.suspended_rec = { url: 'https://a.example/', title: 'A', tabId: 1, token: 'rec' };
+  });
+  const tab = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=5&t=missing&u=${encodeURIComponent('https://a.example/')}` });
+
+  const item = plain(await fake.sendMessage({ type: 'recoverPlaceholder' }, { tab: { id: tab.id } }));
+
+  assert.equal(item.url, 'https://a.example/');
+  assert.equal(item.token, 'rec');
+  assert.equal(stubParams(fake, tab.id).get('t'), 'rec');
+});
+
+test('an orphaned record drops its thumbnail, snapshot and icon', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.suspended_gone = {
+      url: 'https://gone.example/', title: 'Gone', tabId: 3, token: 'gone',
+      thumbnail: 'data:image/jpeg;base64,AAAA', thumbnailTs: 5, snapshot: { scrollY: 10 }, favicon: 'data:image/png;base64,AA',
+    };
+  });
+
+  fake.fireAlarm('tabHibernateCheck');
+  await flush(30);
+
+  const record = plain(fake.storage.suspended_gone);
+  assert.ok(record.orphanedAt > 0);
+  delete record.orphanedAt;
+  assert.deepEqual(record, { url: 'https://gone.example/', title: 'Gone', tabId: 3, token: 'gone' });
+});
+
+test('pruneThumbnails removes orphaned records before thumbnails of open placeholders', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=1&t=live` });
+  fake.storage.suspended_live = { url: 'https://live.example/', title: 'Live', tabId: tab.id, token: 'live', thumbnail: 'x'.repeat(5000), thumbnailTs: 1 };
+  fake.storage.suspended_gone = { url: 'https://gone.example/', title: 'G'.repeat(5000), tabId: 9, token: 'gone', orphanedAt: 2 };
+  const used = await fake.chrome.storage.local.getBytesInUse(null);
+  // Превышение меньше записи без ссылок — её удаления достаточно.
+  fake.chrome.storage.local.QUOTA_BYTES = (used - 1000) / evaluate('THUMBNAIL_STORAGE_SHARE');
+
+  await sw.pruneThumbnails();
+
+  assert.equal(fake.storage.suspended_gone, undefined);
+  assert.equal(fake.storage.suspended_live.thumbnail.length, 5000);
+});
+
+test('turning page previews off deletes cached screenshots of open tabs', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.settings = { thumbnails: true };
+  });
+  const tab = fake.addTab({ url: 'https://a.example/' });
+  fake.storage[`thumb_${tab.id}`] = { dataUrl: 'data:image/jpeg;base64,AAAA', url: 'https://a.example/', ts: 1 };
+
+  await fake.chrome.storage.local.set({ settings: { thumbnails: true, timeoutMinutes: 30 } });
+  await flush();
+  assert.ok(fake.storage[`thumb_${tab.id}`]);
+
+  await fake.chrome.storage.local.set({ settings: { thumbnails: false } });
+  await flush(20);
+  assert.equal(fake.storage[`thumb_${tab.id}`], undefined);
+});
+
+test('recovery requests from several stubs and startup run one after another and relink each stub once', async () => {
+  const { fake } = await loadServiceWorker();
+  const stubs = ['a', 'b', 'c'].map((x) => fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=9&t=lost-${x}&u=${encodeURIComponent(`https://${x}.example/`)}` }));
+  const untouched = fake.addTab({ url: `${PLACEHOLDER_BASE}?tabId=9&t=lost-d&u=${encodeURIComponent('https://d.example/')}` });
+  const updates = [];
+  const update = fake.chrome.tabs.update;
+  fake.chrome.tabs.update = (id, props) => {
+    updates.push(id);
+    return update(id, props);
+  };
+
+  const items = await Promise.all(stubs.map((tab) => fake.sendMessage({ type: 'recoverPlaceholder' }, { tab: { id: tab.id } })));
+  fake.chrome.runtime.onStartup.dispatch();
+  await flush(40);
+
+  assert.deepEqual(items.map((item) => item.url), ['https://a.example/', 'https://b.example/', 'https://c.example/']);
+  assert.deepEqual(updates.sort((a, b) => a - b), [...stubs, untouched].map((t) => t.id));
+  assert.equal(Object.keys(fake.storage).filter((k) => k.startsWith('suspended_')).length, 4);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush } = require('./helpers/load_service_worker');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Вкладка-заглушка рядом с активной вкладкой окна 1. */
+async function setup(settings) {
+  const loaded = await loadServiceWorker((f) => {
+    f.storage.settings = settings;
+  });
+  const { sw, fake } = loaded;
+  const active = fake.addTab({ windowId: 1, url: 'https://active.example/', active: true });
+  const tab = fake.addTab({ windowId: 1, url: 'https://a.example/' });
+  assert.equal((await sw.runSuspendTab(fake.tabs.get(tab.id))).ok, true);
+  await flush();
+  return { ...loaded, active, tab };
+}
+
+test('activating a placeholder restores it after the delay', async () => {
+  const { fake, tab } = await setup({ restoreOnFocus: true, restoreOnFocusDelayMs: 0 });
+
+  await fake.chrome.tabs.update(tab.id, { active: true });
+  await flush();
+  await wait(10);
+  await flush();
+
+  assert.equal(fake.tabs.get(tab.id).url, 'https://a.example/');
+  assert.equal(fake.storage[`suspended_${tab.id}`], undefined);
+});
+
+test('switching away before the delay keeps the placeholder', async () => {
+  const { fake, active, tab } = await setup({ restoreOnFocus: true, restoreOnFocusDelayMs: 50 });
+
+  await fake.chrome.tabs.update(tab.id, { active: true });
+  await flush();
+  await fake.chrome.tabs.update(active.id, { active: true });
+  await flush();
+  await wait(80);
+  await flush();
+
+  assert.match(fake.tabs.get(tab.id).url, /suspended\.html/);
+});
+
+test('placeholders stay suspended on focus when the option is off', async () => {
+  const { fake, tab } = await setup({ restoreOnFocusDelayMs: 0 });
+
+  await fake.chrome.tabs.update(tab.id, { active: true });
+  await flush();
+  await wait(10);
+  await flush();
+
+  assert.match(fake.tabs.get(tab.id).url, /suspended\.html/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+const isPlaceholder = (fake, id) => /suspended\.html/.test(fake.tabs.get(id).url);
+
+/** Вкладки из specs, приостановленные «Suspend all»; активная вкладка окна 1 остаётся обычной. */
+async function setupPlaceholders(specs, settings = {}) {
+  const loaded = await loadServiceWorker((f) => {
+    f.storage.settings = settings;
+  });
+  const { sw, fake } = loaded;
+  const current = fake.addTab({ windowId: 1, url: 'https://current.example/', active: true });
+  const tabs = specs.map((spec) => fake.addTab(spec));
+  assert.equal((await sw.runSuspendAllNow()).suspended, tabs.length);
+  await flush();
+  return { ...loaded, current, tabs };
+}
+
+const loadingIds = (fake) => [...fake.tabs.values()].filter((t) => t.status === 'loading').map((t) => t.id);
+
+test('restore queue loads at most three tabs at a time, current window first, and reports progress', async () => {
+  const { sw, fake, evaluate, tabs } = await setupPlaceholders([
+    { windowId: 2, url: 'https://other-1.example/' },
+    { windowId: 2, url: 'https://other-2.example/' },
+    { windowId: 1, url: 'https://here-1.example/' },
+    { windowId: 1, url: 'https://here-2.example/' },
+    { windowId: 1, url: 'https://here-3.example/' },
+  ]);
+  const [other1, other2, here1, here2, here3] = tabs;
+  fake.tabOptions.holdLoading = true;
+
+  // ответ — сразу после постановки в очередь, не дожидаясь загрузки
+  assert.deepEqual(plain(await sw.runRestoreAllSuspended({ windowId: 1 })), { queued: 5 });
+  const done = evaluate('restoreQueue.running');
+  await flush();
+  assert.deepEqual(loadingIds(fake), [here1.id, here2.id, here3.id]);
+  assert.deepEqual(plain(fake.storage.restoreQueueState), { active: true, total: 5, done: 0, restored: 0, cancelled: false });
+
+  fake.completeTab(here2.id);
+  await flush();
+  assert.equal(isPlaceholder(fake, other1.id), false);
+  assert.equal(isPlaceholder(fake, other2.id), true);
+  assert.equal(fake.storage.restoreQueueState.done, 1);
+
+  for (const tab of tabs) fake.completeTab(tab.id);
+  await flush();
+  fake.completeTab(other2.id);
+
+  assert.deepEqual(plain(await done), { restored: 5, cancelled: false });
+  assert.deepEqual(plain(fake.storage.restoreQueueState), { active: false, total: 5, done: 5, restored: 5, cancelled: false });
+});
+
+test('cancel drops the pending tabs without waiting for the ones still loading', async () => {
+  const { sw, fake, evaluate, tabs } = await setupPlaceholders([1, 2, 3, 4, 5].map((n) => ({ windowId: 1, url: `https://t${n}.example/` })));
+  fake.tabOptions.holdLoading = true;
+
+  await sw.runRestoreAllSuspended({ windowId: 1 });
+  const done = evaluate('restoreQueue.running');
+  await flush();
+  assert.equal(loadingIds(fake).length, 3);
+
+  // загружающиеся вкладки так и не дошли до complete — отмена и очередь всё равно завершаются
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'cancelRestoreQueue' })), { ok: true });
+  assert.deepEqual(plain(await done), { restored: 3, cancelled: true });
+  assert.equal(tabs.filter((t) => isPlaceholder(fake, t.id)).length, 2);
+  assert.equal(fake.storage.restoreQueueState.active, false);
+});
+
+test('lazy restore all marks placeholders and restores each one when it is activated', async () => {
+  const { sw, fake, tabs } = await setupPlaceholders([
+    { windowId: 1, url: 'https://a.example/' },
+    { windowId: 1, url: 'https://b.example/' },
+  ], { restoreAllMode: 'lazy' });
+  const [a, b] = tabs;
+
+  assert.deepEqual(plain(await sw.runRestoreAllSuspended()), { queued: 0, marked: 2 });
+  assert.ok(isPlaceholder(fake, a.id) && isPlaceholder(fake, b.id));
+
+  await fake.chrome.tabs.update(a.id, { active: true });
+  await flush(20);
+
+  assert.equal(fake.tabs.get(a.id).url, 'https://a.example/');
+  assert.equal(isPlaceholder(fake, b.id), true);
+});
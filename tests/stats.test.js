@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+/** Статистика за сегодня из storage. */
+function today(fake, evaluate) {
+  return plain(fake.storage.statsDaily)[evaluate('todayDateString()')];
+}
+
+test('manual suspend counts mode, trigger, domain and estimated memory', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://a.example/page', title: 'A' });
+
+  assert.equal((await sw.runSuspendTab(tab)).ok, true);
+  await flush();
+
+  const day = today(fake, evaluate);
+  assert.deepEqual(day.suspended, { discard: 0, placeholder: 1 });
+  assert.equal(day.triggers.manual, 1);
+  assert.equal(day.domains['a.example'].suspended, 1);
+  assert.deepEqual(day.memorySavedMb, { estimated: evaluate('ESTIMATED_TAB_MEMORY_MB - PLACEHOLDER_TAB_MEMORY_MB') });
+  assert.equal(plain(fake.storage.suspendStarts)[tab.id].host, 'a.example');
+});
+
+test('restoring a placeholder counts a restore and the time spent suspended', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://a.example/' });
+  await sw.runSuspendTab(tab);
+  await flush();
+  evaluate('suspendStarts').get(tab.id).at -= 60000;
+
+  await sw.runRestoreAllSuspended();
+  await evaluate('restoreQueue.running');
+  await flush();
+
+  const day = today(fake, evaluate);
+  assert.equal(day.restored, 1);
+  assert.ok(day.suspendedMs >= 60000);
+  assert.equal(day.domains['a.example'].restored, 1);
+  assert.deepEqual(plain(fake.storage.suspendStarts), {});
+});
+
+test('closing a suspended tab counts its time but not a restore', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: 'a.example', action: 'discard' }];
+  fake.addTab({ url: 'https://active.example/', active: true });
+  const a = fake.addTab({ url: 'https://a.example/' });
+  const b = fake.addTab({ url: 'https://b.example/' });
+
+  assert.equal((await sw.runSuspendAllNow()).suspended, 2);
+  await flush();
+  await fake.chrome.tabs.remove(a.id);
+  await flush();
+
+  const day = today(fake, evaluate);
+  assert.deepEqual(day.suspended, { discard: 1, placeholder: 1 });
+  assert.equal(day.triggers.bulk, 2);
+  assert.equal(day.restored, 0);
+  assert.deepEqual(Object.keys(plain(fake.storage.suspendStarts)), [String(b.id)]);
+});
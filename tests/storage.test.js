@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+test('runStorageMigrations upgrades unversioned data and keeps user settings', async () => {
+  const { sw, fake, evaluate } = await loadScripts(['storage.js'], (f) => {
+    f.storage.settings = { enabled: false, timeoutMinutes: 30, mode: 'discard' };
+    f.storage.siteRules = [{ pattern: 'a.example', action: 'never' }, { pattern: '', action: 'never' }, { pattern: 'b.example', action: 'bogus' }];
+    f.storage.closedAndSaved = [{ url: 'https://a.example/', title: 'A', savedAt: 1 }, null, { title: 'no url' }];
+  });
+
+  const version = evaluate('STORAGE_VERSION');
+  assert.equal(await sw.runStorageMigrations(), version);
+
+  assert.equal(fake.storage.storageVersion, version);
+  const settings = plain(fake.storage.settings);
+  assert.equal(settings.enabled, false);
+  assert.equal(settings.timeoutMinutes, 30);
+  assert.equal(settings.mode, 'discard');
+  assert.equal(settings.trigger, 'timer');
+  assert.deepEqual(plain(fake.storage.siteRules), [{ pattern: 'a.example', action: 'never' }]);
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.url), ['https://a.example/']);
+});
+
+test('migration to version 3 gives every closed-and-saved entry an id', async () => {
+  const { sw, fake, evaluate } = await loadScripts(['storage.js'], (f) => {
+    f.storage.storageVersion = 2;
+    f.storage.closedAndSaved = [
+      { url: 'https://a.example/', title: 'A', savedAt: 5 },
+      { url: 'https://a.example/', title: 'A', savedAt: 5 },
+    ];
+  });
+
+  assert.equal(await sw.runStorageMigrations(), evaluate('STORAGE_VERSION'));
+
+  const ids = plain(fake.storage.closedAndSaved).map((x) => x.id);
+  assert.equal(ids.length, 2);
+  assert.ok(ids.every((id) => typeof id === 'string' && id));
+  assert.notEqual(ids[0], ids[1]);
+});
+
+test('migration to version 3 records the ids of closed-and-saved entries in the undo journal', async () => {
+  const { sw, fake } = await loadScripts(['storage.js'], (f) => {
+    f.storage.storageVersion = 2;
+    f.storage.closedAndSaved = [
+      { url: 'https://a.example/', title: 'A', savedAt: 5 },
+      { url: 'https://b.example/', title: 'B', savedAt: 4 },
+    ];
+    f.storage.actionJournal = [{ id: 'j1', type: 'closeAndSave', at: 5, savedAt: 5, tabs: [{ url: 'https://a.example/' }] }];
+  });
+
+  await sw.runStorageMigrations();
+
+  const [a] = plain(fake.storage.closedAndSaved);
+  assert.deepEqual(plain(fake.storage.actionJournal)[0].closedIds, [a.id]);
+});
+
+test('migration to version 4 moves legacy placeholder records under a token and points open stubs at it', async () => {
+  const { sw, fake } = await loadScripts(['storage.js'], (f) => {
+    f.storage.storageVersion = 3;
+    f.storage.suspended_42 = { url: 'https://legacy.example/', title: 'Legacy', tabId: 42 };
+  });
+  const tab = fake.addTab({ url: 'chrome-extension://oldid/suspended.html?tabId=42' });
+
+  await sw.runStorageMigrations();
+
+  assert.equal(fake.storage.suspended_42, undefined);
+  const token = new URL(fake.tabs.get(tab.id).url).searchParams.get('t');
+  assert.ok(token);
+  const { writtenAt, ...record } = plain(fake.storage[`suspended_${token}`]);
+  assert.ok(writtenAt > 0);
+  assert.deepEqual(record, { url: 'https://legacy.example/', title: 'Legacy', tabId: 42, token });
+});
+
+test('runStorageMigrations does not touch data written by a newer version', async () => {
+  const { sw, fake } = await loadScripts(['storage.js'], (f) => {
+    f.storage.storageVersion = 999;
+    f.storage.settings = { futureField: true };
+  });
+
+  assert.equal(await sw.runStorageMigrations(), 999);
+  assert.deepEqual(plain(fake.storage.settings), { futureField: true });
+});
+
+test('extension update keeps existing settings instead of resetting them', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.settings = { enabled: true, timeoutMinutes: 60, mode: 'discard', thumbnails: true };
+  });
+
+  fake.chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+  await flush();
+
+  const settings = plain(fake.storage.settings);
+  assert.equal(settings.timeoutMinutes, 60);
+  assert.equal(settings.mode, 'discard');
+  assert.equal(settings.thumbnails, true);
+  assert.ok(fake.storage.storageVersion >= 1);
+});
+
+test('readSettings fills defaults and rejects out-of-range values', async () => {
+  const { sw, fake, evaluate } = await loadScripts(['storage.js']);
+  fake.storage.settings = { timeoutMinutes: -5, memoryLowPercent: 150, memoryTargetPercent: 10, bulkScope: 'nowhere' };
+
+  const settings = plain(await sw.readSettings());
+
+  assert.equal(settings.timeoutMinutes, evaluate('INACTIVITY_MINUTES'));
+  assert.equal(settings.memoryLowPercent, evaluate('MEMORY_LOW_PERCENT'));
+  // Цель не может быть ниже порога.
+  assert.equal(settings.memoryTargetPercent, settings.memoryLowPercent);
+  assert.equal(settings.bulkScope, 'all');
+  // Превью заглушки — скриншоты страниц, поэтому только по явному согласию.
+  assert.equal(settings.thumbnails, false);
+});
+
+test('writeClosedAndSaved gives every entry a unique id and keeps existing ones', async () => {
+  const { sw, fake } = await loadScripts(['storage.js']);
+  fake.storage.closedAndSaved = [{ id: 'kept', url: 'https://a.example/', savedAt: 1 }];
+
+  // Одна и та же вкладка дважды с одним savedAt и запись с уже занятым id.
+  await sw.prependClosedAndSaved([
+    { url: 'https://b.example/', savedAt: 2 },
+    { url: 'https://b.example/', savedAt: 2 },
+    { id: 'kept', url: 'https://c.example/', savedAt: 2 },
+  ]);
+
+  const ids = plain(fake.storage.closedAndSaved).map((x) => x.id);
+  assert.equal(new Set(ids).size, 4);
+  assert.ok(ids.every((id) => typeof id === 'string' && id));
+  assert.equal(ids[2], 'kept');
+});
+
+test('prependClosedAndSaved keeps newest entries first and caps the list', async () => {
+  const { sw, fake, evaluate } = await loadScripts(['storage.js']);
+  const max = evaluate('CLOSED_SAVED_MAX');
+  fake.storage.closedAndSaved = Array.from({ length: max }, (_, i) => ({ url: `https://old${i}.example/` }));
+
+  await sw.prependClosedAndSaved([{ url: 'https://new.example/', title: 'New', savedAt: 2 }]);
+
+  assert.equal(fake.storage.closedAndSaved.length, max);
+  assert.equal(fake.storage.closedAndSaved[0].url, 'https://new.example/');
+  assert.equal(fake.storage.closedAndSaved.at(-1).url, `https://old${max - 2}.example/`);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+const PLACEHOLDER_BASE = 'chrome-extension://testextensionid/suspended.html';
+
+test('getSuspendBlockReason: active, pinned, audible, system pages and existing placeholders are blocked', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const cases = [
+    [{ active: true }, 'active'],
+    [{ pinned: true }, 'pinned'],
+    [{ audible: true }, 'audible'],
+    [{ incognito: true }, 'incognito'],
+    [{ url: 'chrome://settings/' }, 'system'],
+    [{ url: `${PLACEHOLDER_BASE}?tabId=5` }, 'placeholder'],
+    [{ url: 'chrome-extension://oldid/suspended.html?tabId=5' }, 'placeholder'],
+    [{}, null],
+  ];
+  for (const [props, expected] of cases) {
+    const tab = fake.addTab(props);
+    assert.equal(await sw.getSuspendBlockReason(tab), expected, JSON.stringify(props));
+  }
+  const active = fake.addTab({ active: true });
+  assert.equal(await sw.getSuspendBlockReason(active, { allowActive: true }), null);
+});
+
+test('getSuspendBlockReason: site rules and unsaved input block suspension', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: '*.google.com', action: 'never' }];
+  const mail = fake.addTab({ url: 'https://mail.google.com/inbox' });
+  const other = fake.addTab({ url: 'https://example.org/' });
+  assert.equal(await sw.getSuspendBlockReason(mail), 'rule');
+  assert.equal(await sw.getSuspendBlockReason(other), null);
+
+  await fake.sendMessage({ type: 'pageState', unsaved: ['form'] }, { tab: { id: other.id } });
+  await sw.getStoredState();
+  assert.equal(await sw.getSuspendBlockReason(other), 'unsaved');
+
+  await fake.sendMessage({ type: 'pageState', unsaved: [] }, { tab: { id: other.id } });
+  await sw.getStoredState();
+  assert.equal(await sw.getSuspendBlockReason(other), null);
+});
+
+test('getSuspendBlockReason: playing media and calls block suspension, also for the timer', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const video = fake.addTab({ url: 'https://video.example/' });
+  const call = fake.addTab({ url: 'https://meet.example/' });
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: ['media'] }, { tab: { id: video.id } });
+  await fake.sendMessage({ type: 'pageState', unsaved: [], live: ['media', 'call'] }, { tab: { id: call.id } });
+
+  await sw.getStoredState();
+  assert.equal(await sw.getSuspendBlockReason(video), 'media');
+  assert.equal(await sw.getSuspendBlockReason(call), 'call');
+
+  evaluate(`lastActivityByTab.set(${video.id}, 1); lastActivityByTab.set(${call.id}, 1)`);
+  const tabs = [fake.tabs.get(video.id), fake.tabs.get(call.id)];
+  assert.deepEqual(plain(await sw.suspendInactiveTabs(tabs, { timeoutMinutes: 1, mode: 'placeholder' }, [])), []);
+  assert.equal(fake.tabs.get(video.id).url, 'https://video.example/');
+
+  await fake.chrome.tabs.remove(video.id);
+  await flush();
+  assert.deepEqual(Object.keys(plain(fake.storage.liveByTab)), [String(call.id)]);
+});
+
+test('getTabPolicy: rule mode and timeout override the global settings', async () => {
+  const { sw } = await loadServiceWorker();
+  const settings = { timeoutMinutes: 5, mode: 'placeholder' };
+  const rules = [
+    { pattern: 'youtube.com', action: 'discard' },
+    { pattern: 'github.com/org/*', action: 'timeout', timeoutMinutes: 60 },
+  ];
+  assert.equal(sw.getTabPolicy({ url: 'https://www.youtube.com/watch' }, settings, rules).mode, 'discard');
+  assert.equal(sw.getTabPolicy({ url: 'https://github.com/org/repo' }, settings, rules).timeoutMinutes, 60);
+  assert.equal(sw.getTabPolicy({ url: 'https://github.com/other' }, settings, rules).timeoutMinutes, 5);
+});
+
+test('suspendPlaceholder stores the restore record with snapshot and redirects to the stub', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const tab = fake.addTab({ url: 'https://example.com/article', title: 'Article' });
+  const snapshot = { url: tab.url, hash: '#part-2', scrollX: 0, scrollY: 800, fields: [] };
+  fake.contentHandlers.set(tab.id, (msg) => (msg.type === 'captureSnapshot' ? snapshot : null));
+
+  assert.equal(await sw.suspendPlaceholder(tab.id, tab.url, tab.title), true);
+
+  const stubUrl = new URL(fake.tabs.get(tab.id).url);
+  const token = stubUrl.searchParams.get('t');
+  const { writtenAt, ...record } = plain(fake.storage[`suspended_${token}`]);
+  assert.ok(writtenAt > 0);
+  assert.deepEqual(record, {
+    url: 'https://example.com/article#part-2',
+    title: 'Article',
+    tabId: tab.id,
+    token,
+    snapshot,
+  });
+  assert.equal(stubUrl.href.split('?')[0], PLACEHOLDER_BASE);
+  assert.equal(stubUrl.searchParams.get('tabId'), String(tab.id));
+  assert.equal(stubUrl.searchParams.get('u'), 'https://example.com/article#part-2');
+  assert.equal(fake.storage.suspendedToday, 1);
+});
+
+test('suspendPlaceholder leaves out the URL fallback for very long URLs and fails for closed tabs', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  const longUrl = 'https://example.com/?q=' + 'x'.repeat(3000);
+  const tab = fake.addTab({ url: longUrl });
+  assert.equal(await sw.suspendPlaceholder(tab.id, longUrl, ''), true);
+  const stubParams = new URL(fake.tabs.get(tab.id).url).searchParams;
+  assert.equal(stubParams.has('u'), false);
+  assert.equal(fake.storage[`suspended_${stubParams.get('t')}`].url, longUrl);
+
+  const keys = Object.keys(fake.storage).length;
+  assert.equal(await sw.suspendPlaceholder(999, 'https://example.com/', ''), false);
+  assert.equal(Object.keys(fake.storage).length, keys);
+});
+
+test('runSuspendTab explains why a tab cannot be suspended', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: 'example.com', action: 'never' }];
+  const res = await sw.runSuspendTab(fake.addTab({ url: 'https://example.com/' }));
+  assert.deepEqual(plain(res), { ok: false, reason: 'Never suspended by rule: example.com', skipReason: 'rule' });
+
+  const pinned = await sw.runSuspendTab(fake.addTab({ url: 'https://example.org/', pinned: true }));
+  assert.equal(pinned.skipReason, 'pinned');
+});
+
+test('runSuspendTab discards the tab when a site rule forces Discard', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: 'example.com', action: 'discard' }];
+  const tab = fake.addTab({ url: 'https://example.com/' });
+  assert.equal((await sw.runSuspendTab(tab)).ok, true);
+  assert.equal(fake.tabs.get(tab.id).discarded, true);
+  assert.equal(fake.tabs.get(tab.id).url, 'https://example.com/');
+});
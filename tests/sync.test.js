@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+/** Как другое устройство: ключи в sync, onChanged 'sync' приходит в SW. */
+async function remoteSet(fake, items) {
+  await fake.chrome.storage.sync.set(items);
+  await flush(20);
+}
+
+/** Данные уже перенесены в sync миграцией — изменения sync применяются к локальной копии. */
+const migrated = (f) => {
+  f.storage.storageVersion = 2;
+};
+
+test('settings are written to sync field by field and merged with changes from another device', async () => {
+  const { sw, fake } = await loadServiceWorker(migrated);
+
+  await sw.updateSettings({ timeoutMinutes: 30, mode: 'placeholder' });
+  assert.deepEqual(plain(fake.syncStorage), { setting_timeoutMinutes: 30 });
+
+  await remoteSet(fake, { setting_mode: 'discard' });
+
+  const settings = plain(fake.storage.settings);
+  assert.equal(settings.timeoutMinutes, 30);
+  assert.equal(settings.mode, 'discard');
+});
+
+test('site rules sync per pattern: local edits touch only changed rules, remote edits merge in order', async () => {
+  const { sw, fake } = await loadServiceWorker(migrated);
+  await sw.writeSiteRules([{ pattern: 'a.example', action: 'never' }, { pattern: 'b.example', action: 'discard' }]);
+  const before = plain(fake.syncStorage);
+
+  await sw.addSiteRule({ pattern: 'new.example', action: 'never' });
+
+  assert.deepEqual(plain(fake.syncStorage['siteRule_a.example']), before['siteRule_a.example']);
+  assert.ok(fake.syncStorage['siteRule_new.example'].order < before['siteRule_a.example'].order);
+
+  await remoteSet(fake, { 'siteRule_c.example': { pattern: 'c.example', action: 'timeout', timeoutMinutes: 60, order: 10 } });
+  await fake.chrome.storage.sync.remove('siteRule_a.example');
+  await flush(20);
+
+  assert.deepEqual(plain(fake.storage.siteRules), [
+    { pattern: 'new.example', action: 'never' },
+    { pattern: 'b.example', action: 'discard' },
+    { pattern: 'c.example', action: 'timeout', timeoutMinutes: 60 },
+  ]);
+});
+
+test('a failed sync write keeps local settings and rules and is retried before applying remote changes', async () => {
+  const { sw, fake } = await loadServiceWorker(migrated);
+  fake.syncOptions.fail = true;
+
+  await sw.updateSettings({ timeoutMinutes: 45 });
+  await sw.writeSiteRules([{ pattern: 'a.example', action: 'never' }]);
+  assert.deepEqual(plain(fake.storage.syncPending), { settings: ['timeoutMinutes'], rules: true });
+
+  fake.syncOptions.fail = false;
+  await remoteSet(fake, { setting_mode: 'discard' });
+
+  const settings = plain(fake.storage.settings);
+  assert.equal(settings.timeoutMinutes, 45);
+  assert.equal(settings.mode, 'discard');
+  assert.deepEqual(plain(fake.storage.siteRules), [{ pattern: 'a.example', action: 'never' }]);
+  assert.equal(fake.syncStorage.setting_timeoutMinutes, 45);
+  assert.ok(fake.syncStorage['siteRule_a.example']);
+  assert.equal(fake.storage.syncPending, undefined);
+});
+
+test('remote changes do not replace local settings before the migration to sync has run', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.storageVersion = 1;
+    f.storage.settings = { timeoutMinutes: 30 };
+    f.storage.siteRules = [{ pattern: 'a.example', action: 'never' }];
+  });
+
+  await remoteSet(fake, { setting_mode: 'discard' });
+
+  assert.deepEqual(plain(fake.storage.settings), { timeoutMinutes: 30 });
+  assert.deepEqual(plain(fake.storage.siteRules), [{ pattern: 'a.example', action: 'never' }]);
+});
+
+test('migration moves local settings and rules to sync without overriding another device', async () => {
+  const { sw, fake, evaluate } = await loadScripts(['storage.js'], (f) => {
+    f.storage.storageVersion = 1;
+    f.storage.settings = { timeoutMinutes: 30, mode: 'discard' };
+    f.storage.siteRules = [{ pattern: 'local.example', action: 'never' }, { pattern: 'both.example', action: 'never' }];
+    f.syncStorage.setting_timeoutMinutes = 60;
+    f.syncStorage['siteRule_both.example'] = { pattern: 'both.example', action: 'discard', order: 0 };
+  });
+
+  assert.equal(await sw.runStorageMigrations(), evaluate('STORAGE_VERSION'));
+
+  assert.equal(fake.syncStorage.setting_timeoutMinutes, 60);
+  assert.equal(fake.syncStorage.setting_mode, 'discard');
+  assert.equal('setting_enabled' in fake.syncStorage, false);
+  assert.equal(fake.storage.settings.timeoutMinutes, 60);
+  assert.equal(fake.storage.settings.mode, 'discard');
+  assert.deepEqual(plain(fake.storage.siteRules), [
+    { pattern: 'both.example', action: 'discard' },
+    { pattern: 'local.example', action: 'never' },
+  ]);
+});
+
+test('history is pushed to sync only when enabled, in chunks that fit the item quota', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker((f) => {
+    f.storage.syncDevice = { id: 'laptop', label: 'Laptop' };
+    f.storage.closedAndSaved = [
+      { url: 'https://remote.example/', title: 'From desktop', savedAt: 9999, device: { id: 'desktop', label: 'Desktop' } },
+      ...Array.from({ length: 400 }, (_, i) => ({ url: `https://a.example/page/${i}`, title: 'Т'.repeat(200), savedAt: 1000 - i })),
+    ];
+  });
+
+  assert.deepEqual(plain(await sw.pushClosedAndSavedToSync()), { ok: true, chunks: 0 });
+  assert.deepEqual(plain(fake.syncStorage), {});
+
+  await sw.updateSettings({ syncClosedAndSaved: true });
+  const res = plain(await sw.pushClosedAndSavedToSync());
+
+  assert.equal(res.ok, true);
+  assert.equal(res.chunks, evaluate('SYNC_CLOSED_CHUNKS_MAX'));
+  const meta = fake.syncStorage.closedSync_laptop;
+  assert.equal(meta.label, 'Laptop');
+  const items = [];
+  for (let i = 0; i < meta.chunks; i++) {
+    const key = `closedSync_laptop_${i}`;
+    assert.ok(Buffer.byteLength(key + JSON.stringify(fake.syncStorage[key])) <= fake.chrome.storage.sync.QUOTA_BYTES_PER_ITEM);
+    items.push(...fake.syncStorage[key].items);
+  }
+  assert.deepEqual(items[0], ['https://a.example/page/0', 'Т'.repeat(evaluate('SYNC_TITLE_MAX')), 1000]);
+  assert.ok(!items.some(([url]) => url === 'https://remote.example/'));
+
+  await sw.updateSettings({ syncClosedAndSaved: false });
+  await sw.pushClosedAndSavedToSync();
+  assert.deepEqual(Object.keys(fake.syncStorage).filter((k) => k.startsWith('closedSync_')), []);
+});
+
+test('history shares the sync budget with other devices and drops devices that went quiet', async () => {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  /** История другого устройства из одной части почти в SYNC_CHUNK_BYTES. */
+  const otherDevice = (id, updatedAt) => ({
+    [`closedSync_${id}`]: { label: id, rev: 1, chunks: 1, updatedAt },
+    [`closedSync_${id}_0`]: { rev: 1, items: [['https://x.example/', 'x'.repeat(7800), 1]] },
+  });
+  const { sw, fake, evaluate } = await loadServiceWorker((f) => {
+    f.storage.settings = { syncClosedAndSaved: true };
+    f.storage.syncDevice = { id: 'laptop', label: 'Laptop' };
+    f.storage.closedAndSaved = Array.from({ length: 400 }, (_, i) => ({ url: `https://a.example/page/${i}`, title: 'T'.repeat(80), savedAt: 1000 - i }));
+    Object.assign(f.syncStorage, ...['d1', 'd2', 'd3', 'd4', 'd5', 'd6'].map((id) => otherDevice(id, now - day)), otherDevice('gone', now - 100 * day));
+  });
+
+  const res = plain(await sw.pushClosedAndSavedToSync());
+
+  assert.deepEqual(res, { ok: true, chunks: 1 });
+  assert.equal('closedSync_gone' in fake.syncStorage, false);
+  assert.equal('closedSync_gone_0' in fake.syncStorage, false);
+  const historyBytes = Object.entries(fake.syncStorage)
+    .filter(([key]) => key.startsWith('closedSync_'))
+    .reduce((sum, [key, value]) => sum + Buffer.byteLength(key + JSON.stringify(value)), 0);
+  assert.ok(historyBytes <= evaluate('SYNC_CLOSED_BUDGET_BYTES'));
+
+  // Ещё одно устройство — своей доли на часть уже нет, история этого устройства уходит из sync.
+  Object.assign(fake.syncStorage, otherDevice('d7', now));
+  assert.equal((await sw.pushClosedAndSavedToSync()).chunks, 0);
+  assert.equal(fake.syncStorage.closedSync_laptop.chunks, 0);
+  assert.equal('closedSync_laptop_0' in fake.syncStorage, false);
+});
+
+test('an unchanged history header is confirmed again after the refresh interval', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker((f) => {
+    f.storage.settings = { syncClosedAndSaved: true };
+    f.storage.syncDevice = { id: 'laptop', label: 'Laptop' };
+    f.storage.closedAndSaved = [{ url: 'https://a.example/', title: 'A', savedAt: 1 }];
+  });
+  await sw.pushClosedAndSavedToSync();
+  const first = plain(fake.syncStorage.closedSync_laptop);
+
+  await sw.pushClosedAndSavedToSync();
+  assert.deepEqual(plain(fake.syncStorage.closedSync_laptop), first);
+
+  fake.syncStorage.closedSync_laptop.updatedAt -= evaluate('SYNC_DEVICE_REFRESH_MS');
+  await sw.pushClosedAndSavedToSync();
+  assert.ok(fake.syncStorage.closedSync_laptop.updatedAt > first.updatedAt - evaluate('SYNC_DEVICE_REFRESH_MS'));
+});
+
+test('history from another device is imported with its label once, and deleted entries stay deleted', async () => {
+  const { sw, fake } = await loadServiceWorker((f) => {
+    f.storage.settings = { syncClosedAndSaved: true };
+    f.storage.syncDevice = { id: 'desktop', label: 'Desktop' };
+    f.storage.closedAndSaved = [{ url: 'https://local.example/', title: 'Local', savedAt: 150 }];
+  });
+  const remote = (rev, items) => ({ closedSync_laptop: { label: 'Laptop', rev, chunks: 1 }, closedSync_laptop_0: { rev, items } });
+
+  // Часть ещё не доехала (старый rev) — ждём.
+  await remoteSet(fake, { closedSync_laptop: { label: 'Laptop', rev: 2, chunks: 1 }, closedSync_laptop_0: { rev: 1, items: [] } });
+  assert.equal(fake.storage.closedAndSaved.length, 1);
+
+  await remoteSet(fake, remote(2, [['https://b.example/', 'B', 200], ['https://a.example/', 'A', 100]]));
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => [x.url, x.device && x.device.label]), [
+    ['https://b.example/', 'Laptop'],
+    ['https://local.example/', undefined],
+    ['https://a.example/', 'Laptop'],
+  ]);
+
+  fake.storage.closedAndSaved = fake.storage.closedAndSaved.filter((x) => x.url !== 'https://b.example/');
+  await remoteSet(fake, remote(3, [['https://c.example/', 'C', 300], ['https://b.example/', 'B', 200], ['https://a.example/', 'A', 100]]));
+
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.url), ['https://c.example/', 'https://local.example/', 'https://a.example/']);
+  assert.deepEqual(plain(fake.storage.syncImported), { laptop: 300 });
+  assert.equal(await sw.importClosedAndSavedFromSync(), 0);
+});
+
+test('device label is created once and renaming republishes the history header', async () => {
+  const { fake } = await loadServiceWorker((f) => {
+    f.storage.settings = { syncClosedAndSaved: true };
+  });
+
+  const device = plain(await fake.sendMessage({ type: 'getSyncDevice' }));
+  assert.match(device.label, /^Linux /);
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'getSyncDevice' })), device);
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'setDeviceLabel', label: '  Work laptop ' })), { ok: true, label: 'Work laptop' });
+  assert.deepEqual(plain(fake.storage.syncDevice), { id: device.id, label: 'Work laptop' });
+  assert.equal(fake.syncStorage[`closedSync_${device.id}`].label, 'Work laptop');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, flush, plain } = require('./helpers/load_service_worker');
+
+/** URL вкладок окна по порядку. */
+function windowUrls(fake, windowId) {
+  return [...fake.tabs.values()].filter((t) => t.windowId === windowId).sort((a, b) => a.index - b.index).map((t) => t.url);
+}
+
+test('undo of close-and-save reopens tabs in place and drops their history entries', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.addTab({ windowId: 1, url: 'https://active.example/', active: true });
+  fake.addTab({ windowId: 1, url: 'https://a.example/' });
+  fake.addTab({ windowId: 1, url: 'https://pinned.example/', pinned: true });
+  fake.addTab({ windowId: 1, url: 'https://b.example/' });
+  fake.storage.closedAndSaved = [{ url: 'https://old.example/', title: 'Old', savedAt: 1 }];
+  const before = windowUrls(fake, 1);
+
+  assert.equal((await sw.runCloseAndSaveAll()).closed, 2);
+  await flush();
+  assert.equal(fake.storage.actionJournal[0].type, 'closeAndSave');
+
+  const res = plain(await fake.sendMessage({ type: 'undoLastAction' }));
+
+  assert.deepEqual(res, { ok: true, type: 'closeAndSave', restored: 2 });
+  assert.deepEqual(windowUrls(fake, 1), before);
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.url), ['https://old.example/']);
+  assert.deepEqual(plain(fake.storage.actionJournal), []);
+});
+
+test('undo of close-and-save drops only its own entries when another save has the same URL and time', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.addTab({ windowId: 1, url: 'https://active.example/', active: true });
+  fake.addTab({ windowId: 1, url: 'https://a.example/' });
+
+  await sw.runCloseAndSaveAll();
+  await flush();
+  const [saved] = plain(fake.storage.closedAndSaved);
+  // та же страница, сохранённая из контекстного меню в ту же миллисекунду
+  await sw.prependClosedAndSaved([{ id: 'menu-save', url: saved.url, title: 'A', savedAt: saved.savedAt }]);
+
+  assert.equal((await sw.undoLastAction()).restored, 1);
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.id), ['menu-save']);
+});
+
+test('undo of close-and-save recreates a window that was closed since', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.addTab({ windowId: 1, url: 'https://keep.example/', active: true });
+  const gone = fake.addTab({ windowId: 2, url: 'https://gone.example/' });
+
+  await sw.runCloseAndSaveAll({ scope: 'window', windowId: 2 });
+  await flush();
+  fake.windows.delete(gone.windowId);
+
+  assert.equal((await sw.undoLastAction()).restored, 1);
+  const reopened = [...fake.tabs.values()].find((t) => t.url === 'https://gone.example/');
+  assert.ok(reopened && reopened.windowId !== 1 && reopened.windowId !== 2);
+  assert.deepEqual(windowUrls(fake, reopened.windowId), ['https://gone.example/']);
+});
+
+test('undo of suspend-all restores placeholders and reloads discarded tabs', async () => {
+  const { sw, fake } = await loadServiceWorker();
+  fake.storage.siteRules = [{ pattern: 'discard.example', action: 'discard' }];
+  const placeholder = fake.addTab({ url: 'https://a.example/' });
+  const discarded = fake.addTab({ url: 'https://discard.example/' });
+
+  assert.equal((await sw.runSuspendAllNow()).suspended, 2);
+  assert.match(fake.tabs.get(placeholder.id).url, /suspended\.html/);
+  assert.equal(fake.tabs.get(discarded.id).discarded, true);
+
+  assert.equal((await sw.undoLastAction()).restored, 2);
+  assert.equal(fake.tabs.get(placeholder.id).url, 'https://a.example/');
+  assert.equal(fake.tabs.get(discarded.id).discarded, false);
+});
+
+test('undo after clearing history puts the old entries back below newer ones', async () => {
+  const { fake } = await loadServiceWorker();
+  fake.storage.closedAndSaved = [
+    { url: 'https://a.example/', title: 'A', savedAt: 2 },
+    { url: 'https://b.example/', title: 'B', savedAt: 1 },
+  ];
+
+  assert.deepEqual(plain(await fake.sendMessage({ type: 'clearClosedAndSaved' })), { ok: true, cleared: 2 });
+  assert.deepEqual(plain(fake.storage.closedAndSaved), []);
+  fake.storage.closedAndSaved = [{ url: 'https://new.example/', title: 'New', savedAt: 3 }];
+
+  const res = plain(await fake.sendMessage({ type: 'undoLastAction' }));
+
+  assert.deepEqual(res, { ok: true, type: 'clearClosedAndSaved', restored: 2 });
+  assert.deepEqual(plain(fake.storage.closedAndSaved).map((x) => x.url), ['https://new.example/', 'https://a.example/', 'https://b.example/']);
+});
+
+test('action journal is bounded and undo with an empty journal reports it', async () => {
+  const { sw, fake, evaluate } = await loadServiceWorker();
+  const max = evaluate('ACTION_JOURNAL_MAX');
+
+  for (let i = 0; i < max + 3; i++) await sw.recordAction('suspendAll', { tabs: [] });
+  assert.equal(fake.storage.actionJournal.length, max);
+
+  fake.storage.actionJournal = [];
+  assert.deepEqual(plain(await sw.undoLastAction()), { ok: false, reason: 'Nothing to undo' });
+});